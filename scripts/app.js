@@ -126,6 +126,10 @@ async function initializeApp() {
     setupPayPeriodControls();
     setupEventListeners();
 
+    // Expense inputs start with the default categories; loadSettings replaces
+    // them with the user's own, but returns early when offline
+    window.expenseCategories.renderExpenseInputs();
+
     // Initialize authentication manager (but auth is already confirmed)
     if (window.authManager) {
         await window.authManager.initializeAuth();
@@ -141,6 +145,10 @@ async function initializeApp() {
         await window.settingsManager.loadSettings();
     }
 
+    // Settings carry the pay schedule; align the viewed period to it
+    window.appState.currentPayPeriodStart = window.dateUtils.getPayPeriodStartForDate(window.appState.currentPayPeriodStart);
+    window.uiManager.updatePayPeriodDisplay();
+
     // Load user entries
     if (window.entryManager?.loadEntries) {
         await window.entryManager.loadEntries();
@@ -183,11 +191,10 @@ function setupPayPeriodControls() {
     // Next pay period button handler with future date validation
     nextBtn.addEventListener('click', () => {
         const nextPeriod = window.dateUtils.getAdjacentPeriod(window.appState.currentPayPeriodStart, 1);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        const today = window.dateUtils.formatDateForInput(new Date());
 
         // Only allow navigation to pay periods that have started
-        if (new Date(nextPeriod) <= today) {
+        if (nextPeriod <= today) {
             window.appState.currentPayPeriodStart = nextPeriod;
             window.uiManager.updatePayPeriodDisplay();
             window.entryManager.loadEntries();
@@ -211,14 +218,35 @@ function setupEventListeners() {
     // Primary form action buttons
     document.getElementById('save-entry').addEventListener('click', window.entryManager.saveEntry);
     document.getElementById('clear-form').addEventListener('click', window.entryManager.clearForm);
+    document.getElementById('add-job').addEventListener('click', window.jobManager.addJob);
 
     // Settings panel controls
     document.getElementById('settings-toggle').addEventListener('click', window.uiManager.toggleSettings);
     document.getElementById('save-settings').addEventListener('click', window.settingsManager.saveSettings);
+    document.getElementById('add-work-code').addEventListener('click', window.workItems.addWorkCode);
+    document.getElementById('add-expense-category').addEventListener('click', window.expenseCategories.addExpenseCategory);
+    document.getElementById('add-vehicle').addEventListener('click', window.vehicleManager.addVehicle);
+    document.getElementById('set-vehicle-reading').addEventListener('click', window.vehicleManager.setOdometerReading);
+    document.getElementById('save-template').addEventListener('click', window.templateEditor.saveTemplate);
+    document.getElementById('save-custom-code').addEventListener('click', window.communityCodeEditor.saveCustomCode);
+
+    // Work item line items - points are derived from them
+    document.getElementById('add-work-item').addEventListener('click', window.workItems.addLineItem);
 
     // Earnings input fields - recalculate on each change
     document.getElementById('points').addEventListener('input', window.calculations.calculateEarnings);
     document.getElementById('kms').addEventListener('input', window.calculations.calculateEarnings);
+    document.getElementById('kms').addEventListener('input', window.routeEstimator.updateKmEstimate);
+    document.getElementById('start-time').addEventListener('input', window.calculations.calculateEarnings);
+    document.getElementById('end-time').addEventListener('input', window.calculations.calculateEarnings);
+    document.getElementById('break-minutes').addEventListener('input', window.calculations.calculateEarnings);
+
+    // Fuel fill-ups - the fuel expense is derived from them
+    document.getElementById('add-fillup').addEventListener('click', window.fuelLog.addFillUp);
+
+    // Odometer readings fill in the kilometers
+    document.getElementById('odometer-start').addEventListener('input', window.vehicleManager.updateKmsFromOdometer);
+    document.getElementById('odometer-end').addEventListener('input', window.vehicleManager.updateKmsFromOdometer);
 
     // Per diem radio buttons - recalculate on change
     document.querySelectorAll('input[name="per-diem"]').forEach(radio => {
@@ -226,9 +254,15 @@ function setupEventListeners() {
     });
 
     // Expense input fields - update calculations immediately
-    document.getElementById('hotel-expense').addEventListener('input', window.calculations.calculateEarnings);
-    document.getElementById('gas-expense').addEventListener('input', window.calculations.calculateEarnings);
-    document.getElementById('food-expense').addEventListener('input', window.calculations.calculateEarnings);
+    // (delegated, since the inputs are rebuilt when categories change)
+    document.getElementById('expense-inputs').addEventListener('input', window.calculations.calculateEarnings);
+
+    // Receipt camera/file pickers - upload and attach to the expense category
+    document.getElementById('expense-inputs').addEventListener('change', async (e) => {
+        if (!e.target.classList.contains('receipt-file')) return;
+        await window.receiptManager.attachReceipts(e.target.dataset.categoryId, e.target.files);
+        e.target.value = '';
+    });
 
     // Date selector - check for existing entries when date changes
     document.getElementById('work-date').addEventListener('change', (e) => {
@@ -237,42 +271,69 @@ function setupEventListeners() {
 
     // Land location management
     document.getElementById('addloc').addEventListener('click', window.locationManager.addLandLocation);
+    document.getElementById('use-my-location').addEventListener('click', window.locationManager.useCurrentLocation);
+    document.getElementById('pin-location').addEventListener('click', window.locationSuggestions.pinLocation);
+    document.getElementById('show-form-route').addEventListener('click', window.routeMap.toggleFormRoute);
+    document.getElementById('optimize-route-order').addEventListener('click', window.routeOptimizer.suggestOrder);
+    const locationInput = document.getElementById('location-input');
+    locationInput.addEventListener('input', window.locationSuggestions.renderSuggestions);
+    locationInput.addEventListener('focus', window.locationSuggestions.renderSuggestions);
+    locationInput.addEventListener('blur', window.locationSuggestions.hideSuggestions);
+    locationInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            window.locationManager.addLandLocation();
+        } else if (e.key === 'Escape') {
+            window.locationSuggestions.hideSuggestions();
+        }
+    });
 
     // Map generation
     document.getElementById('generate-map').addEventListener('click', window.mapGenerator.handleGenerateMap);
+    document.getElementById('show-route-view').addEventListener('click', window.routeMap.toggleRouteView);
+    document.getElementById('print-route-view').addEventListener('click', window.routeMap.printRouteView);
+    document.getElementById('export-gpx').addEventListener('click', () => window.routeExport.exportRoutes('gpx'));
+    document.getElementById('export-kml').addEventListener('click', () => window.routeExport.exportRoutes('kml'));
+
+    // Work item export for auditing
+    document.getElementById('export-work-items').addEventListener('click', window.workItems.exportWorkItems);
+    document.getElementById('export-receipts').addEventListener('click', window.receiptManager.exportReceiptsBundle);
+
+    // Upcoming pay dates view
+    document.getElementById('show-pay-calendar').addEventListener('click', window.payCalendar.togglePayCalendar);
+
+    // Payments received and reconciliation
+    document.getElementById('show-reconciliation').addEventListener('click', window.paymentManager.toggleReconciliation);
+    document.getElementById('payment-date').addEventListener('change', window.paymentManager.updatePaymentPeriodOptions);
+    document.getElementById('save-payment').addEventListener('click', window.paymentManager.savePayment);
+
+    // GST return report - rebuild when the reporting period changes
+    document.getElementById('show-gst-report').addEventListener('click', window.gstReport.toggleGstReport);
+    document.getElementById('gst-report-period').addEventListener('change', window.gstReport.loadGstReport);
+    document.getElementById('gst-report-year').addEventListener('change', window.gstReport.loadGstReport);
+    document.getElementById('show-year-end-report').addEventListener('click', window.yearEndReport.toggleYearEndReport);
+    document.getElementById('year-end-year').addEventListener('change', window.yearEndReport.loadYearEndReport);
+    document.getElementById('export-year-end').addEventListener('click', window.yearEndReport.exportYearEndReport);
+    document.getElementById('print-year-end').addEventListener('click', window.yearEndReport.printYearEndReport);
+    document.getElementById('show-logbook-report').addEventListener('click', window.logbookReport.toggleLogbookReport);
+    document.getElementById('logbook-year').addEventListener('change', window.logbookReport.loadLogbookReport);
+    document.getElementById('export-logbook').addEventListener('click', window.logbookReport.exportLogbook);
+    document.getElementById('show-vehicle-costs').addEventListener('click', window.fuelLog.toggleVehicleCostReport);
+    document.getElementById('vehicle-cost-year').addEventListener('change', window.fuelLog.loadVehicleCostReport);
 
     // Travel sheet generation
     document.getElementById('generate-travel-sheet').addEventListener('click', window.travelSheetGenerator.handleGenerateTravelSheet);
 
     // Settings changes that affect calculations and display
-    // Recalculate current form AND reload entries list when rates change
-    document.getElementById('point-rate').addEventListener('change', () => {
-        window.calculations.calculateEarnings();
-        window.entryManager.loadEntries();
-    });
-    document.getElementById('km-rate').addEventListener('change', () => {
-        window.calculations.calculateEarnings();
-        window.entryManager.loadEntries();
-    });
-    document.getElementById('per-diem-full-rate').addEventListener('input', () => {
-        window.settingsManager.updatePerDiemLabels();
-    });
-    document.getElementById('per-diem-full-rate').addEventListener('change', () => {
-        window.calculations.calculateEarnings();
-        window.entryManager.loadEntries();
-    });
-    document.getElementById('per-diem-partial-rate').addEventListener('input', () => {
-        window.settingsManager.updatePerDiemLabels();
-    });
-    document.getElementById('per-diem-partial-rate').addEventListener('change', () => {
-        window.calculations.calculateEarnings();
-        window.entryManager.loadEntries();
-    });
+    // (rate changes apply once settings are saved)
     document.getElementById('gst-enabled').addEventListener('change', () => {
         window.calculations.calculateEarnings();
         window.entryManager.loadEntries();
     });
 
+    // Pay schedule type toggles the anchor date input
+    document.getElementById('pay-schedule-type').addEventListener('change', window.settingsManager.updatePayScheduleInputs);
+
     // Tech code validation on input
     document.getElementById('tech-code').addEventListener('input', (e) => {
         const value = e.target.value.toUpperCase();
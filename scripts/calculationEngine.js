@@ -0,0 +1,872 @@
+/**
+ * Calculation Engine Module
+ * Pure earnings math shared by the UI, exports and reports. Every function
+ * takes entries plus an explicit settings object and never touches the DOM,
+ * so the same numbers can be produced in the browser or from a Node script.
+ *
+ * Money is handled in integer cents. Each statement line (points, km,
+ * per diem, GST, each expense) is rounded to the cent on its own, half up,
+ * matching the payroll statement; totals are sums of those rounded lines.
+ * Returned dollar amounts are exact cents divided by 100.
+ *
+ * Settings object shape (matches the saved 'rates' settings document):
+ * {
+ *   includeGST: boolean,
+ *   rateSchedule: [{ effectiveFrom, pointRate, kmRate, perDiemFullRate, perDiemPartialRate }],
+ *   pointRate, kmRate, perDiemFullRate, perDiemPartialRate, // used when rateSchedule is empty
+ *   expenseCategories: [{ id, name, gstIncluded, t2125Line, itcPercent }] // entry.expenses are keyed by id
+ * }
+ */
+
+// GST rate applied to earnings when includeGST is set (5%)
+const GST_RATE = 0.05;
+
+/**
+ * Rounds a cent value to a whole cent, halves away from zero
+ * Trims binary floating-point noise first so 1.005 * 100 rounds to 101.
+ *
+ * @function roundCents
+ * @param {number} value - Amount in (fractional) cents
+ * @returns {number} Whole cents
+ */
+function roundCents(value) {
+    const cleaned = Number(Number(value).toPrecision(12));
+    const rounded = Math.round(Math.abs(cleaned));
+    return cleaned < 0 ? -rounded : rounded;
+}
+
+/**
+ * Converts a dollar amount to integer cents
+ * @function toCents
+ * @param {number|string} amount - Dollar amount
+ * @returns {number} Whole cents (0 for missing or invalid amounts)
+ */
+function toCents(amount) {
+    return roundCents((Number(amount) || 0) * 100);
+}
+
+/**
+ * Converts integer cents back to a dollar amount
+ * @function fromCents
+ * @param {number} cents - Whole cents
+ * @returns {number} Dollar amount
+ */
+function fromCents(cents) {
+    return cents / 100;
+}
+
+/**
+ * Prices one statement line (quantity × rate) to the nearest cent
+ * @function lineCents
+ * @param {number} quantity - Units (points, km, days)
+ * @param {number} rate - Dollars per unit
+ * @returns {number} Whole cents for the line
+ */
+function lineCents(quantity, rate) {
+    return roundCents((Number(quantity) || 0) * (Number(rate) || 0) * 100);
+}
+
+/**
+ * Formats a dollar amount with exactly two decimals after cent rounding
+ * @function formatMoney
+ * @param {number} amount - Dollar amount
+ * @returns {string} Amount such as "1234.50" (no currency symbol)
+ */
+function formatMoney(amount) {
+    return fromCents(toCents(amount)).toFixed(2);
+}
+
+/**
+ * Formats hours worked with at most two decimals
+ * @function formatHours
+ * @param {number} hours - Hours worked
+ * @returns {string} Hours such as "8.5" or "7.75"
+ */
+function formatHours(hours) {
+    return String(Number((Number(hours) || 0).toFixed(2)));
+}
+
+/**
+ * Formats a points or kilometer total with at most two decimals
+ * @function formatQuantity
+ * @param {number} quantity - Points or kilometers
+ * @returns {string} Quantity such as "12" or "20.3"
+ */
+function formatQuantity(quantity) {
+    return String(Number((Number(quantity) || 0).toFixed(2)));
+}
+
+/**
+ * Finds the rate record in effect on a given date
+ * Uses the latest record whose effectiveFrom is on or before the date.
+ * Dates earlier than every record fall back to the oldest record, and a
+ * missing date selects the newest record.
+ *
+ * @function findRateRecord
+ * @param {Array<Object>} schedule - Rate records sorted oldest → newest
+ * @param {string} [date] - ISO date string (YYYY-MM-DD)
+ * @returns {Object|null} Matching rate record or null for an empty schedule
+ */
+function findRateRecord(schedule, date) {
+    if (!schedule || schedule.length === 0) return null;
+    if (!date) return schedule[schedule.length - 1];
+
+    let match = schedule[0];
+    for (const record of schedule) {
+        if (record.effectiveFrom <= date) {
+            match = record;
+        }
+    }
+    return match;
+}
+
+/**
+ * Resolves the pay rates that apply to a date from a settings object
+ * Prefers the effective-dated rate schedule and falls back to the flat
+ * rate fields. Missing rates resolve to 0 rather than a guessed default.
+ *
+ * @function resolveRates
+ * @param {Object} settings - Settings object (see module header)
+ * @param {string} [date] - ISO date string (YYYY-MM-DD)
+ * @returns {Object} Rates: pointRate, kmRate, perDiemFullRate, perDiemPartialRate
+ */
+function resolveRates(settings = {}, date = null) {
+    const source = findRateRecord(settings.rateSchedule, date) || settings;
+    return {
+        pointRate: Number(source.pointRate) || 0,
+        kmRate: Number(source.kmRate) || 0,
+        perDiemFullRate: Number(source.perDiemFullRate) || 0,
+        perDiemPartialRate: Number(source.perDiemPartialRate) || 0
+    };
+}
+
+/**
+ * Gets an entry's expense amounts keyed by category id
+ * Very early entries stored hotelExpense/gasExpense/foodExpense fields
+ * instead of an expenses object.
+ *
+ * @function getEntryExpenses
+ * @param {Object} entry - Entry data
+ * @returns {Object} Expense amounts keyed by category id
+ */
+function getEntryExpenses(entry) {
+    if (entry.expenses && typeof entry.expenses === 'object') {
+        return entry.expenses;
+    }
+    return {
+        hotel: entry.hotelExpense || 0,
+        gas: entry.gasExpense || 0,
+        food: entry.foodExpense || 0
+    };
+}
+
+/**
+ * Resolves the GST paid within each expense
+ * GST entered for a category is used as-is; otherwise GST-inclusive
+ * categories are assumed to include 5% GST (amount × 5/105, rounded per
+ * category) and other categories none.
+ *
+ * @function resolveExpenseGst
+ * @param {Object} expenses - Expense amounts keyed by category id
+ * @param {Object} [recorded={}] - GST entered per category id (blank for automatic)
+ * @param {Array<Object>} [categories=[]] - Expense categories with id and gstIncluded
+ * @returns {Object} GST paid keyed by category id (zero amounts omitted)
+ */
+function resolveExpenseGst(expenses, recorded = {}, categories = []) {
+    const gst = {};
+    Object.keys(expenses).forEach(categoryId => {
+        let cents = 0;
+        if (recorded[categoryId] !== undefined && recorded[categoryId] !== null && recorded[categoryId] !== '') {
+            cents = toCents(recorded[categoryId]);
+        } else if (categories.some(category => category.id === categoryId && category.gstIncluded)) {
+            cents = roundCents(toCents(expenses[categoryId]) * GST_RATE / (1 + GST_RATE));
+        }
+        if (cents > 0) {
+            gst[categoryId] = fromCents(cents);
+        }
+    });
+    return gst;
+}
+
+/**
+ * Gets the GST paid within an entry's expenses, keyed by category id
+ * Entries record it in `expenseGst` when saved; older entries fall back to
+ * the categories' GST-inclusive flags.
+ *
+ * @function getEntryExpenseGst
+ * @param {Object} entry - Entry data
+ * @param {Array<Object>} [categories=[]] - Expense categories with id and gstIncluded
+ * @returns {Object} GST paid keyed by category id
+ */
+function getEntryExpenseGst(entry, categories = []) {
+    if (entry.expenseGst && typeof entry.expenseGst === 'object') {
+        return entry.expenseGst;
+    }
+    return resolveExpenseGst(getEntryExpenses(entry), {}, categories);
+}
+
+/**
+ * Gets the share of a category's GST paid that can be claimed as an ITC
+ * Uses the category's itcPercent when set; otherwise it follows the
+ * category's T2125 line, so meals and entertainment claim 50%.
+ *
+ * @function getItcPercent
+ * @param {string} categoryId - Category id
+ * @param {Array<Object>} [categories=[]] - Expense categories with id, t2125Line and itcPercent
+ * @returns {number} Percent of the GST paid claimed, 0–100
+ */
+function getItcPercent(categoryId, categories = []) {
+    const category = categories.find(item => item.id === categoryId);
+    if (Number.isFinite(category?.itcPercent)) {
+        return Math.min(Math.max(category.itcPercent, 0), 100);
+    }
+    const lineNumber = category?.t2125Line || DEFAULT_T2125_LINES_BY_CATEGORY[categoryId] || DEFAULT_T2125_LINE;
+    return T2125_EXPENSE_LINES.find(({ line }) => line === lineNumber)?.deductiblePercent ?? 100;
+}
+
+/**
+ * Normalizes a stored per diem value to 'full', 'partial' or 'none'
+ * Entries saved by early versions stored per diem as a boolean.
+ *
+ * @function normalizePerDiem
+ * @param {string|boolean} perDiem - Stored per diem value
+ * @returns {string} 'full', 'partial' or 'none'
+ */
+function normalizePerDiem(perDiem) {
+    if (typeof perDiem === 'boolean') {
+        return perDiem ? 'full' : 'none';
+    }
+    return perDiem === 'full' || perDiem === 'partial' ? perDiem : 'none';
+}
+
+/**
+ * Totals the points for an entry's work item line items
+ * Each line item is quantity × the point value of its work code. The total
+ * is rounded to hundredths of a point, the precision of the points field.
+ *
+ * @function calculateLineItemPoints
+ * @param {Array<Object>} lineItems - Items with quantity and pointsEach
+ * @returns {number} Total points
+ */
+function calculateLineItemPoints(lineItems = []) {
+    const hundredths = lineItems.reduce((sum, item) =>
+        sum + roundCents((Number(item.quantity) || 0) * (Number(item.pointsEach) || 0) * 100), 0);
+    return hundredths / 100;
+}
+
+/**
+ * Converts an "HH:MM" time to minutes after midnight
+ * @function parseTimeMinutes
+ * @param {string} time - 24-hour time such as "07:30"
+ * @returns {number|null} Minutes after midnight, or null when missing/invalid
+ */
+function parseTimeMinutes(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+/**
+ * Calculates the minutes worked from start/end times and break length
+ * An end time before the start time is treated as past midnight.
+ *
+ * @function calculateWorkedMinutes
+ * @param {string} startTime - Start time "HH:MM"
+ * @param {string} endTime - End time "HH:MM"
+ * @param {number} [breakMinutes=0] - Unpaid break length in minutes
+ * @returns {number} Whole minutes worked (0 when either time is missing)
+ */
+function calculateWorkedMinutes(startTime, endTime, breakMinutes = 0) {
+    const start = parseTimeMinutes(startTime);
+    let end = parseTimeMinutes(endTime);
+    if (start === null || end === null) return 0;
+
+    if (end < start) {
+        end += 24 * 60;
+    }
+    return Math.max(0, end - start - Math.round(Number(breakMinutes) || 0));
+}
+
+/**
+ * Prices an amount per hour worked
+ * @function perHour
+ * @param {number} cents - Amount in whole cents
+ * @param {number} minutes - Minutes worked
+ * @returns {number|null} Dollars per hour, or null when no time was recorded
+ */
+function perHour(cents, minutes) {
+    return minutes > 0 ? fromCents(roundCents(cents * 60 / minutes)) : null;
+}
+
+/**
+ * Gets the points and kilometers for an entry
+ * Days with several jobs roll up from their jobs; other entries use their
+ * own points and kms fields.
+ *
+ * @function getEntryQuantities
+ * @param {Object} entry - Entry data, optionally with a jobs array
+ * @returns {Object} Quantities: points, kms
+ */
+function getEntryQuantities(entry) {
+    if (!Array.isArray(entry.jobs) || entry.jobs.length === 0) {
+        return { points: Number(entry.points) || 0, kms: Number(entry.kms) || 0 };
+    }
+
+    // Sum in hundredths so 0.1 + 0.2 stays 0.3
+    const points = entry.jobs.reduce((sum, job) => sum + roundCents((Number(job.points) || 0) * 100), 0);
+    const kms = entry.jobs.reduce((sum, job) => sum + roundCents((Number(job.kms) || 0) * 100), 0);
+    return { points: points / 100, kms: kms / 100 };
+}
+
+/**
+ * Calculates the earnings breakdown for a single entry
+ *
+ * @function calculateEntryBreakdown
+ * @param {Object} entry - Entry data
+ * @param {string} [entry.date] - ISO date; selects the rates in effect that day
+ * @param {number} [entry.points=0] - Points earned
+ * @param {number} [entry.kms=0] - Kilometers driven
+ * @param {Array<Object>} [entry.jobs] - Jobs worked that day; their points and kms replace the entry's
+ * @param {string|boolean} [entry.perDiem='none'] - Per diem type
+ * @param {Object} [entry.expenses={}] - Expense amounts keyed by category id
+ * @param {Object} [entry.expenseGst] - GST paid within each expense, keyed by category id
+ * @param {string} [entry.startTime] - Start time "HH:MM"
+ * @param {string} [entry.endTime] - End time "HH:MM"
+ * @param {number} [entry.breakMinutes=0] - Unpaid break length in minutes
+ * @param {Object} settings - Settings object (see module header)
+ * @returns {Object} Breakdown: pointsEarnings, kmEarnings, perDiemEarnings,
+ *   totalBeforeGST, grossTotal, totalExpenses, netTotal, gstAmount, expenses,
+ *   expenseGstPaid and expenseGstByCategory (GST paid within expenses),
+ *   itcClaimable and itcByCategory (the part of it claimed as ITCs),
+ *   hoursWorked, grossPerHour and netPerHour (null without times), plus the
+ *   same line amounts as integer cents in `cents`
+ */
+function calculateEntryBreakdown(entry, settings = {}) {
+    const { pointRate, kmRate, perDiemFullRate, perDiemPartialRate } = resolveRates(settings, entry.date);
+    const expenses = getEntryExpenses(entry);
+    const quantities = getEntryQuantities(entry);
+
+    // Each earnings line is rounded to the cent on its own
+    const points = lineCents(quantities.points, pointRate);
+    const km = lineCents(quantities.kms, kmRate);
+
+    const perDiemType = normalizePerDiem(entry.perDiem);
+    let perDiem = 0;
+    if (perDiemType === 'full') {
+        perDiem = toCents(perDiemFullRate);
+    } else if (perDiemType === 'partial') {
+        perDiem = toCents(perDiemPartialRate);
+    }
+
+    // GST is its own rounded line on the pre-tax subtotal
+    const beforeGST = points + km + perDiem;
+    const gst = settings.includeGST ? roundCents(beforeGST * GST_RATE) : 0;
+    const gross = beforeGST + gst;
+
+    // Expenses (every category, configured or not) and net profit
+    const totalExpenseCents = Object.values(expenses).reduce((sum, amount) => sum + toCents(amount), 0);
+    const net = gross - totalExpenseCents;
+    const expenseGstByCategory = getEntryExpenseGst(entry, settings.expenseCategories);
+    const expenseGst = Object.values(expenseGstByCategory).reduce((sum, amount) => sum + toCents(amount), 0);
+
+    // Only part of the GST on some expenses (meals) can be claimed back
+    const itcByCategory = {};
+    let itc = 0;
+    Object.entries(expenseGstByCategory).forEach(([categoryId, amount]) => {
+        const cents = roundCents(toCents(amount) * getItcPercent(categoryId, settings.expenseCategories) / 100);
+        if (cents > 0) {
+            itcByCategory[categoryId] = fromCents(cents);
+            itc += cents;
+        }
+    });
+
+    // Effective hourly rates when start/end times were recorded
+    const workedMinutes = calculateWorkedMinutes(entry.startTime, entry.endTime, entry.breakMinutes);
+
+    return {
+        pointsEarnings: fromCents(points),
+        kmEarnings: fromCents(km),
+        perDiemEarnings: fromCents(perDiem),
+        totalBeforeGST: fromCents(beforeGST),
+        grossTotal: fromCents(gross),
+        totalExpenses: fromCents(totalExpenseCents),
+        netTotal: fromCents(net),
+        gstAmount: fromCents(gst),
+        expenses,
+        expenseGstPaid: fromCents(expenseGst),
+        expenseGstByCategory,
+        itcClaimable: fromCents(itc),
+        itcByCategory,
+        workedMinutes,
+        hoursWorked: workedMinutes / 60,
+        grossPerHour: perHour(gross, workedMinutes),
+        netPerHour: perHour(net, workedMinutes),
+        cents: { points, km, perDiem, beforeGST, gst, gross, expenses: totalExpenseCents, expenseGst, itc, net }
+    };
+}
+
+/**
+ * Calculates combined totals for a set of entries (e.g. a pay period)
+ * Each entry is priced at the rates in effect on its own date and its lines
+ * are rounded to the cent; period lines are the sums of those cents. GST is
+ * rounded per entry and summed too, so the period matches the daily view.
+ * Days with several jobs contribute the rolled-up totals of their jobs.
+ * Points and kilometers are summed in hundredths like job roll-ups.
+ *
+ * @function calculatePeriodBreakdown
+ * @param {Array<Object>} entries - Entries to total
+ * @param {Object} settings - Settings object (see module header)
+ * @returns {Object} Totals: pointsTotal, kmsTotal, perDiemCount plus the
+ *   same earnings fields as calculateEntryBreakdown with expenses and
+ *   expense GST summed per category id.
+ *   Hourly rates cover only the days with recorded times (timedDays).
+ */
+function calculatePeriodBreakdown(entries, settings = {}) {
+    let pointHundredths = 0;
+    let kmHundredths = 0;
+    let perDiemCount = 0;
+    let points = 0;
+    let km = 0;
+    let perDiem = 0;
+    let gst = 0;
+    const expenseCents = {};
+    const expenseGstCents = {};
+    let expenseGst = 0;
+    const itcCents = {};
+    let itc = 0;
+    let workedMinutes = 0;
+    let timedDays = 0;
+    let timedGross = 0;
+    let timedNet = 0;
+
+    entries.forEach(entry => {
+        const breakdown = calculateEntryBreakdown(entry, settings);
+        const quantities = getEntryQuantities(entry);
+
+        pointHundredths += roundCents(quantities.points * 100);
+        kmHundredths += roundCents(quantities.kms * 100);
+        if (normalizePerDiem(entry.perDiem) !== 'none') {
+            perDiemCount++;
+        }
+
+        points += breakdown.cents.points;
+        km += breakdown.cents.km;
+        perDiem += breakdown.cents.perDiem;
+        gst += breakdown.cents.gst;
+
+        Object.entries(breakdown.expenses).forEach(([categoryId, amount]) => {
+            expenseCents[categoryId] = (expenseCents[categoryId] || 0) + toCents(amount);
+        });
+        Object.entries(breakdown.expenseGstByCategory).forEach(([categoryId, amount]) => {
+            expenseGstCents[categoryId] = (expenseGstCents[categoryId] || 0) + toCents(amount);
+        });
+        expenseGst += breakdown.cents.expenseGst;
+        Object.entries(breakdown.itcByCategory).forEach(([categoryId, amount]) => {
+            itcCents[categoryId] = (itcCents[categoryId] || 0) + toCents(amount);
+        });
+        itc += breakdown.cents.itc;
+
+        // Only days with recorded times count toward hourly rates
+        if (breakdown.workedMinutes > 0) {
+            workedMinutes += breakdown.workedMinutes;
+            timedDays++;
+            timedGross += breakdown.cents.gross;
+            timedNet += breakdown.cents.net;
+        }
+    });
+
+    const beforeGST = points + km + perDiem;
+    const gross = beforeGST + gst;
+    const totalExpenseCents = Object.values(expenseCents).reduce((sum, cents) => sum + cents, 0);
+    const net = gross - totalExpenseCents;
+
+    const expenses = {};
+    Object.keys(expenseCents).forEach(categoryId => {
+        expenses[categoryId] = fromCents(expenseCents[categoryId]);
+    });
+    const expenseGstByCategory = {};
+    Object.keys(expenseGstCents).forEach(categoryId => {
+        expenseGstByCategory[categoryId] = fromCents(expenseGstCents[categoryId]);
+    });
+    const itcByCategory = {};
+    Object.keys(itcCents).forEach(categoryId => {
+        itcByCategory[categoryId] = fromCents(itcCents[categoryId]);
+    });
+
+    return {
+        pointsTotal: pointHundredths / 100,
+        kmsTotal: kmHundredths / 100,
+        perDiemCount,
+        pointsEarnings: fromCents(points),
+        kmEarnings: fromCents(km),
+        perDiemEarnings: fromCents(perDiem),
+        totalBeforeGST: fromCents(beforeGST),
+        grossTotal: fromCents(gross),
+        totalExpenses: fromCents(totalExpenseCents),
+        netTotal: fromCents(net),
+        gstAmount: fromCents(gst),
+        expenses,
+        expenseGstPaid: fromCents(expenseGst),
+        expenseGstByCategory,
+        itcClaimable: fromCents(itc),
+        itcByCategory,
+        workedMinutes,
+        hoursWorked: workedMinutes / 60,
+        timedDays,
+        grossPerHour: perHour(timedGross, workedMinutes),
+        netPerHour: perHour(timedNet, workedMinutes),
+        cents: { points, km, perDiem, beforeGST, gst, gross, expenses: totalExpenseCents, expenseGst, itc, net }
+    };
+}
+
+/**
+ * Calculates the lines of a CRA GST/HST return (GST34) for a set of entries
+ * Uses the regular method: GST collected on earnings less input tax credits
+ * for GST paid on expenses (50% of it for meals, see getItcPercent).
+ * Adjustment lines (104, 107) are left at zero.
+ *
+ * @function calculateGstReturn
+ * @param {Array<Object>} entries - Entries in the reporting period
+ * @param {Object} settings - Settings object (see module header)
+ * @returns {Object} Return with line101 (revenue), line103 (GST collected),
+ *   line104, line105 (total GST), line106 (ITCs), line107, line108 (total
+ *   ITCs) and line109 (net tax; negative is a refund), plus the same lines
+ *   as integer cents in `cents`
+ */
+function calculateGstReturn(entries, settings = {}) {
+    const period = calculatePeriodBreakdown(entries, settings);
+    const cents = {
+        line101: period.cents.beforeGST,
+        line103: period.cents.gst,
+        line104: 0,
+        line106: period.cents.itc,
+        line107: 0
+    };
+    cents.line105 = cents.line103 + cents.line104;
+    cents.line108 = cents.line106 + cents.line107;
+    cents.line109 = cents.line105 - cents.line108;
+
+    const lines = {};
+    Object.keys(cents).forEach(line => {
+        lines[line] = fromCents(cents[line]);
+    });
+
+    return { ...lines, entryCount: entries.length, cents };
+}
+
+// T2125 (Statement of Business or Professional Activities) expense lines
+// that expense categories can be reported under
+const T2125_EXPENSE_LINES = [
+    { line: '8521', label: 'Advertising' },
+    { line: '8523', label: 'Meals and entertainment', deductiblePercent: 50 },
+    { line: '8690', label: 'Insurance' },
+    { line: '8760', label: 'Business tax, fees, licences and memberships' },
+    { line: '8810', label: 'Office expenses' },
+    { line: '8811', label: 'Office stationery and supplies' },
+    { line: '8860', label: 'Professional fees' },
+    { line: '8960', label: 'Repairs and maintenance' },
+    { line: '9200', label: 'Travel expenses' },
+    { line: '9220', label: 'Telephone and utilities' },
+    { line: '9224', label: 'Fuel costs (except for motor vehicles)' },
+    { line: '9270', label: 'Other expenses' },
+    { line: '9281', label: 'Motor vehicle expenses (not including CCA)' }
+];
+
+// Line used for categories without one, and the defaults for the original categories
+const DEFAULT_T2125_LINE = '9270';
+const DEFAULT_T2125_LINES_BY_CATEGORY = { hotel: '9200', gas: '9281', food: '8523' };
+
+/**
+ * Summarizes pay period totals into a T2125-style annual income statement
+ * Income is reported before GST (line 8299) with GST collected shown
+ * separately. Expenses are grouped by each category's T2125 line; when
+ * ITCs are claimed the GST claimed is left out of the expense, and meals are
+ * limited to their deductible 50%.
+ *
+ * @function calculateT2125Summary
+ * @param {Array<Object>} periodTotals - Results of calculatePeriodBreakdown, one per pay period
+ * @param {Array<Object>} [categories=[]] - Expense categories with id, name and t2125Line
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.netOfItcs=false] - Deduct expenses net of the GST claimed as ITCs
+ * @returns {Object} Summary with pointsEarnings, kmEarnings, perDiemEarnings,
+ *   businessIncome (8299), gstCollected, grossReceipts, expenseLines
+ *   ([{ line, label, paid, gst, deductible, categories }]), totalExpenses
+ *   (9368) and netIncome (9369), plus the same amounts as cents in `cents`
+ */
+function calculateT2125Summary(periodTotals, categories = [], { netOfItcs = false } = {}) {
+    let points = 0;
+    let km = 0;
+    let perDiem = 0;
+    let beforeGST = 0;
+    let gst = 0;
+    const expenseCents = {};
+    const itcCents = {};
+
+    periodTotals.forEach(totals => {
+        points += totals.cents.points;
+        km += totals.cents.km;
+        perDiem += totals.cents.perDiem;
+        beforeGST += totals.cents.beforeGST;
+        gst += totals.cents.gst;
+        Object.entries(totals.expenses).forEach(([categoryId, amount]) => {
+            expenseCents[categoryId] = (expenseCents[categoryId] || 0) + toCents(amount);
+        });
+        Object.entries(totals.itcByCategory || {}).forEach(([categoryId, amount]) => {
+            itcCents[categoryId] = (itcCents[categoryId] || 0) + toCents(amount);
+        });
+    });
+
+    // Group each category's spending under its T2125 line
+    const lines = {};
+    Object.keys(expenseCents).forEach(categoryId => {
+        if (expenseCents[categoryId] === 0) return;
+        const category = categories.find(item => item.id === categoryId);
+        const lineNumber = category?.t2125Line || DEFAULT_T2125_LINES_BY_CATEGORY[categoryId] || DEFAULT_T2125_LINE;
+        const line = lines[lineNumber] || (lines[lineNumber] = { paid: 0, gst: 0, categories: [] });
+        line.paid += expenseCents[categoryId];
+        line.gst += itcCents[categoryId] || 0;
+        line.categories.push(category?.name || categoryId);
+    });
+
+    let totalExpenses = 0;
+    const expenseLines = T2125_EXPENSE_LINES
+        .filter(({ line }) => lines[line])
+        .map(({ line, label, deductiblePercent = 100 }) => {
+            const { paid, gst: lineGst, categories: lineCategories } = lines[line];
+            const cost = netOfItcs ? paid - lineGst : paid;
+            const deductible = roundCents(cost * deductiblePercent / 100);
+            totalExpenses += deductible;
+            return {
+                line,
+                label: deductiblePercent === 100 ? label : `${label} (${deductiblePercent}%)`,
+                paid: fromCents(paid),
+                gst: fromCents(lineGst),
+                deductible: fromCents(deductible),
+                categories: lineCategories
+            };
+        });
+
+    const netIncome = beforeGST - totalExpenses;
+
+    return {
+        pointsEarnings: fromCents(points),
+        kmEarnings: fromCents(km),
+        perDiemEarnings: fromCents(perDiem),
+        businessIncome: fromCents(beforeGST),
+        gstCollected: fromCents(gst),
+        grossReceipts: fromCents(beforeGST + gst),
+        expenseLines,
+        totalExpenses: fromCents(totalExpenses),
+        netIncome: fromCents(netIncome),
+        cents: { points, km, perDiem, businessIncome: beforeGST, gstCollected: gst, totalExpenses, netIncome }
+    };
+}
+
+/**
+ * Calculates each vehicle's business and personal kilometers for a year
+ * Business kilometers are the kms of the year's entries driven in the
+ * vehicle; entries without a registered vehicle count toward the first one.
+ * The year's total comes from the vehicle's opening and closing odometer
+ * readings, so personal kilometers and the business-use percentage are only
+ * known once both readings are recorded.
+ *
+ * @function calculateVehicleLogbook
+ * @param {Array<Object>} entries - Entries dated within the year
+ * @param {Array<Object>} [vehicles=[]] - Vehicles with id, name and odometerReadings keyed by year
+ * @param {number|string} year - Calendar year
+ * @returns {Array<Object>} One row per vehicle: vehicleId, name, openingOdometer,
+ *   closingOdometer, totalKms, businessKms, personalKms, businessUsePercent, tripCount
+ */
+function calculateVehicleLogbook(entries, vehicles = [], year) {
+    const registered = vehicles.length > 0 ? vehicles : [{ id: '', name: 'Vehicle', odometerReadings: {} }];
+    // Tenths of a kilometer keep sums like 0.1 + 0.2 exact
+    const tenths = (value) => Math.round((Number(value) || 0) * 10);
+
+    const rows = registered.map(vehicle => {
+        const reading = (vehicle.odometerReadings || {})[year] || {};
+        const hasReading = (value) => value !== null && value !== undefined && value !== '' && !isNaN(value);
+        return {
+            vehicleId: vehicle.id,
+            name: vehicle.name,
+            openingOdometer: hasReading(reading.opening) ? Number(reading.opening) : null,
+            closingOdometer: hasReading(reading.closing) ? Number(reading.closing) : null,
+            businessTenths: 0,
+            tripCount: 0
+        };
+    });
+
+    entries.forEach(entry => {
+        const { kms } = getEntryQuantities(entry);
+        const row = rows.find(item => item.vehicleId && item.vehicleId === entry.vehicleId) || rows[0];
+        row.businessTenths += tenths(kms);
+        if (kms > 0) row.tripCount++;
+    });
+
+    return rows.map(({ businessTenths, ...row }) => {
+        const totalTenths = row.openingOdometer !== null && row.closingOdometer !== null && row.closingOdometer >= row.openingOdometer
+            ? tenths(row.closingOdometer) - tenths(row.openingOdometer)
+            : null;
+        return {
+            ...row,
+            totalKms: totalTenths === null ? null : totalTenths / 10,
+            businessKms: businessTenths / 10,
+            personalKms: totalTenths === null ? null : Math.max(0, totalTenths - businessTenths) / 10,
+            businessUsePercent: totalTenths > 0
+                ? Math.min(100, Math.round(businessTenths / totalTenths * 1000) / 10)
+                : null
+        };
+    });
+}
+
+/**
+ * Calculates the cost of a fuel fill-up to the nearest cent
+ * @function calculateFillUpCost
+ * @param {number} litres - Litres purchased
+ * @param {number} pricePerLitre - Pump price in dollars per litre
+ * @returns {number} Cost in dollars
+ */
+function calculateFillUpCost(litres, pricePerLitre) {
+    return fromCents(roundCents((Number(litres) || 0) * (Number(pricePerLitre) || 0) * 100));
+}
+
+/**
+ * Compares each vehicle's actual running cost per kilometer with the
+ * kilometer rate it was reimbursed at over a year
+ * Fuel cost is the fuel expense category of each entry; fill-ups recorded
+ * for another vehicle are moved to that vehicle. Maintenance is the other
+ * vehicle expense categories. Costs are spread over the total kilometers
+ * driven when the year's odometer readings are known, otherwise over the
+ * business kilometers. Fuel economy uses fill-ups with odometer readings:
+ * the litres bought after the first such fill-up over the distance between
+ * the first and last.
+ *
+ * @function calculateVehicleCosts
+ * @param {Array<Object>} entries - Entries dated within the year
+ * @param {Object} settings - Calculation settings (see header)
+ * @param {Array<Object>} [vehicles=[]] - Vehicles with id, name and odometerReadings keyed by year
+ * @param {number|string} year - Calendar year
+ * @param {Object} [options] - Options
+ * @param {string} [options.fuelCategoryId='gas'] - Expense category holding fuel purchases
+ * @param {Array<string>} [options.maintenanceCategoryIds=[]] - Expense categories holding other vehicle costs
+ * @returns {Array<Object>} One row per vehicle: vehicleId, name, kms, kmBasis ('total'|'business'),
+ *   businessKms, fuelCost, maintenanceCost, totalCost, litres, fillUpCount, fuelEconomy (L/100 km),
+ *   costPerKm, reimbursedPerKm, marginPerKm
+ */
+function calculateVehicleCosts(entries, settings, vehicles = [], year, { fuelCategoryId = 'gas', maintenanceCategoryIds = [] } = {}) {
+    const logbook = calculateVehicleLogbook(entries, vehicles, year);
+    const rows = logbook.map(row => ({
+        row,
+        entries: [],
+        fuelCents: 0,
+        maintenanceCents: 0,
+        millilitres: 0,
+        fillUps: []
+    }));
+    const rowFor = (vehicleId) => rows.find(item => item.row.vehicleId && item.row.vehicleId === vehicleId) || rows[0];
+    // Dollars per km to a tenth of a cent
+    const perKm = (cents, kms) => (kms > 0 ? Math.round(cents / kms * 10) / 1000 : null);
+
+    entries.forEach(entry => {
+        const entryRow = rowFor(entry.vehicleId);
+        const expenses = getEntryExpenses(entry);
+        entryRow.entries.push(entry);
+
+        let fillUpCents = 0;
+        (entry.fuelFillUps || []).forEach(fillUp => {
+            const fillUpRow = rowFor(fillUp.vehicleId || entry.vehicleId);
+            const cents = toCents(fillUp.cost);
+            fillUpCents += cents;
+            fillUpRow.fuelCents += cents;
+            fillUpRow.millilitres += Math.round((Number(fillUp.litres) || 0) * 1000);
+            fillUpRow.fillUps.push({ ...fillUp, date: entry.date });
+        });
+
+        // Fuel spent without a recorded fill-up stays with the day's vehicle
+        entryRow.fuelCents += Math.max(0, toCents(expenses[fuelCategoryId]) - fillUpCents);
+        maintenanceCategoryIds.forEach(categoryId => {
+            entryRow.maintenanceCents += toCents(expenses[categoryId]);
+        });
+    });
+
+    return rows.map(({ row, entries: vehicleEntries, fuelCents, maintenanceCents, millilitres, fillUps }) => {
+        const kms = row.totalKms !== null ? row.totalKms : row.businessKms;
+        const totalCents = fuelCents + maintenanceCents;
+        const kmEarningCents = calculatePeriodBreakdown(vehicleEntries, settings).cents.km;
+
+        // Fuel economy between the first and last fill-ups with an odometer reading
+        const measured = fillUps
+            .filter(fillUp => fillUp.odometer !== null && fillUp.odometer !== undefined && fillUp.odometer !== '')
+            .sort((a, b) => Number(a.odometer) - Number(b.odometer));
+        let fuelEconomy = null;
+        if (measured.length >= 2) {
+            const distance = Number(measured[measured.length - 1].odometer) - Number(measured[0].odometer);
+            const litres = measured.slice(1).reduce((sum, fillUp) => sum + (Number(fillUp.litres) || 0), 0);
+            fuelEconomy = distance > 0 ? Math.round(litres / distance * 1000) / 10 : null;
+        }
+
+        const costPerKm = perKm(totalCents, kms);
+        const reimbursedPerKm = perKm(kmEarningCents, row.businessKms);
+        return {
+            vehicleId: row.vehicleId,
+            name: row.name,
+            kms,
+            kmBasis: row.totalKms !== null ? 'total' : 'business',
+            businessKms: row.businessKms,
+            fuelCost: fromCents(fuelCents),
+            maintenanceCost: fromCents(maintenanceCents),
+            totalCost: fromCents(totalCents),
+            litres: millilitres / 1000,
+            fillUpCount: fillUps.length,
+            fuelEconomy,
+            costPerKm,
+            reimbursedPerKm,
+            marginPerKm: costPerKm !== null && reimbursedPerKm !== null
+                ? Math.round((reimbursedPerKm - costPerKm) * 1000) / 1000
+                : null
+        };
+    });
+}
+
+const calculationEngine = {
+    GST_RATE,
+    roundCents,
+    toCents,
+    fromCents,
+    lineCents,
+    formatMoney,
+    formatHours,
+    formatQuantity,
+    findRateRecord,
+    resolveRates,
+    getEntryExpenses,
+    resolveExpenseGst,
+    getEntryExpenseGst,
+    getItcPercent,
+    normalizePerDiem,
+    calculateLineItemPoints,
+    parseTimeMinutes,
+    calculateWorkedMinutes,
+    getEntryQuantities,
+    calculateEntryBreakdown,
+    calculatePeriodBreakdown,
+    calculateGstReturn,
+    T2125_EXPENSE_LINES,
+    DEFAULT_T2125_LINE,
+    DEFAULT_T2125_LINES_BY_CATEGORY,
+    calculateT2125Summary,
+    calculateVehicleLogbook,
+    calculateFillUpCost,
+    calculateVehicleCosts
+};
+
+// Make engine available globally in the browser and to Node scripts
+if (typeof window !== 'undefined') {
+    window.calculationEngine = calculationEngine;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = calculationEngine;
+}
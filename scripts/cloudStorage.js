@@ -133,6 +133,274 @@ async function getEntryFromCloud(userId, date) {
     }
 }
 
+/**
+ * Records a payment received (deposit or cheque) in Firestore
+ * Payments use generated document IDs since several can land on one day.
+ * @async
+ * @function savePaymentToCloud
+ * @param {string} userId - User ID
+ * @param {Object} payment - Payment with amount, date, reference and payPeriodStart
+ * @returns {Promise<string>} ID of the saved payment
+ */
+async function savePaymentToCloud(userId, payment) {
+    try {
+        const paymentsRef = window.firebaseModules.collection(window.firebaseDb, 'users', userId, 'payments');
+        const paymentRef = await window.firebaseModules.addDoc(paymentsRef, {
+            ...payment,
+            cloudCreatedAt: new Date()
+        });
+
+        console.log('☁️ Payment saved to cloud:', payment.date);
+        return paymentRef.id;
+    } catch (error) {
+        console.error('❌ Error saving payment to cloud:', error);
+        throw error;
+    }
+}
+
+/**
+ * Gets all recorded payments for a user from Firestore
+ * @async
+ * @function getAllPaymentsFromCloud
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Array of payment objects with IDs
+ */
+async function getAllPaymentsFromCloud(userId) {
+    try {
+        const paymentsRef = window.firebaseModules.collection(window.firebaseDb, 'users', userId, 'payments');
+        const querySnapshot = await window.firebaseModules.getDocs(paymentsRef);
+
+        const payments = [];
+        querySnapshot.forEach((doc) => {
+            payments.push({
+                id: doc.id,
+                ...doc.data()
+            });
+        });
+
+        console.log(`☁️ Retrieved ${payments.length} payments from cloud`);
+        return payments;
+    } catch (error) {
+        console.error('❌ Error getting payments from cloud:', error);
+        throw error;
+    }
+}
+
+/**
+ * Deletes a recorded payment from Firestore
+ * @async
+ * @function deletePaymentFromCloud
+ * @param {string} userId - User ID
+ * @param {string} paymentId - Payment document ID
+ * @returns {Promise<void>}
+ */
+async function deletePaymentFromCloud(userId, paymentId) {
+    try {
+        const paymentRef = window.firebaseModules.doc(window.firebaseDb, 'users', userId, 'payments', paymentId);
+        await window.firebaseModules.deleteDoc(paymentRef);
+
+        console.log('☁️ Payment deleted from cloud:', paymentId);
+    } catch (error) {
+        console.error('❌ Error deleting payment from cloud:', error);
+        throw error;
+    }
+}
+
+/**
+ * Creates the receipt file store backed by Firebase Storage
+ * @function createFirebaseReceiptStore
+ * @returns {Object} Store with upload, getBlob and remove
+ */
+function createFirebaseReceiptStore() {
+    const { storageRef, uploadBytes, getDownloadURL, getBlob, deleteObject } = window.firebaseModules;
+    const fileRef = (path) => storageRef(window.firebaseStorage, path);
+
+    return {
+        async upload(path, file) {
+            await uploadBytes(fileRef(path), file, { contentType: file.type });
+            return getDownloadURL(fileRef(path));
+        },
+        getBlob: (path) => getBlob(fileRef(path)),
+        remove: (path) => deleteObject(fileRef(path))
+    };
+}
+
+/**
+ * Creates an in-memory receipt file store
+ * Stand-in for Firebase Storage in tests (see setReceiptStore); files only
+ * last until the page is closed.
+ *
+ * @function createLocalReceiptStore
+ * @returns {Object} Store with upload, getBlob and remove
+ */
+function createLocalReceiptStore() {
+    const files = new Map();
+
+    return {
+        async upload(path, file) {
+            files.set(path, file);
+            return URL.createObjectURL(file);
+        },
+        async getBlob(path) {
+            if (!files.has(path)) {
+                throw new Error(`Receipt not found: ${path}`);
+            }
+            return files.get(path);
+        },
+        async remove(path) {
+            files.delete(path);
+        }
+    };
+}
+
+// Receipt file store, Firebase Storage on first use unless one is set explicitly
+let receiptStore = null;
+
+/**
+ * Gets the receipt file store
+ * There is no fallback when Firebase Storage isn't loaded: files kept in
+ * memory would be lost with the page while the entry still pointed at them.
+ *
+ * @function getReceiptStore
+ * @returns {Object} Store with upload, getBlob and remove
+ * @throws {Error} When Firebase Storage is unavailable and no store was set
+ */
+function getReceiptStore() {
+    if (!receiptStore) {
+        if (!window.firebaseStorage || !window.firebaseModules?.uploadBytes) {
+            throw new Error('Firebase Storage is not available');
+        }
+        receiptStore = createFirebaseReceiptStore();
+    }
+    return receiptStore;
+}
+
+/**
+ * Replaces the receipt file store (e.g. with createLocalReceiptStore() in tests)
+ * @function setReceiptStore
+ * @param {Object} store - Store with upload, getBlob and remove
+ * @returns {void}
+ */
+function setReceiptStore(store) {
+    receiptStore = store;
+}
+
+/**
+ * Uploads a receipt photo or PDF
+ * Receipt files live under the user's folder; the entry keeps the path and
+ * download URL returned here.
+ * @async
+ * @function uploadReceiptToCloud
+ * @param {string} userId - User ID
+ * @param {string} receiptId - Unique receipt ID
+ * @param {File|Blob} file - Receipt file
+ * @returns {Promise<Object>} Object with path and url
+ */
+async function uploadReceiptToCloud(userId, receiptId, file) {
+    try {
+        const path = `users/${userId}/receipts/${receiptId}`;
+        const url = await getReceiptStore().upload(path, file);
+
+        console.log('☁️ Receipt uploaded to cloud:', receiptId);
+        return { path, url };
+    } catch (error) {
+        console.error('❌ Error uploading receipt to cloud:', error);
+        throw error;
+    }
+}
+
+/**
+ * Downloads a receipt file's contents
+ * @async
+ * @function getReceiptBlobFromCloud
+ * @param {string} path - Storage path of the receipt
+ * @returns {Promise<Blob>} Receipt file contents
+ */
+async function getReceiptBlobFromCloud(path) {
+    try {
+        return await getReceiptStore().getBlob(path);
+    } catch (error) {
+        console.error('❌ Error downloading receipt from cloud:', error);
+        throw error;
+    }
+}
+
+/**
+ * Deletes a receipt file
+ * @async
+ * @function deleteReceiptFromCloud
+ * @param {string} path - Storage path of the receipt
+ * @returns {Promise<void>}
+ */
+async function deleteReceiptFromCloud(path) {
+    try {
+        await getReceiptStore().remove(path);
+
+        console.log('☁️ Receipt deleted from cloud:', path);
+    } catch (error) {
+        console.error('❌ Error deleting receipt from cloud:', error);
+        throw error;
+    }
+}
+
+/**
+ * Uploads a travel sheet template workbook
+ * Templates are kept in the same file store as receipts, under the
+ * user's templates folder.
+ * @async
+ * @function uploadTemplateToCloud
+ * @param {string} userId - User ID
+ * @param {string} templateId - Unique template ID
+ * @param {File|Blob} file - Template .xlsx file
+ * @returns {Promise<Object>} Object with path and url
+ */
+async function uploadTemplateToCloud(userId, templateId, file) {
+    try {
+        const path = `users/${userId}/templates/${templateId}`;
+        const url = await getReceiptStore().upload(path, file);
+
+        console.log('☁️ Template uploaded to cloud:', templateId);
+        return { path, url };
+    } catch (error) {
+        console.error('❌ Error uploading template to cloud:', error);
+        throw error;
+    }
+}
+
+/**
+ * Downloads a travel sheet template's contents
+ * @async
+ * @function getTemplateBlobFromCloud
+ * @param {string} path - Storage path of the template
+ * @returns {Promise<Blob>} Template file contents
+ */
+async function getTemplateBlobFromCloud(path) {
+    try {
+        return await getReceiptStore().getBlob(path);
+    } catch (error) {
+        console.error('❌ Error downloading template from cloud:', error);
+        throw error;
+    }
+}
+
+/**
+ * Deletes a travel sheet template file
+ * @async
+ * @function deleteTemplateFromCloud
+ * @param {string} path - Storage path of the template
+ * @returns {Promise<void>}
+ */
+async function deleteTemplateFromCloud(path) {
+    try {
+        await getReceiptStore().remove(path);
+
+        console.log('☁️ Template deleted from cloud:', path);
+    } catch (error) {
+        console.error('❌ Error deleting template from cloud:', error);
+        throw error;
+    }
+}
+
 /**
  * Saves user settings to Firestore
  * @async
@@ -190,6 +458,85 @@ async function getSettingsFromCloud(userId) {
     }
 }
 
+/**
+ * Gets the company the user has been added to
+ * Membership is kept in companyMembers/{userId} by a company admin; the
+ * app only reads it, so signing up with a shared email domain doesn't put
+ * a user in a company.
+ *
+ * @async
+ * @function getCompanyMembershipFromCloud
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Company id, or null when the user isn't in a company
+ */
+async function getCompanyMembershipFromCloud(userId) {
+    try {
+        const memberRef = window.firebaseModules.doc(window.firebaseDb, 'companyMembers', userId);
+        const docSnap = await window.firebaseModules.getDoc(memberRef);
+        return docSnap.exists() ? (docSnap.data().companyId || null) : null;
+    } catch (error) {
+        console.error('❌ Error getting company membership from cloud:', error);
+        throw error;
+    }
+}
+
+/**
+ * Adds, replaces or removes one of the company's shared community codes
+ * Runs in a transaction so changes made at the same time by other techs
+ * are kept rather than overwritten.
+ *
+ * @async
+ * @function saveCompanyCommunityCodeToCloud
+ * @param {string} companyId - Company id from getCompanyMembershipFromCloud
+ * @param {string} code - Code to change
+ * @param {Object|null} record - New code record, or null to remove the code
+ * @param {string} userId - User ID of the tech making the change
+ * @returns {Promise<Array<Object>>} The company's codes after the change
+ */
+async function saveCompanyCommunityCodeToCloud(companyId, code, record, userId) {
+    try {
+        const codesRef = window.firebaseModules.doc(window.firebaseDb, 'companies', companyId, 'settings', 'communityCodes');
+        const codes = await window.firebaseModules.runTransaction(window.firebaseDb, async (transaction) => {
+            const docSnap = await transaction.get(codesRef);
+            const saved = docSnap.exists() ? (docSnap.data().codes || []) : [];
+            const updated = saved.filter(existing => existing.code !== code);
+            if (record) {
+                updated.push(record);
+            }
+            transaction.set(codesRef, {
+                codes: updated,
+                updatedBy: userId,
+                cloudUpdatedAt: new Date()
+            });
+            return updated;
+        });
+
+        console.log('☁️ Company community code saved to cloud:', code);
+        return codes;
+    } catch (error) {
+        console.error('❌ Error saving company community code to cloud:', error);
+        throw error;
+    }
+}
+
+/**
+ * Gets the company's shared community codes from Firestore
+ * @async
+ * @function getCompanyCommunityCodesFromCloud
+ * @param {string} companyId - Company id from getCompanyMembershipFromCloud
+ * @returns {Promise<Array<Object>>} Community codes, or an empty array if none are saved
+ */
+async function getCompanyCommunityCodesFromCloud(companyId) {
+    try {
+        const codesRef = window.firebaseModules.doc(window.firebaseDb, 'companies', companyId, 'settings', 'communityCodes');
+        const docSnap = await window.firebaseModules.getDoc(codesRef);
+        return docSnap.exists() ? (docSnap.data().codes || []) : [];
+    } catch (error) {
+        console.error('❌ Error getting company community codes from cloud:', error);
+        throw error;
+    }
+}
+
 /**
  * Sets up real-time listener for entries
  * @function setupEntriesListener
@@ -387,8 +734,22 @@ window.cloudStorage = {
     deleteEntryFromCloud,
     getAllEntriesFromCloud,
     getEntryFromCloud,
+    savePaymentToCloud,
+    getAllPaymentsFromCloud,
+    deletePaymentFromCloud,
+    createLocalReceiptStore,
+    setReceiptStore,
+    uploadReceiptToCloud,
+    getReceiptBlobFromCloud,
+    deleteReceiptFromCloud,
+    uploadTemplateToCloud,
+    getTemplateBlobFromCloud,
+    deleteTemplateFromCloud,
     saveSettingsToCloud,
     getSettingsFromCloud,
+    getCompanyMembershipFromCloud,
+    saveCompanyCommunityCodeToCloud,
+    getCompanyCommunityCodesFromCloud,
     setupEntriesListener,
     setupSettingsListener,
     batchUploadEntries,
@@ -0,0 +1,252 @@
+/**
+ * Community Code Editor Module
+ * Settings editor for custom community codes. "My codes" are kept in the
+ * user's settings; "Company" codes are shared by every tech a company
+ * admin has added to the company (cloudStorage.getCompanyMembershipFromCloud).
+ * Both sync through cloudStorage as soon as they change and take
+ * precedence over the built-in codes.
+ */
+
+// Company the signed-in user belongs to, set by loadCompanyCodes()
+let companyId = null;
+
+/**
+ * Gets the id of the signed-in user's company
+ * @function getCompanyId
+ * @returns {string|null} Company id, or null when the user isn't in a company
+ */
+function getCompanyId() {
+    return companyId;
+}
+
+/**
+ * Loads the user's company membership and the company's shared codes from the cloud
+ * @async
+ * @function loadCompanyCodes
+ * @returns {Promise<void>}
+ */
+async function loadCompanyCodes() {
+    if (!navigator.onLine) return;
+
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        companyId = await window.cloudStorage.getCompanyMembershipFromCloud(userId);
+        const codes = companyId ? await window.cloudStorage.getCompanyCommunityCodesFromCloud(companyId) : [];
+        window.communityCodes.setCustomCommunityCodes('company', codes);
+        renderCodeEditor();
+    } catch (error) {
+        console.error('Error loading company community codes:', error);
+        window.uiManager.showNotification('Unable to load company community codes', true);
+    }
+}
+
+/**
+ * Sets the user's own codes (called when settings load)
+ * @function setUserCodes
+ * @param {Array<Object>} saved - Saved codes
+ * @returns {void}
+ */
+function setUserCodes(saved) {
+    window.communityCodes.setCustomCommunityCodes('user', saved);
+    renderCodeEditor();
+}
+
+/**
+ * Saves a change to one code in the cloud
+ * Company codes are changed one code at a time in the shared table so other
+ * techs' changes aren't overwritten; the user's own codes are saved whole.
+ *
+ * @async
+ * @function saveCodeChange
+ * @param {string} scope - 'user' or 'company'
+ * @param {string} code - Code being changed
+ * @param {Object|null} record - New code record, or null to remove the code
+ * @returns {Promise<Array<Object>|null>} The scope's codes after the change, or null when not saved
+ */
+async function saveCodeChange(scope, code, record) {
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        if (scope === 'company') {
+            return await window.cloudStorage.saveCompanyCommunityCodeToCloud(companyId, code, record, userId);
+        }
+
+        const codes = window.communityCodes.getCustomCommunityCodes('user').filter(existing => existing.code !== code);
+        if (record) {
+            codes.push(record);
+        }
+        await window.cloudStorage.saveSettingsToCloud(userId, {
+            customCommunityCodes: codes,
+            lastModified: new Date().toISOString()
+        });
+        return codes;
+    } catch (error) {
+        console.error('Error saving community codes:', error);
+        window.uiManager.showNotification('Error saving community codes', true);
+        return null;
+    }
+}
+
+/**
+ * Adds, replaces or removes a code, saving it before it takes effect
+ * @async
+ * @function updateCode
+ * @param {string} scope - 'user' or 'company'
+ * @param {string} code - Code being changed
+ * @param {Object|null} record - New code record, or null to remove the code
+ * @returns {Promise<boolean>} True when saved and applied
+ */
+async function updateCode(scope, code, record) {
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to change community codes', true);
+        return false;
+    }
+    if (scope === 'company' && !companyId) {
+        window.uiManager.showNotification('Company codes are only available once a company admin adds you to the company', true);
+        return false;
+    }
+
+    const normalized = record ? window.communityCodes.normalizeCustomCodes([record])[0] : null;
+    if (record && !normalized) {
+        window.uiManager.showNotification('Check the code and community name', true);
+        return false;
+    }
+
+    const codes = await saveCodeChange(scope, code, normalized);
+    if (!codes) {
+        return false;
+    }
+
+    window.communityCodes.setCustomCommunityCodes(scope, codes);
+    renderCodeEditor();
+    if (window.routeEstimator) {
+        window.routeEstimator.updateKmEstimate();
+    }
+    return true;
+}
+
+/**
+ * Renders the custom codes list and province options in the settings panel
+ * @function renderCodeEditor
+ * @returns {void}
+ */
+function renderCodeEditor() {
+    const editor = document.getElementById('custom-code-list');
+    if (!editor) return;
+    const escapeHtml = window.uiManager.escapeHtml;
+    const scopeLabels = { user: 'My code', company: 'Company' };
+
+    const rows = ['user', 'company'].flatMap(scope =>
+        window.communityCodes.getCustomCommunityCodes(scope).map(record => ({ ...record, scope }))
+    );
+
+    editor.innerHTML = rows.length === 0 ? '<small>No custom codes — the built-in Saskatchewan codes are used</small>' : rows.map((record, index) => `
+        <div class="expense-category-row">
+            <span>
+                <strong>${escapeHtml(record.code)}</strong> ${escapeHtml(record.name)}, ${record.province}
+                <br><small>${scopeLabels[record.scope]}${window.communityCodes.COMMUNITY_CODES[record.code] ? ` · overrides ${escapeHtml(window.communityCodes.COMMUNITY_CODES[record.code])}` : ''}${record.lat === null ? ' · no position for km estimates' : ''}</small>
+            </span>
+            <span>
+                <button class="remove-expense-category edit-custom-code" data-index="${index}" title="Edit code">✎</button>
+                <button class="remove-expense-category remove-custom-code" data-index="${index}" title="Remove code">✕</button>
+            </span>
+        </div>
+    `).join('');
+
+    editor.querySelectorAll('.edit-custom-code').forEach(button => {
+        button.addEventListener('click', () => populateCodeForm(rows[parseInt(button.dataset.index, 10)]));
+    });
+    editor.querySelectorAll('.remove-custom-code').forEach(button => {
+        button.addEventListener('click', () => {
+            const record = rows[parseInt(button.dataset.index, 10)];
+            removeCustomCode(record.scope, record.code);
+        });
+    });
+
+    const provinceSelect = document.getElementById('custom-code-province');
+    if (provinceSelect && provinceSelect.options.length === 0) {
+        provinceSelect.innerHTML = window.communityCodes.PROVINCES.map(province =>
+            `<option value="${province}"${province === 'SK' ? ' selected' : ''}>${province}</option>`
+        ).join('');
+    }
+}
+
+/**
+ * Fills the code inputs with an existing code for editing
+ * @function populateCodeForm
+ * @param {Object} record - Code record with scope
+ * @returns {void}
+ */
+function populateCodeForm(record) {
+    document.getElementById('custom-code-code').value = record.code;
+    document.getElementById('custom-code-name').value = record.name;
+    document.getElementById('custom-code-province').value = record.province;
+    document.getElementById('custom-code-lat').value = record.lat ?? '';
+    document.getElementById('custom-code-lon').value = record.lon ?? '';
+    document.getElementById('custom-code-scope').value = record.scope;
+}
+
+/**
+ * Adds or updates a code from the settings inputs
+ * A code already in the chosen scope is replaced, so the same button edits.
+ *
+ * @async
+ * @function saveCustomCode
+ * @returns {Promise<void>}
+ */
+async function saveCustomCode() {
+    const code = document.getElementById('custom-code-code').value.trim().toUpperCase();
+    const name = document.getElementById('custom-code-name').value.trim();
+    const province = document.getElementById('custom-code-province').value;
+    const latInput = document.getElementById('custom-code-lat').value;
+    const lonInput = document.getElementById('custom-code-lon').value;
+    const scope = document.getElementById('custom-code-scope').value;
+
+    if (!/^[A-Z0-9]{1,8}$/.test(code)) {
+        window.uiManager.showNotification('Code must be 1–8 letters or numbers', true);
+        return;
+    }
+    if (!name) {
+        window.uiManager.showNotification('Please enter the community name', true);
+        return;
+    }
+    if ((latInput === '') !== (lonInput === '')) {
+        window.uiManager.showNotification('Enter both latitude and longitude, or leave both blank', true);
+        return;
+    }
+
+    const record = { code, name, province, lat: latInput === '' ? null : latInput, lon: lonInput === '' ? null : lonInput };
+    if (await updateCode(scope, code, record)) {
+        ['custom-code-code', 'custom-code-name', 'custom-code-lat', 'custom-code-lon'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        window.uiManager.showNotification(`${code} saved as ${name}, ${province}`);
+    }
+}
+
+/**
+ * Removes a custom code after confirmation
+ * @async
+ * @function removeCustomCode
+ * @param {string} scope - 'user' or 'company'
+ * @param {string} code - Code to remove
+ * @returns {Promise<void>}
+ */
+async function removeCustomCode(scope, code) {
+    const scopeText = scope === 'company' ? ' for everyone at the company' : '';
+    if (!confirm(`Remove the custom code ${code}${scopeText}?`)) {
+        return;
+    }
+
+    await updateCode(scope, code, null);
+}
+
+// Make functions available globally
+window.communityCodeEditor = {
+    getCompanyId,
+    loadCompanyCodes,
+    setUserCodes,
+    renderCodeEditor,
+    populateCodeForm,
+    saveCustomCode,
+    removeCustomCode
+};
@@ -3,6 +3,8 @@
  * Maps common Saskatchewan community codes to full city/town names
  * for Google Maps integration. Used to convert abbreviated location
  * codes from CSV exports into proper location names for mapping.
+ * User-defined and company-wide codes (with an explicit province, for
+ * crews working in Alberta and Manitoba) take precedence over this list.
  */
 
 // Community code to full name mapping for Saskatchewan locations
@@ -245,18 +247,374 @@ const COMMUNITY_CODES = {
     'YU': 'Young, SK',
 };
 
+// Approximate [latitude, longitude] of each community in COMMUNITY_CODES,
+// used to estimate driving distances without a network connection.
+// Resort villages without a town centre (CS, HS, IP) are placed at the
+// lake or subdivision they belong to.
+const COMMUNITY_COORDINATES = {
+    'AB': [50.74, -108.76],
+    'AC': [52.44, -103.87],
+    'AD': [52.33, -106.27],
+    'AH': [50.74, -103.42],
+    'AK': [51.32, -109.98],
+    'AL': [49.26, -102.28],
+    'AN': [51.89, -106.07],
+    'AO': [49.64, -102.49],
+    'AR': [55.09, -105.32],
+    'AS': [52.13, -107.21],
+    'AV': [50.01, -105.06],
+    'BA': [50.81, -103.54],
+    'BD': [52.41, -107.24],
+    'BE': [50.88, -107.39],
+    'BF': [52.73, -108.32],
+    'BG': [52.05, -107.98],
+    'BH': [52.99, -105.43],
+    'BI': [53.83, -107.02],
+    'BK': [52.83, -106.88],
+    'BL': [50.49, -104.27],
+    'BN': [49.14, -102.80],
+    'BO': [52.27, -105.52],
+    'BP': [50.65, -109.91],
+    'BR': [50.96, -102.05],
+    'BT': [50.71, -105.20],
+    'BU': [51.66, -102.79],
+    'BV': [50.38, -102.58],
+    'CA': [50.62, -108.46],
+    'CB': [50.90, -101.89],
+    'CD': [49.17, -101.78],
+    'CE': [53.50, -104.48],
+    'CF': [52.50, -105.73],
+    'CG': [51.05, -105.82],
+    'CH': [50.47, -106.66],
+    'CI': [53.07, -108.35],
+    'CK': [52.75, -109.02],
+    'CL': [49.63, -102.27],
+    'CM': [51.71, -109.24],
+    'CN': [51.63, -102.43],
+    'CO': [49.11, -105.52],
+    'CP': [50.45, -105.82],
+    'CQ': [51.52, -107.24],
+    'CR': [53.28, -103.58],
+    'CS': [52.05, -106.80],
+    'CT': [53.27, -104.03],
+    'CU': [50.95, -104.21],
+    'CV': [49.17, -101.62],
+    'CW': [53.37, -106.60],
+    'CX': [49.20, -108.38],
+    'CY': [51.98, -105.87],
+    'DA': [52.34, -106.77],
+    'DB': [53.52, -106.87],
+    'DE': [51.93, -107.13],
+    'DI': [51.33, -107.44],
+    'DL': [52.82, -106.23],
+    'DO': [51.80, -108.84],
+    'DU': [51.81, -106.50],
+    'DV': [51.26, -105.99],
+    'DY': [50.95, -104.03],
+    'EA': [50.93, -104.71],
+    'EB': [51.13, -106.59],
+    'ED': [53.19, -108.77],
+    'EE': [49.52, -108.83],
+    'EH': [50.65, -102.07],
+    'EL': [51.20, -108.03],
+    'EN': [51.15, -108.76],
+    'EP': [50.44, -104.43],
+    'ES': [49.14, -102.99],
+    'ET': [51.22, -109.39],
+    'FI': [49.88, -103.08],
+    'FO': [51.65, -103.53],
+    'FQ': [50.77, -103.79],
+    'FR': [49.20, -108.56],
+    'FX': [50.48, -109.47],
+    'GA': [49.18, -101.44],
+    'GB': [49.87, -106.56],
+    'GL': [50.10, -108.48],
+    'GN': [50.20, -103.15],
+    'GO': [51.32, -105.02],
+    'GR': [50.41, -102.93],
+    'GS': [53.38, -108.36],
+    'GY': [50.71, -102.66],
+    'HA': [51.73, -107.58],
+    'HB': [52.86, -102.39],
+    'HD': [52.73, -107.36],
+    'HE': [52.53, -106.73],
+    'HF': [50.96, -105.43],
+    'HG': [52.50, -106.43],
+    'HN': [51.62, -106.44],
+    'HO': [50.11, -106.97],
+    'HR': [50.43, -107.22],
+    'HS': [53.10, -108.30],
+    'HU': [52.20, -105.12],
+    'IL': [51.35, -105.46],
+    'IN': [50.53, -103.67],
+    'IP': [53.05, -108.40],
+    'IT': [51.17, -103.49],
+    'KA': [49.83, -102.30],
+    'KD': [51.47, -109.16],
+    'KE': [50.01, -102.36],
+    'KH': [51.26, -103.75],
+    'KI': [49.66, -107.01],
+    'KL': [52.16, -103.53],
+    'KM': [51.56, -101.90],
+    'KN': [51.50, -106.27],
+    'KO': [52.96, -105.03],
+    'KP': [50.10, -102.63],
+    'KR': [51.92, -109.13],
+    'KS': [49.65, -102.67],
+    'KV': [53.60, -108.62],
+    'KY': [50.83, -108.04],
+    'LA': [50.84, -101.71],
+    'LB': [53.13, -109.61],
+    'LC': [50.98, -107.14],
+    'LD': [50.89, -109.54],
+    'LE': [50.72, -103.20],
+    'LG': [49.93, -104.38],
+    'LH': [52.36, -106.96],
+    'LI': [51.85, -105.03],
+    'LK': [53.02, -106.75],
+    'LL': [52.40, -104.98],
+    'LM': [50.65, -104.87],
+    'LN': [52.20, -108.46],
+    'LP': [50.90, -103.85],
+    'LR': [55.10, -105.28],
+    'LS': [51.32, -103.83],
+    'LT': [50.76, -103.71],
+    'LU': [52.08, -109.39],
+    'LV': [53.63, -107.55],
+    'LW': [52.06, -103.23],
+    'LX': [49.37, -102.78],
+    'MA': [49.83, -101.52],
+    'MB': [49.93, -105.97],
+    'MC': [49.91, -109.48],
+    'MD': [54.13, -108.43],
+    'ME': [50.41, -107.05],
+    'MF': [52.86, -104.61],
+    'MG': [49.99, -104.52],
+    'MH': [50.45, -106.07],
+    'MI': [49.40, -103.41],
+    'MK': [52.33, -109.94],
+    'ML': [50.93, -102.81],
+    'MM': [50.14, -101.67],
+    'MN': [51.48, -107.53],
+    'MO': [49.61, -102.10],
+    'MP': [53.19, -109.78],
+    'MR': [50.22, -103.45],
+    'MS': [53.09, -109.30],
+    'MT': [53.03, -108.44],
+    'MU': [52.19, -105.00],
+    'MV': [52.29, -106.67],
+    'NA': [52.42, -104.50],
+    'NB': [52.76, -108.29],
+    'NE': [52.84, -109.63],
+    'NI': [53.36, -104.02],
+    'NO': [51.51, -105.00],
+    'NQ': [51.87, -102.00],
+    'NU': [50.73, -103.01],
+    'OD': [50.33, -103.79],
+    'OG': [49.57, -104.93],
+    'OS': [52.37, -106.54],
+    'OU': [51.49, -107.05],
+    'OX': [49.23, -102.17],
+    'PA': [53.20, -105.75],
+    'PB': [50.47, -104.42],
+    'PD': [52.07, -107.55],
+    'PE': [52.08, -101.87],
+    'PH': [53.53, -109.43],
+    'PI': [54.34, -109.72],
+    'PN': [50.42, -104.98],
+    'PO': [52.60, -103.25],
+    'PR': [50.87, -109.39],
+    'PU': [51.38, -104.30],
+    'PV': [51.95, -102.67],
+    'QU': [50.54, -103.88],
+    'R': [50.45, -104.61],
+    'RA': [52.45, -107.39],
+    'RB': [50.79, -105.00],
+    'RD': [49.45, -104.29],
+    'RE': [49.57, -101.70],
+    'RH': [52.66, -106.33],
+    'RL': [50.19, -104.91],
+    'RO': [50.39, -101.70],
+    'RT': [51.55, -107.99],
+    'RV': [52.29, -103.80],
+    'RY': [51.41, -104.52],
+    'S': [52.13, -106.67],
+    'SA': [51.07, -104.95],
+    'SB': [52.65, -104.87],
+    'SC': [51.04, -102.18],
+    'SD': [50.15, -104.00],
+    'SE': [51.42, -104.73],
+    'SG': [52.32, -104.50],
+    'SH': [50.55, -101.70],
+    'SI': [51.45, -105.18],
+    'SK': [53.22, -106.40],
+    'SL': [53.30, -107.11],
+    'SM': [50.65, -102.30],
+    'SO': [52.92, -105.81],
+    'SP': [51.35, -102.74],
+    'SR': [53.36, -107.52],
+    'SS': [50.94, -104.50],
+    'ST': [51.94, -102.55],
+    'Stoon': [52.13, -106.67],
+    'SU': [49.68, -103.04],
+    'SV': [49.65, -108.41],
+    'SW': [53.64, -109.20],
+    'TH': [51.42, -103.00],
+    'TI': [52.85, -104.05],
+    'TO': [50.07, -108.80],
+    'TQ': [49.14, -103.50],
+    'TU': [53.39, -108.96],
+    'UN': [52.44, -109.16],
+    'VA': [52.02, -106.99],
+    'VG': [49.91, -107.31],
+    'VI': [50.32, -104.18],
+    'VS': [51.96, -105.65],
+    'WA': [52.65, -105.74],
+    'WB': [49.66, -103.85],
+    'WC': [50.44, -104.38],
+    'WD': [51.95, -103.80],
+    'WF': [53.45, -104.08],
+    'WH': [50.33, -102.25],
+    'WI': [50.10, -102.84],
+    'WK': [52.42, -108.71],
+    'WL': [49.38, -105.63],
+    'WO': [50.42, -103.28],
+    'WP': [50.26, -101.97],
+    'WR': [52.32, -106.58],
+    'WS': [51.68, -105.47],
+    'WT': [52.13, -104.52],
+    'WW': [49.90, -102.03],
+    'WY': [51.77, -104.18],
+    'YG': [49.81, -104.18],
+    'YK': [51.21, -102.46],
+    'YU': [51.77, -105.75],
+};
+
+// Provinces and territories a custom code can be in
+const PROVINCES = ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT'];
+
+// Custom codes by scope; user codes override company codes, and both override COMMUNITY_CODES
+const customCommunityCodes = { user: [], company: [] };
+
+/**
+ * Normalizes saved custom community codes
+ * @function normalizeCustomCodes
+ * @param {Array<Object>} saved - Saved codes with code, name, province and optional lat/lon
+ * @returns {Array<Object>} Codes with upper-case unique codes, a known province and numeric or null coordinates
+ */
+function normalizeCustomCodes(saved) {
+    if (!Array.isArray(saved)) return [];
+
+    const seen = new Set();
+    return saved
+        .map(record => {
+            const lat = parseFloat(record.lat);
+            const lon = parseFloat(record.lon);
+            const hasPosition = !isNaN(lat) && !isNaN(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+            return {
+                code: String(record.code || '').trim().toUpperCase(),
+                name: String(record.name || '').trim(),
+                province: PROVINCES.includes(record.province) ? record.province : 'SK',
+                lat: hasPosition ? lat : null,
+                lon: hasPosition ? lon : null
+            };
+        })
+        .filter(record => {
+            if (!/^[A-Z0-9]{1,8}$/.test(record.code) || !record.name || seen.has(record.code)) return false;
+            seen.add(record.code);
+            return true;
+        });
+}
+
+/**
+ * Replaces the custom community codes for a scope
+ * @function setCustomCommunityCodes
+ * @param {string} scope - 'user' (the user's own codes) or 'company' (shared by the company)
+ * @param {Array<Object>} saved - Saved codes
+ * @returns {void}
+ */
+function setCustomCommunityCodes(scope, saved) {
+    customCommunityCodes[scope] = normalizeCustomCodes(saved);
+}
+
+/**
+ * Gets a copy of the custom community codes for a scope
+ * @function getCustomCommunityCodes
+ * @param {string} scope - 'user' or 'company'
+ * @returns {Array<Object>} Codes with code, name, province, lat and lon
+ */
+function getCustomCommunityCodes(scope) {
+    return customCommunityCodes[scope].map(record => ({ ...record }));
+}
+
+/**
+ * Finds the custom code for a location, user codes first
+ * @function findCustomCode
+ * @param {string} location - Location as entered
+ * @returns {Object|null} Custom code record, or null when the location isn't a custom code
+ */
+function findCustomCode(location) {
+    const code = (location || '').trim().toUpperCase();
+    return customCommunityCodes.user.find(record => record.code === code) ||
+        customCommunityCodes.company.find(record => record.code === code) ||
+        null;
+}
+
+/**
+ * Formats a custom code's full location name
+ * @function formatCustomCodeName
+ * @param {Object} record - Custom code record
+ * @returns {string} Name with province (e.g., "Lloydminster, AB")
+ */
+function formatCustomCodeName(record) {
+    return `${record.name}, ${record.province}`;
+}
+
+/**
+ * Gets every community code with its full name, custom codes applied
+ * @function getCommunityCodeTable
+ * @returns {Object} Full location names keyed by code
+ */
+function getCommunityCodeTable() {
+    const table = { ...COMMUNITY_CODES };
+    [...customCommunityCodes.company, ...customCommunityCodes.user].forEach(record => {
+        Object.keys(table)
+            .filter(code => code.toUpperCase() === record.code)
+            .forEach(code => delete table[code]);
+        table[record.code] = formatCustomCodeName(record);
+    });
+    return table;
+}
+
 /**
  * Converts a community code to its full location name
+ * Custom codes (user, then company) take precedence over the built-in list.
  * 
  * @function getLocationName
  * @param {string} code - Two-letter community code (e.g., 'NB', 'R', 'S')
  * @returns {string} Full location name with province, or original code if not found
  */
 function getLocationName(code) {
+    const custom = findCustomCode(code);
+    if (custom) return formatCustomCodeName(custom);
+
     const upperCode = code.toUpperCase().trim();
     return COMMUNITY_CODES[upperCode] || `${code}, SK`;
 }
 
+/**
+ * Checks whether a location is written as a community code that isn't known
+ * getLocationName would otherwise turn it into "XX, SK" without notice.
+ *
+ * @function isUnknownCommunityCode
+ * @param {string} location - Location string to check
+ * @returns {boolean} True for 1–3 letter codes missing from COMMUNITY_CODES and the custom codes
+ */
+function isUnknownCommunityCode(location) {
+    const trimmed = (location || '').trim();
+    return /^[A-Za-z]{1,3}$/.test(trimmed) && !COMMUNITY_CODES[trimmed.toUpperCase()] && !findCustomCode(trimmed);
+}
+
 /**
  * Checks if a string appears to be GPS coordinates
  * 
@@ -270,9 +628,60 @@ function isGPSCoordinates(location) {
     return coordPattern.test(location.trim());
 }
 
+/**
+ * Parses a GPS coordinate string
+ * @function parseGPSCoordinates
+ * @param {string} location - Coordinates such as "52.1234, -106.5678"
+ * @returns {Object|null} Position with lat and lon, or null when not coordinates
+ */
+function parseGPSCoordinates(location) {
+    if (!isGPSCoordinates(location)) return null;
+    const [lat, lon] = location.split(',').map(part => parseFloat(part));
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return { lat, lon };
+}
+
+/**
+ * Finds the approximate position of a location
+ * Handles GPS coordinates, legal land descriptions (landDescription),
+ * community codes and community names (with or without ", SK"). Custom
+ * codes only have a position when one was entered for them.
+ *
+ * @function getCoordinates
+ * @param {string} location - Location as entered on the daily entry
+ * @returns {Object|null} Position with lat and lon, or null when unknown
+ */
+function getCoordinates(location) {
+    const trimmed = (location || '').trim();
+    if (!trimmed) return null;
+
+    const gps = parseGPSCoordinates(trimmed);
+    if (gps) return gps;
+
+    const landPosition = window.landDescription.landDescriptionToCoordinates(trimmed);
+    if (landPosition) return landPosition;
+
+    const custom = findCustomCode(trimmed) || [...customCommunityCodes.user, ...customCommunityCodes.company]
+        .find(record => formatCustomCodeName(record).toUpperCase() === trimmed.toUpperCase());
+    if (custom) {
+        return custom.lat !== null ? { lat: custom.lat, lon: custom.lon } : null;
+    }
+
+    const code = Object.keys(COMMUNITY_COORDINATES).find(key => key.toUpperCase() === trimmed.toUpperCase()) ||
+        Object.keys(COMMUNITY_CODES).find(key =>
+            COMMUNITY_CODES[key].toUpperCase() === processLocationForMaps(trimmed).toUpperCase()
+        );
+    if (!code || !COMMUNITY_COORDINATES[code]) return null;
+
+    const [lat, lon] = COMMUNITY_COORDINATES[code];
+    return { lat, lon };
+}
+
 /**
  * Processes a location string for Google Maps URL
- * Handles both community codes and GPS coordinates
+ * Handles community codes, GPS coordinates and legal land descriptions;
+ * land descriptions become their approximate coordinates so the map gets
+ * a real point instead of a search for the text.
  * 
  * @function processLocationForMaps
  * @param {string} location - Raw location string from CSV
@@ -288,6 +697,18 @@ function processLocationForMaps(location) {
         return trimmed;
     }
     
+    // If it's a legal land description, use its approximate coordinates
+    const landPosition = window.landDescription.landDescriptionToCoordinates(trimmed);
+    if (landPosition) {
+        return `${landPosition.lat},${landPosition.lon}`;
+    }
+    
+    // User and company codes take precedence, with their own province
+    const custom = findCustomCode(trimmed);
+    if (custom) {
+        return formatCustomCodeName(custom);
+    }
+    
     // If it's a community code, convert to full name
     if (trimmed.length <= 3 && /^[A-Za-z]+$/.test(trimmed)) {
         return getLocationName(trimmed);
@@ -304,7 +725,17 @@ function processLocationForMaps(location) {
 // Export functions for global access
 window.communityCodes = {
     getLocationName,
+    isUnknownCommunityCode,
+    normalizeCustomCodes,
+    setCustomCommunityCodes,
+    getCustomCommunityCodes,
+    findCustomCode,
+    getCommunityCodeTable,
     isGPSCoordinates,
     processLocationForMaps,
-    COMMUNITY_CODES
+    parseGPSCoordinates,
+    getCoordinates,
+    COMMUNITY_CODES,
+    COMMUNITY_COORDINATES,
+    PROVINCES
 };
\ No newline at end of file
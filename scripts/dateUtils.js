@@ -2,7 +2,8 @@
  * Date Utilities Module
  * Provides date formatting and pay period calculation functions for the
  * ProfitTracker application. Handles conversion between different date formats
- * and manages pay period boundaries based on configured start dates.
+ * and manages pay period boundaries based on the user's configured pay schedule
+ * (weekly, bi-weekly, semi-monthly or monthly).
  */
 
 /**
@@ -35,33 +36,192 @@ function formatDateForDisplay(dateString) {
     return new Date(dateString + 'T00:00:00').toLocaleDateString('en-CA', options);
 }
 
-// Pay period configuration constants
-const PAY_PERIOD_DAYS = 14; // Length of each pay period in days
-const FIRST_PAY_PERIOD = new Date('2025-07-05T00:00:00'); // First known pay period start
+/**
+ * Parses an ISO date string as local midnight
+ * `new Date('YYYY-MM-DD')` is parsed as UTC, which lands on the previous
+ * day in Canadian time zones; pay period math always uses local dates.
+ *
+ * @function parseDate
+ * @param {string} dateString - ISO date string (YYYY-MM-DD)
+ * @returns {Date} Date at local midnight
+ */
+function parseDate(dateString) {
+    return new Date(dateString + 'T00:00:00');
+}
+
+/**
+ * Adds a number of days to an ISO date string
+ *
+ * @function addDays
+ * @param {string} dateString - ISO date string (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Resulting ISO date string
+ */
+function addDays(dateString, days) {
+    const date = parseDate(dateString);
+    date.setDate(date.getDate() + days);
+    return formatDateForInput(date);
+}
+
+// Supported pay schedule types
+const PAY_SCHEDULE_TYPES = {
+    weekly: { label: 'Weekly', days: 7 },
+    biweekly: { label: 'Every 2 weeks', days: 14 },
+    semimonthly: { label: 'Semi-monthly (1st–15th, 16th–end)' },
+    monthly: { label: 'Monthly' }
+};
+
+// Ways a pay date landing on a weekend or holiday can be moved
+const PAY_DATE_ADJUSTMENTS = {
+    previous: 'Previous business day',
+    next: 'Next business day',
+    none: 'No adjustment'
+};
+
+// Default pay schedule: bi-weekly from the first known pay period start,
+// paid on the period end date with weekend/holiday dates moved earlier
+const DEFAULT_PAY_SCHEDULE = {
+    type: 'biweekly',
+    anchorDate: '2025-07-05',
+    payDateOffsetDays: 0,
+    holidayAdjustment: 'previous',
+    holidays: []
+};
+
+// Strict ISO date format used for settings validation
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Active pay schedule, replaced from user settings via setPaySchedule()
+let paySchedule = { ...DEFAULT_PAY_SCHEDULE };
+
+// Length of a bi-weekly pay period in days (kept for older callers)
+const PAY_PERIOD_DAYS = PAY_SCHEDULE_TYPES.biweekly.days;
+
+/**
+ * Sets the active pay schedule used by all pay period calculations
+ * Unknown types or missing anchors fall back to the defaults.
+ *
+ * @function setPaySchedule
+ * @param {Object} [schedule] - Pay schedule from settings
+ * @param {string} schedule.type - 'weekly', 'biweekly', 'semimonthly' or 'monthly'
+ * @param {string} schedule.anchorDate - ISO date of any known period start
+ * @param {number} [schedule.payDateOffsetDays=0] - Days after period end the payment lands
+ * @param {string} [schedule.holidayAdjustment='previous'] - 'previous', 'next' or 'none'
+ * @param {Array<string>} [schedule.holidays=[]] - ISO dates with no payroll deposits
+ * @returns {Object} The schedule now in effect
+ */
+function setPaySchedule(schedule) {
+    const type = PAY_SCHEDULE_TYPES[schedule?.type] ? schedule.type : DEFAULT_PAY_SCHEDULE.type;
+    const anchorDate = ISO_DATE_PATTERN.test(schedule?.anchorDate || '') ?
+        schedule.anchorDate : DEFAULT_PAY_SCHEDULE.anchorDate;
+    const payDateOffsetDays = Number.isInteger(Number(schedule?.payDateOffsetDays)) ?
+        Number(schedule.payDateOffsetDays) : DEFAULT_PAY_SCHEDULE.payDateOffsetDays;
+    const holidayAdjustment = PAY_DATE_ADJUSTMENTS[schedule?.holidayAdjustment] ?
+        schedule.holidayAdjustment : DEFAULT_PAY_SCHEDULE.holidayAdjustment;
+    const holidays = (Array.isArray(schedule?.holidays) ? schedule.holidays : [])
+        .filter(holiday => ISO_DATE_PATTERN.test(holiday))
+        .sort();
+
+    paySchedule = { type, anchorDate, payDateOffsetDays, holidayAdjustment, holidays };
+    return getPaySchedule();
+}
+
+/**
+ * Returns a copy of the active pay schedule
+ * @function getPaySchedule
+ * @returns {Object} Pay schedule with type and anchorDate
+ */
+function getPaySchedule() {
+    return { ...paySchedule, holidays: [...paySchedule.holidays] };
+}
+
+/**
+ * Returns the start of a monthly period for a given year/month
+ * The anchor's day of month is clamped to the month's length, so an
+ * anchor on the 31st starts February's period on the 28th/29th.
+ *
+ * @function monthlyPeriodStart
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month (may be out of range; normalized)
+ * @param {number} anchorDay - Day of month periods start on
+ * @returns {string} ISO date string of the period start
+ */
+function monthlyPeriodStart(year, month, anchorDay) {
+    const firstOfMonth = new Date(year, month, 1);
+    const daysInMonth = new Date(firstOfMonth.getFullYear(), firstOfMonth.getMonth() + 1, 0).getDate();
+    return formatDateForInput(new Date(firstOfMonth.getFullYear(), firstOfMonth.getMonth(), Math.min(anchorDay, daysInMonth)));
+}
+
+/**
+ * Calculates the start date of the pay period containing a date
+ *
+ * @function getPayPeriodStartForDate
+ * @param {string} dateString - ISO date string (YYYY-MM-DD)
+ * @returns {string} ISO date string of that pay period's start
+ */
+function getPayPeriodStartForDate(dateString) {
+    const date = parseDate(dateString);
+    const { type, anchorDate } = paySchedule;
+
+    if (type === 'semimonthly') {
+        const startDay = date.getDate() <= 15 ? 1 : 16;
+        return formatDateForInput(new Date(date.getFullYear(), date.getMonth(), startDay));
+    }
+
+    if (type === 'monthly') {
+        const anchorDay = parseDate(anchorDate).getDate();
+        const thisMonthStart = monthlyPeriodStart(date.getFullYear(), date.getMonth(), anchorDay);
+        return thisMonthStart <= dateString ?
+            thisMonthStart :
+            monthlyPeriodStart(date.getFullYear(), date.getMonth() - 1, anchorDay);
+    }
+
+    // Fixed-length cycles (weekly / bi-weekly) counted from the anchor date.
+    // Math.round absorbs the hour lost or gained across daylight saving changes.
+    const periodDays = PAY_SCHEDULE_TYPES[type].days;
+    const daysSinceAnchor = Math.round((date - parseDate(anchorDate)) / (1000 * 60 * 60 * 24));
+    const completePeriods = Math.floor(daysSinceAnchor / periodDays);
+    return addDays(anchorDate, completePeriods * periodDays);
+}
 
 /**
  * Calculates the start date of the current pay period
- * Uses the first known pay period date and 14-day cycles to determine
- * which pay period the current date falls within.
+ * Uses the configured pay schedule to determine which pay period
+ * today falls within.
  * 
  * @function getCurrentPayPeriodStart
  * @returns {string} ISO date string of current pay period start
  */
 function getCurrentPayPeriodStart() {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Normalize to midnight for accurate calculation
-    
-    // Calculate days elapsed since first known pay period
-    const daysSinceFirstPeriod = Math.floor((today - FIRST_PAY_PERIOD) / (1000 * 60 * 60 * 24));
-    
-    // Determine how many complete pay periods have passed
-    const completePeriods = Math.floor(daysSinceFirstPeriod / PAY_PERIOD_DAYS);
-    
-    // Calculate actual start date of current pay period
-    const periodStart = new Date(FIRST_PAY_PERIOD);
-    periodStart.setDate(periodStart.getDate() + completePeriods * PAY_PERIOD_DAYS);
-    
-    return formatDateForInput(periodStart);
+    return getPayPeriodStartForDate(formatDateForInput(new Date()));
+}
+
+/**
+ * Calculates the start date of adjacent pay periods (next or previous)
+ * 
+ * @function getAdjacentPeriod
+ * @param {string} startDate - ISO date string of reference pay period start
+ * @param {number} direction - Direction to move: -1 for previous, +1 for next
+ * @returns {string} ISO date string of adjacent pay period start
+ */
+function getAdjacentPeriod(startDate, direction) {
+    const { type, anchorDate } = paySchedule;
+    const start = parseDate(startDate);
+
+    if (type === 'semimonthly') {
+        // Step half a month at a time: 1st ↔ 16th
+        const halfIndex = start.getFullYear() * 24 + start.getMonth() * 2 + (start.getDate() >= 16 ? 1 : 0) + direction;
+        const year = Math.floor(halfIndex / 24);
+        const month = Math.floor((halfIndex % 24) / 2);
+        return formatDateForInput(new Date(year, month, halfIndex % 2 === 0 ? 1 : 16));
+    }
+
+    if (type === 'monthly') {
+        const anchorDay = parseDate(anchorDate).getDate();
+        return monthlyPeriodStart(start.getFullYear(), start.getMonth() + direction, anchorDay);
+    }
+
+    return addDays(startDate, PAY_SCHEDULE_TYPES[type].days * direction);
 }
 
 /**
@@ -69,35 +229,96 @@ function getCurrentPayPeriodStart() {
  * 
  * @function getPayPeriodEnd
  * @param {string} startDate - ISO date string of pay period start
- * @returns {string} ISO date string of pay period end (14 days later)
+ * @returns {string} ISO date string of pay period end (last day, inclusive)
  */
 function getPayPeriodEnd(startDate) {
-    const endDate = new Date(startDate);
-    endDate.setDate(endDate.getDate() + PAY_PERIOD_DAYS);
-    return formatDateForInput(endDate);
+    return addDays(getAdjacentPeriod(startDate, 1), -1);
 }
 
 /**
- * Calculates the start date of adjacent pay periods (next or previous)
- * 
- * @function getAdjacentPeriod
- * @param {string} startDate - ISO date string of reference pay period start
- * @param {number} direction - Direction to move: -1 for previous, +1 for next
- * @returns {string} ISO date string of adjacent pay period start
+ * Checks whether a date is a weekend day or a configured holiday
+ *
+ * @function isNonBusinessDay
+ * @param {string} dateString - ISO date string (YYYY-MM-DD)
+ * @returns {boolean} True for Saturdays, Sundays and holidays
  */
-function getAdjacentPeriod(startDate, direction) {
-    const newDate = new Date(startDate);
-    // Add 1 day to get to end, then add/subtract full periods
-    newDate.setDate((newDate.getDate() + 1) + (PAY_PERIOD_DAYS * direction));
-    return formatDateForInput(newDate);
+function isNonBusinessDay(dateString) {
+    const day = parseDate(dateString).getDay();
+    return day === 0 || day === 6 || paySchedule.holidays.includes(dateString);
+}
+
+/**
+ * Calculates when payment for a pay period is expected to land
+ * Adds the configured offset to the period end, then moves the date off
+ * weekends and holidays according to the holiday adjustment setting.
+ *
+ * @function getPayDate
+ * @param {string} startDate - ISO date string of the pay period start
+ * @returns {string} ISO date string of the expected pay date
+ */
+function getPayDate(startDate) {
+    let payDate = addDays(getPayPeriodEnd(startDate), paySchedule.payDateOffsetDays);
+
+    if (paySchedule.holidayAdjustment === 'none') {
+        return payDate;
+    }
+
+    const step = paySchedule.holidayAdjustment === 'next' ? 1 : -1;
+    // Bounded loop guards against a misconfigured holiday list
+    for (let i = 0; i < 31 && isNonBusinessDay(payDate); i++) {
+        payDate = addDays(payDate, step);
+    }
+    return payDate;
+}
+
+/**
+ * Lists the next pay dates on or after a given date
+ * Includes periods that have already ended but are not yet paid.
+ *
+ * @function getUpcomingPayDates
+ * @param {number} [count=6] - Number of pay dates to return
+ * @param {string} [fromDate] - ISO date to start from; defaults to today
+ * @returns {Array<Object>} Items with periodStart, periodEnd and payDate
+ */
+function getUpcomingPayDates(count = 6, fromDate = null) {
+    const today = fromDate || formatDateForInput(new Date());
+
+    // Step back to the oldest period whose payment is still upcoming
+    let periodStart = getPayPeriodStartForDate(today);
+    for (let i = 0; i < 52; i++) {
+        const previous = getAdjacentPeriod(periodStart, -1);
+        if (getPayDate(previous) < today) break;
+        periodStart = previous;
+    }
+
+    const payDates = [];
+    while (payDates.length < count) {
+        const payDate = getPayDate(periodStart);
+        if (payDate >= today) {
+            payDates.push({ periodStart, periodEnd: getPayPeriodEnd(periodStart), payDate });
+        }
+        periodStart = getAdjacentPeriod(periodStart, 1);
+    }
+    return payDates;
 }
 
 // Make functions available globally
 window.dateUtils = {
     formatDateForInput,
     formatDateForDisplay,
+    parseDate,
+    addDays,
     getCurrentPayPeriodStart,
+    getPayPeriodStartForDate,
     getPayPeriodEnd,
     getAdjacentPeriod,
+    setPaySchedule,
+    getPaySchedule,
+    isNonBusinessDay,
+    getPayDate,
+    getUpcomingPayDates,
+    PAY_SCHEDULE_TYPES,
+    PAY_DATE_ADJUSTMENTS,
+    DEFAULT_PAY_SCHEDULE,
     PAY_PERIOD_DAYS
 };
\ No newline at end of file
@@ -23,28 +23,42 @@ let loadEntriesTimeout = null;
 async function saveEntry() {
     // Extract form input values with safe parsing and defaults
     const dateInput = document.getElementById('work-date').value;
-    const points = parseFloat(document.getElementById('points').value) || 0;
-    const kms = parseFloat(document.getElementById('kms').value) || 0;
+
+    // Day-level points, kms, line items, locations and notes roll up from
+    // the day's jobs (a single job when the day wasn't split)
+    const jobs = window.jobManager.getJobsForSave();
+    const { points, kms, lineItems, landLocations, notes } = window.jobManager.rollUpJobs(jobs);
 
     // Get selected per diem option
     const perDiemRadio = document.querySelector('input[name="per-diem"]:checked');
     const perDiem = perDiemRadio ? perDiemRadio.value : 'none';
-    const notes = document.getElementById('notes').value;
-
-    // Extract expense values from form inputs with fallback to 0
-    const hotelExpense = parseFloat(document.getElementById('hotel-expense').value) || 0;
-    const gasExpense = parseFloat(document.getElementById('gas-expense').value) || 0;
-    const foodExpense = parseFloat(document.getElementById('food-expense').value) || 0;
-
-    // Structure expense data for database storage
-    const expenses = {
-        hotel: hotelExpense,
-        gas: gasExpense,
-        food: foodExpense
-    };
 
-    // Get current land locations from the location manager
-    const landLocations = window.locationManager.getLandLocations();
+    // Optional working hours for the effective hourly rate
+    const startTime = document.getElementById('start-time').value;
+    const endTime = document.getElementById('end-time').value;
+    const breakMinutes = parseFloat(document.getElementById('break-minutes').value) || 0;
+
+    // Optional vehicle and odometer readings for the vehicle logbook
+    const odometerError = window.vehicleManager.validateOdometerForm();
+    if (odometerError) {
+        window.uiManager.showNotification(odometerError, true);
+        return;
+    }
+    const odometer = window.vehicleManager.readOdometerForm();
+
+    // Unknown community codes would otherwise map to "XX, SK" without notice
+    const locationWarnings = landLocations
+        .map(location => window.locationSuggestions.getLocationWarning(location))
+        .filter(Boolean);
+    if (locationWarnings.length > 0 && !confirm(`${locationWarnings.join('\n')}\n\nSave the entry anyway?`)) {
+        return;
+    }
+
+    // Expense amounts and receipt attachments keyed by the configured category ids
+    const expenses = window.expenseCategories.readExpenseForm();
+    const expenseGst = window.expenseCategories.getFormExpenseGst();
+    const receipts = window.receiptManager.getReceiptsForSave();
+    const fuelFillUps = window.fuelLog.getFillUps();
 
     // Cloud-only behavior: determine if entry exists in cloud (if online)
     let existingEntry = null;
@@ -81,11 +95,20 @@ async function saveEntry() {
     const entry = {
         date: dateInput, // Primary key
         points,
+        lineItems,
         kms,
         perDiem,
+        startTime,
+        endTime,
+        breakMinutes,
+        ...odometer,
         notes,
         expenses,
+        expenseGst,
+        ...(window.receiptManager.hasReceipts() ? { receipts } : {}),
+        ...(fuelFillUps.length > 0 ? { fuelFillUps } : {}),
         landLocations,
+        ...(window.jobManager.hasSeparateJobs(jobs) ? { jobs } : {}),
         timestamp: new Date().getTime(),
         lastModified: new Date().toISOString(),
         createdAt: existingEntry?.createdAt || new Date().toISOString() // Preserve creation time for updates
@@ -102,6 +125,11 @@ async function saveEntry() {
 
         await window.cloudStorage.saveEntryToCloud(userId, entry);
         window.secureLog.log('✅ Entry saved to cloud:', entry.date);
+        window.locationSuggestions.recordRecentLocations(landLocations);
+
+        // Receipts are now referenced by the entry; drop files it no longer uses
+        window.receiptManager.markReceiptsSaved();
+        await window.receiptManager.deleteReplacedReceipts(existingEntry?.receipts, receipts);
         window.uiManager.showNotification(isUpdate ? 'Entry updated in cloud' : 'Entry saved to cloud', false, 2000);
 
         // Refresh UI
@@ -127,21 +155,24 @@ async function saveEntry() {
  * @returns {void}
  */
 function clearForm() {
-    // Clear primary input fields
-    document.getElementById('points').value = '';
-    document.getElementById('kms').value = '';
+    // Clear all jobs: work order, points, line items, kms, locations and notes
+    window.jobManager.clearJobs();
 
     // Reset per diem to "full" (default)
     document.querySelector('input[name="per-diem"][value="none"]').checked = true;
-    document.getElementById('notes').value = '';
 
-    // Clear all expense input fields
-    document.getElementById('hotel-expense').value = '';
-    document.getElementById('gas-expense').value = '';
-    document.getElementById('food-expense').value = '';
+    // Clear working hours
+    document.getElementById('start-time').value = '';
+    document.getElementById('end-time').value = '';
+    document.getElementById('break-minutes').value = '';
 
-    // Clear land locations section
-    window.locationManager.clearLandLocations();
+    // Clear odometer readings
+    window.vehicleManager.clearOdometerForm();
+
+    // Clear all expense input fields, receipts and fuel fill-ups
+    window.expenseCategories.clearExpenseForm();
+    window.receiptManager.clearReceipts();
+    window.fuelLog.clearFillUps();
 
     // Reset date to today and recalculate earnings display
     initializeDate();
@@ -158,18 +189,30 @@ function clearForm() {
  * @param {Object} entry - The entry object containing all saved data
  * @param {string} entry.date - ISO date string (YYYY-MM-DD)
  * @param {number} entry.points - Number of points earned
+ * @param {Array<Object>} [entry.lineItems] - Work item line items the points came from
  * @param {number} entry.kms - Number of kilometers driven
  * @param {string|boolean} entry.perDiem - Per diem type ('full'/'partial'/'none') or legacy boolean
  * @param {string} entry.notes - Optional notes text
  * @param {Object} entry.expenses - Expense breakdown object
  * @param {Array<string>} entry.landLocations - Array of land location names
+ * @param {Array<Object>} [entry.jobs] - Separate jobs worked that day
+ * @param {string} [entry.startTime] - Start time "HH:MM"
+ * @param {string} [entry.endTime] - End time "HH:MM"
+ * @param {number} [entry.breakMinutes] - Unpaid break length in minutes
+ * @param {string} [entry.vehicleId] - Registered vehicle driven that day
+ * @param {number} [entry.odometerStart] - Odometer reading at the start of the day
+ * @param {number} [entry.odometerEnd] - Odometer reading at the end of the day
+ * @param {Object} [entry.expenseGst] - GST paid within each expense, keyed by category id
+ * @param {Object} [entry.receipts] - Receipt attachments keyed by expense category id
+ * @param {Array<Object>} [entry.fuelFillUps] - Fuel fill-ups; the fuel expense is their total
  * @returns {void}
  */
 function populateFormForEdit(entry) {
     // Populate primary form fields with entry data
     document.getElementById('work-date').value = entry.date;
-    document.getElementById('points').value = entry.points;
-    document.getElementById('kms').value = entry.kms;
+
+    // Load the day's jobs: work order, points, line items, kms, locations and notes
+    window.jobManager.setJobs(entry);
 
     // Set per diem radio button - handle both old boolean and new string format
     const perDiemValue = typeof entry.perDiem === 'boolean' ?
@@ -181,16 +224,28 @@ function populateFormForEdit(entry) {
         // Default to 'none' if value not found
         document.querySelector('input[name="per-diem"][value="none"]').checked = true;
     }
-    document.getElementById('notes').value = entry.notes || '';
 
-    // Populate expense fields with fallback to empty values
-    const expenses = entry.expenses || {};
-    document.getElementById('hotel-expense').value = expenses.hotel || '';
-    document.getElementById('gas-expense').value = expenses.gas || '';
-    document.getElementById('food-expense').value = expenses.food || '';
+    // Populate working hours
+    document.getElementById('start-time').value = entry.startTime || '';
+    document.getElementById('end-time').value = entry.endTime || '';
+    document.getElementById('break-minutes').value = entry.breakMinutes || '';
 
-    // Populate land locations section with saved locations
-    window.locationManager.setLandLocations(entry.landLocations || []);
+    // Populate vehicle and odometer readings
+    window.vehicleManager.populateOdometerForm(entry);
+
+    // Populate expense fields with fallback to empty values
+    // Recorded GST is explicit per category (missing means none was paid);
+    // older entries without it leave GST to be worked out automatically
+    const expenses = window.calculationEngine.getEntryExpenses(entry);
+    const expenseGst = {};
+    if (entry.expenseGst) {
+        Object.keys(expenses).forEach(categoryId => {
+            expenseGst[categoryId] = entry.expenseGst[categoryId] || 0;
+        });
+    }
+    window.expenseCategories.populateExpenseForm(expenses, expenseGst);
+    window.receiptManager.setReceipts(entry.receipts);
+    window.fuelLog.setFillUps(entry.fuelFillUps);
 
     // Recalculate and display updated earnings
     window.calculations.calculateEarnings();
@@ -226,25 +281,32 @@ async function checkAndPopulateExistingEntry(date) {
         if (existingEntry) {
             populateFormForEdit(existingEntry);
         } else if ((document.getElementById('points').value !== '' ||
+            window.workItems.getLineItems().length > 0 ||
+            window.jobManager.getOtherJobCount() > 0 ||
+            document.getElementById('work-order').value !== '' ||
+            document.getElementById('start-time').value !== '' ||
+            document.getElementById('end-time').value !== '' ||
+            window.vehicleManager.hasOdometerInput() ||
             document.getElementById('kms').value !== '' ||
             document.getElementById('notes').value !== '' ||
-            document.getElementById('hotel-expense').value !== '' ||
-            document.getElementById('gas-expense').value !== '' ||
-            document.getElementById('food-expense').value !== '' ||
+            window.expenseCategories.hasExpenseInput() ||
+            window.receiptManager.hasReceipts() ||
+            window.fuelLog.hasFillUps() ||
             window.locationManager.getLandLocations().length > 0) &&
             confirm('No entry exists for this date. Keep data currently in form? ("OK" for yes, "Cancel" to clear entries)')) {
 
             window.calculations.calculateEarnings();
         } else {
             // Clear form if no existing entry
-            document.getElementById('points').value = '';
-            document.getElementById('kms').value = '';
+            window.jobManager.clearJobs();
             document.querySelector('input[name="per-diem"][value="none"]').checked = true;
-            document.getElementById('notes').value = '';
-            document.getElementById('hotel-expense').value = '';
-            document.getElementById('gas-expense').value = '';
-            document.getElementById('food-expense').value = '';
-            window.locationManager.clearLandLocations();
+            document.getElementById('start-time').value = '';
+            document.getElementById('end-time').value = '';
+            document.getElementById('break-minutes').value = '';
+            window.vehicleManager.clearOdometerForm();
+            window.expenseCategories.clearExpenseForm();
+            window.receiptManager.clearReceipts();
+            window.fuelLog.clearFillUps();
             window.calculations.calculateEarnings();
         }
     } catch (error) {
@@ -337,45 +399,55 @@ async function loadEntriesImmediate() {
         const payPeriodTotals = window.calculations.calculatePayPeriodTotals(entries);
         window.uiManager.updatePayPeriodSummary(payPeriodTotals);
 
-        entriesList.innerHTML = entries.map(entry => {
-            const pointRate = parseFloat(document.getElementById('point-rate').value) || 7.00;
-            const kmRate = parseFloat(document.getElementById('km-rate').value) || 0.84;
-            const perDiemFullRate = parseFloat(document.getElementById('per-diem-full-rate').value) || 171;
-            const perDiemPartialRate = parseFloat(document.getElementById('per-diem-partial-rate').value) || 46;
+        entriesList.innerHTML = entries.map((entry, index) => {
             const includeGST = document.getElementById('gst-enabled').checked;
+            const money = window.calculationEngine.formatMoney;
 
-            // Calculate total dynamically based on current settings
-            const expenses = entry.expenses || {};
-            const entryTotals = window.calculations.calculateEntryTotal(entry.points, entry.kms, entry.perDiem, expenses);
+            // Calculate total at the rates in effect on the entry's date
+            const expenses = window.calculationEngine.getEntryExpenses(entry);
+            const timeWorked = { startTime: entry.startTime, endTime: entry.endTime, breakMinutes: entry.breakMinutes };
+            const entryTotals = window.calculations.calculateEntryTotal(entry.points, entry.kms, entry.perDiem, expenses, entry.date, timeWorked, entry.expenseGst);
 
-            // Prepare expense data for editing
-            const expenseData = JSON.stringify(expenses).replace(/"/g, '&quot;');
-
-            // Prepare land locations data for editing
-            const landLocationsData = JSON.stringify(entry.landLocations || []).replace(/"/g, '&quot;');
+            const lineItems = entry.lineItems || [];
+            const jobs = entry.jobs || [];
+            const receiptList = Object.values(entry.receipts || {}).flat();
+            const fuelFillUps = entry.fuelFillUps || [];
 
+            // The entry is looked up by its index in `entries` when clicked for editing
             return `
-                <div class="entry-item editable-entry" 
-                     data-date="${entry.date}" 
-                     data-points="${entry.points}" 
-                     data-kms="${entry.kms}" 
-                     data-per-diem="${entry.perDiem}" 
-                     data-notes="${entry.notes || ''}"
-                     data-expenses="${expenseData}"
-                     data-land-locations="${landLocationsData}">
+                <div class="entry-item editable-entry" data-index="${index}">
                     <div class="entry-header">
                         <span class="entry-date">${window.dateUtils.formatDateForDisplay(entry.date)}</span>
-                        <span class="entry-total">Net: $${entryTotals.netTotal.toFixed(2)}</span>
+                        <span class="entry-total">Net: $${money(entryTotals.netTotal)}</span>
                     </div>
                     <div class="entry-details">
                         <div class="entry-row">
                             <span>Points: ${entry.points}</span>
-                            <span>$${(entry.points * pointRate).toFixed(2)}</span>
+                            <span>$${money(entryTotals.pointsEarnings)}</span>
                         </div>
+                        ${lineItems.length > 0 ? `
+                        <div class="entry-line-items">
+                            ${lineItems.map(item => `<div class="entry-row">
+                                <span>${window.uiManager.escapeHtml(item.code)} × ${item.quantity}</span>
+                                <span>${window.calculationEngine.calculateLineItemPoints([item])} pts</span>
+                            </div>`).join('')}
+                        </div>` : ''}
                         <div class="entry-row">
                             <span>KMs: ${entry.kms}</span>
-                            <span>$${(entry.kms * kmRate).toFixed(2)}</span>
+                            <span>$${money(entryTotals.kmEarnings)}</span>
                         </div>
+                        ${entry.odometerStart !== undefined || entry.odometerEnd !== undefined ? `
+                        <div class="entry-row">
+                            <span>Odometer: ${window.vehicleManager.formatOdometer(entry.odometerStart)} → ${window.vehicleManager.formatOdometer(entry.odometerEnd)}</span>
+                            <span>${window.uiManager.escapeHtml(window.vehicleManager.getVehicleName(entry.vehicleId))}</span>
+                        </div>` : ''}
+                        ${jobs.length > 0 ? `
+                        <div class="entry-jobs">
+                            ${jobs.map((job, index) => `<div class="entry-row">
+                                <span>${job.workOrder ? `WO ${window.uiManager.escapeHtml(job.workOrder)}` : `Job ${index + 1}`}</span>
+                                <span>${job.points} pts · ${job.kms} km</span>
+                            </div>`).join('')}
+                        </div>` : ''}
                         ${(() => {
                     // Handle both old boolean and new string format for per diem
                     const perDiemValue = typeof entry.perDiem === 'boolean' ?
@@ -384,12 +456,12 @@ async function loadEntriesImmediate() {
                     if (perDiemValue === 'full') {
                         return `<div class="entry-row">
                                     <span>Per Diem (Full):</span>
-                                    <span>$${perDiemFullRate.toFixed(2)}</span>
+                                    <span>$${money(entryTotals.perDiemEarnings)}</span>
                                 </div>`;
                     } else if (perDiemValue === 'partial') {
                         return `<div class="entry-row">
                                     <span>Per Diem (Partial):</span>
-                                    <span>$${perDiemPartialRate.toFixed(2)}</span>
+                                    <span>$${money(entryTotals.perDiemEarnings)}</span>
                                 </div>`;
                     }
                     return '';
@@ -397,35 +469,40 @@ async function loadEntriesImmediate() {
                         ${includeGST ? `
                         <div class="entry-row">
                             <span>GST:</span>
-                            <span>$${entryTotals.gstAmount.toFixed(2)}</span>
+                            <span>$${money(entryTotals.gstAmount)}</span>
                         </div>` : ''}
                         <div class="entry-row">
                             <span><strong>Gross Total:</strong></span>
-                            <span><strong>$${entryTotals.grossTotal.toFixed(2)}</strong></span>
+                            <span><strong>$${money(entryTotals.grossTotal)}</strong></span>
                         </div>
-                        ${entryTotals.totalExpenses > 0 ? `
+                        ${entryTotals.workedMinutes > 0 ? `
                         <div class="entry-row">
-                            <span>Hotel:</span>
-                            <span>-$${expenses.hotel.toFixed(2)}</span>
-                        </div>
-                        <div class="entry-row">
-                            <span>Gas:</span>
-                            <span>-$${expenses.gas.toFixed(2)}</span>
-                        </div>
-                        <div class="entry-row">
-                            <span>Food:</span>
-                            <span>-$${expenses.food.toFixed(2)}</span>
-                        </div>
+                            <span>Hours: ${window.calculationEngine.formatHours(entryTotals.hoursWorked)} (${entry.startTime}–${entry.endTime})</span>
+                            <span>$${money(entryTotals.grossPerHour)}/h gross · $${money(entryTotals.netPerHour)}/h net</span>
+                        </div>` : ''}
+                        ${entryTotals.totalExpenses > 0 ? `
+                        ${window.expenseCategories.renderExpenseRows(expenses)}
                         <div class="entry-row">
                             <span>Total Expenses:</span>
-                            <span>-$${entryTotals.totalExpenses.toFixed(2)}</span>
+                            <span>-$${money(entryTotals.totalExpenses)}</span>
+                        </div>` : ''}
+                        ${fuelFillUps.length > 0 ? `
+                        <div class="entry-jobs">
+                            ${fuelFillUps.map(fillUp => `<div class="entry-row">
+                                <span>Fuel: ${fillUp.litres} L @ $${fillUp.pricePerLitre}/L</span>
+                                <span>$${money(fillUp.cost)}</span>
+                            </div>`).join('')}
                         </div>` : ''}
-                        ${entry.notes ? `<div class="entry-notes">Notes: ${entry.notes}</div>` : ''}
+                        ${receiptList.length > 0 ? `
+                        <div class="entry-receipts">
+                            ${window.receiptManager.renderReceiptThumbnails(receiptList)}
+                        </div>` : ''}
+                        ${entry.notes ? `<div class="entry-notes">Notes: ${window.uiManager.escapeHtml(entry.notes)}</div>` : ''}
                         ${entry.landLocations && entry.landLocations.length > 0 ? `
                         <div class="entry-land-locations">
                             <strong>Land Locations:</strong>
                             <div class="land-locations-list">
-                                ${entry.landLocations.map(location => `<span class="location-tag">${location}</span>`).join('')}
+                                ${entry.landLocations.map(location => `<span class="location-tag">${window.uiManager.escapeHtml(location)}</span>`).join('')}
                             </div>
                         </div>` : ''}
                         <button class="delete-entry" data-date="${entry.date}">Delete</button>
@@ -445,35 +522,33 @@ async function loadEntriesImmediate() {
         const editableEntries = document.querySelectorAll('.editable-entry');
         editableEntries.forEach(entryElement => {
             entryElement.addEventListener('click', (e) => {
-                // Don't trigger edit when clicking the delete button
-                if (e.target.classList.contains('delete-entry')) {
+                // Don't trigger edit when clicking the delete button or opening a receipt
+                if (e.target.classList.contains('delete-entry') || e.target.closest('.receipt-thumb')) {
                     return;
                 }
 
-                const expenseData = entryElement.dataset.expenses;
-                let expenses = {};
-                try {
-                    expenses = JSON.parse(expenseData.replace(/&quot;/g, '"'));
-                } catch (error) {
-                    expenses = {};
-                }
-
-                const landLocationsData = entryElement.dataset.landLocations;
-                let landLocations = [];
-                try {
-                    landLocations = JSON.parse(landLocationsData.replace(/&quot;/g, '"'));
-                } catch (error) {
-                    landLocations = [];
-                }
-
+                // Copy so editing the form never changes the loaded entry
+                const entry = JSON.parse(JSON.stringify(entries[parseInt(entryElement.dataset.index, 10)]));
                 const entryData = {
-                    date: entryElement.dataset.date,
-                    points: parseFloat(entryElement.dataset.points),
-                    kms: parseFloat(entryElement.dataset.kms),
-                    perDiem: entryElement.dataset.perDiem,
-                    notes: entryElement.dataset.notes,
-                    expenses: expenses,
-                    landLocations: landLocations
+                    date: entry.date,
+                    points: parseFloat(entry.points),
+                    lineItems: entry.lineItems || [],
+                    kms: parseFloat(entry.kms),
+                    perDiem: entry.perDiem,
+                    startTime: entry.startTime || '',
+                    endTime: entry.endTime || '',
+                    breakMinutes: parseFloat(entry.breakMinutes) || 0,
+                    vehicleId: entry.vehicleId || '',
+                    odometerStart: entry.odometerStart ?? undefined,
+                    odometerEnd: entry.odometerEnd ?? undefined,
+                    notes: entry.notes || '',
+                    expenses: window.calculationEngine.getEntryExpenses(entry),
+                    // Older entries have no recorded expense GST
+                    expenseGst: entry.expenseGst || undefined,
+                    landLocations: entry.landLocations || [],
+                    jobs: entry.jobs || [],
+                    receipts: entry.receipts || {},
+                    fuelFillUps: entry.fuelFillUps || []
                 };
                 populateFormForEdit(entryData);
             });
@@ -511,7 +586,9 @@ async function deleteEntry(date) {
         }
 
         // Try to delete from cloud
+        let deletedEntry = null;
         try {
+            deletedEntry = await window.cloudStorage.getEntryFromCloud(userId, date);
             await window.cloudStorage.deleteEntryFromCloud(userId, date);
             console.log('✅ Entry deleted from cloud:', date);
         } catch (cloudError) {
@@ -520,6 +597,9 @@ async function deleteEntry(date) {
             return;
         }
 
+        // Receipt files belong to the entry
+        await window.receiptManager.deleteReceiptFiles(deletedEntry?.receipts);
+
         loadEntries();
         window.uiManager.showNotification('Entry deleted');
     } catch (error) {
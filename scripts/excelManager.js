@@ -32,14 +32,30 @@ async function createWorkbook(templateBuffer = null) {
 
 /**
  * Loads a template file from the project or creates a basic template
+ * Uploaded templates are downloaded from the cloud; the built-in one is
+ * fetched from the project. Only the built-in template falls back to the
+ * structured template, since that has the built-in layout.
+ *
  * @async
  * @function loadTemplate
+ * @param {Object} [template] - Template mapping (defaults to the built-in template)
  * @returns {Promise<ExcelJS.Workbook>} Workbook with template loaded
+ * @throws {Error} When an uploaded template can't be downloaded or opened
  */
-async function loadTemplate() {
+async function loadTemplate(template = window.templateMappings.DEFAULT_TEMPLATE) {
+    if (template.path) {
+        try {
+            const blob = await window.cloudStorage.getTemplateBlobFromCloud(template.path);
+            return await createWorkbook(await blob.arrayBuffer());
+        } catch (error) {
+            console.error('Error loading uploaded template:', error);
+            throw new Error(`Uploaded template "${template.name}" could not be loaded`);
+        }
+    }
+
     try {
         // Try to load the template file from the project
-        const response = await fetch('./CCC_Travel_Sheet.xlsx');
+        const response = await fetch(template.file);
         if (response.ok) {
             const buffer = await response.arrayBuffer();
             return await createWorkbook(buffer);
@@ -233,12 +249,22 @@ async function downloadWorkbook(workbook, filename) {
     // Generate the Excel buffer
     const buffer = await workbook.xlsx.writeBuffer();
     
-    // Create a blob and download link
+    // Create a blob and download it
     const blob = new Blob([buffer], { 
         type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
     });
     
-    // Create download link and trigger download
+    downloadBlob(blob, filename);
+}
+
+/**
+ * Triggers a browser download of a blob
+ * @function downloadBlob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Download file name
+ * @returns {void}
+ */
+function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
@@ -246,8 +272,6 @@ async function downloadWorkbook(workbook, filename) {
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
-    
-    // Clean up the URL object
     URL.revokeObjectURL(url);
 }
 
@@ -282,5 +306,6 @@ window.excelManager = {
     formatDateForExcel,
     generateFileName,
     downloadWorkbook,
+    downloadBlob,
     getWorksheet
 };
@@ -0,0 +1,499 @@
+/**
+ * Expense Categories Module
+ * Manages the user-configurable expense categories (hotel, gas, food,
+ * tools, phone, parking...) and the matching inputs on the daily entry form.
+ * Receipt attachments per category are handled by receiptManager.
+ * Entries store expenses keyed by category id, so renaming a category never
+ * touches saved entries and removed categories keep their saved amounts.
+ */
+
+// Categories used until the user configures their own; ids match the
+// expense keys entries have always been saved with. Only half the GST on
+// meals can be claimed as an ITC.
+const DEFAULT_EXPENSE_CATEGORIES = [
+    { id: 'hotel', name: 'Hotel', gstIncluded: true, t2125Line: '9200', itcPercent: 100 },
+    { id: 'gas', name: 'Gas', gstIncluded: true, t2125Line: '9281', itcPercent: 100 },
+    { id: 'food', name: 'Food', gstIncluded: true, t2125Line: '8523', itcPercent: 50 }
+];
+
+// Configured expense categories in display order
+let expenseCategories = DEFAULT_EXPENSE_CATEGORIES.map(category => ({ ...category }));
+
+// Amounts and GST loaded for categories that are no longer configured;
+// kept so re-saving an entry doesn't drop them
+let unlistedExpenses = {};
+let unlistedExpenseGst = {};
+
+/**
+ * Normalizes saved expense categories
+ * Missing or empty lists fall back to the default categories. Categories
+ * saved without a T2125 line get the default line for their id, and those
+ * without an ITC percentage get the one for their line.
+ *
+ * @function normalizeExpenseCategories
+ * @param {Array<Object>} categories - Saved categories with id, name, gstIncluded, t2125Line and itcPercent
+ * @returns {Array<Object>} Categories with unique ids
+ */
+function normalizeExpenseCategories(categories) {
+    if (!Array.isArray(categories) || categories.length === 0) {
+        return DEFAULT_EXPENSE_CATEGORIES.map(category => ({ ...category }));
+    }
+
+    const seen = new Set();
+    return categories
+        .map(category => {
+            const t2125Line = String(category.t2125Line || getDefaultT2125Line(category.id));
+            return {
+                id: String(category.id || '').trim(),
+                name: String(category.name || category.id || '').trim(),
+                gstIncluded: !!category.gstIncluded,
+                t2125Line,
+                itcPercent: parseItcPercent(category.itcPercent) ?? getDefaultItcPercent(t2125Line)
+            };
+        })
+        .filter(category => {
+            if (!category.id || seen.has(category.id)) return false;
+            seen.add(category.id);
+            return true;
+        });
+}
+
+/**
+ * Gets the T2125 expense line a category is reported under by default
+ * @function getDefaultT2125Line
+ * @param {string} categoryId - Category id
+ * @returns {string} T2125 line number
+ */
+function getDefaultT2125Line(categoryId) {
+    const engine = window.calculationEngine;
+    return engine.DEFAULT_T2125_LINES_BY_CATEGORY[categoryId] || engine.DEFAULT_T2125_LINE;
+}
+
+/**
+ * Gets the share of GST claimed as ITCs by default for a T2125 line
+ * Meals and entertainment claim their deductible 50%; other lines 100%.
+ *
+ * @function getDefaultItcPercent
+ * @param {string} t2125Line - T2125 line number
+ * @returns {number} Percent of the GST paid claimed
+ */
+function getDefaultItcPercent(t2125Line) {
+    const line = window.calculationEngine.T2125_EXPENSE_LINES.find(item => item.line === t2125Line);
+    return line?.deductiblePercent ?? 100;
+}
+
+/**
+ * Parses an entered or saved ITC percentage
+ * @function parseItcPercent
+ * @param {number|string} value - Percentage
+ * @returns {number|null} Percentage from 0 to 100, or null when blank or invalid
+ */
+function parseItcPercent(value) {
+    const percent = parseFloat(value);
+    return percent >= 0 && percent <= 100 ? percent : null;
+}
+
+/**
+ * Builds the T2125 line options for a select
+ * @function renderT2125Options
+ * @param {string} selectedLine - Line to pre-select
+ * @returns {string} HTML options
+ */
+function renderT2125Options(selectedLine) {
+    return window.calculationEngine.T2125_EXPENSE_LINES.map(({ line, label }) =>
+        `<option value="${line}"${line === selectedLine ? ' selected' : ''}>${line} – ${label}</option>`
+    ).join('');
+}
+
+/**
+ * Replaces the configured categories (called when settings load)
+ * @function setExpenseCategories
+ * @param {Array<Object>} categories - Saved categories
+ * @returns {void}
+ */
+function setExpenseCategories(categories) {
+    const current = readExpenseForm();
+    const currentGst = readExpenseGstForm();
+    expenseCategories = normalizeExpenseCategories(categories);
+    renderCategoryEditor();
+    renderExpenseInputs();
+    populateExpenseForm(current, currentGst);
+}
+
+/**
+ * Gets a copy of the configured categories
+ * @function getExpenseCategories
+ * @returns {Array<Object>} Categories with id, name, gstIncluded, t2125Line and itcPercent
+ */
+function getExpenseCategories() {
+    return expenseCategories.map(category => ({ ...category }));
+}
+
+/**
+ * Gets the display name for a category id
+ * Ids of removed categories are shown capitalized.
+ *
+ * @function getCategoryName
+ * @param {string} categoryId - Category id
+ * @returns {string} Display name
+ */
+function getCategoryName(categoryId) {
+    const category = expenseCategories.find(item => item.id === categoryId);
+    if (category) return category.name;
+    return categoryId.charAt(0).toUpperCase() + categoryId.slice(1).replace(/-/g, ' ');
+}
+
+/**
+ * Builds a category id from a name, unique among the configured categories
+ * @function createCategoryId
+ * @param {string} name - Category name
+ * @returns {string} Id such as "vehicle-repairs"
+ */
+function createCategoryId(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'expense';
+    let id = base;
+    let suffix = 2;
+    while (expenseCategories.some(category => category.id === id)) {
+        id = `${base}-${suffix++}`;
+    }
+    return id;
+}
+
+/**
+ * Renders the category editor in the settings panel
+ * @function renderCategoryEditor
+ * @returns {void}
+ */
+function renderCategoryEditor() {
+    const editor = document.getElementById('expense-category-list');
+    if (!editor) return;
+    const escapeHtml = window.uiManager.escapeHtml;
+
+    const newCategoryLine = document.getElementById('expense-category-t2125');
+    if (newCategoryLine) {
+        newCategoryLine.innerHTML = renderT2125Options(newCategoryLine.value || window.calculationEngine.DEFAULT_T2125_LINE);
+    }
+
+    editor.innerHTML = expenseCategories.map(category => `
+        <div class="expense-category-row">
+            <span>${escapeHtml(category.name)}</span>
+            <span>
+                <label class="expense-category-gst">
+                    <input type="checkbox" data-category-id="${category.id}" ${category.gstIncluded ? 'checked' : ''}> GST incl.
+                </label>
+                <select class="expense-category-t2125" data-category-id="${category.id}" title="T2125 expense line">
+                    ${renderT2125Options(category.t2125Line)}
+                </select>
+                <label class="expense-category-gst" title="Share of the GST paid claimed as input tax credits">
+                    ITC <input type="number" class="expense-category-itc" data-category-id="${category.id}" min="0" max="100" step="1" value="${category.itcPercent}">%
+                </label>
+                <button class="remove-expense-category" data-category-id="${category.id}" title="Remove category">✕</button>
+            </span>
+        </div>
+    `).join('');
+
+    editor.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const category = expenseCategories.find(item => item.id === checkbox.dataset.categoryId);
+            if (category) {
+                category.gstIncluded = checkbox.checked;
+            }
+        });
+    });
+    editor.querySelectorAll('.expense-category-t2125').forEach(select => {
+        select.addEventListener('change', () => {
+            const category = expenseCategories.find(item => item.id === select.dataset.categoryId);
+            if (category) {
+                category.t2125Line = select.value;
+                // The ITC share follows the line (meals claim 50%)
+                category.itcPercent = getDefaultItcPercent(select.value);
+                const itcInput = editor.querySelector(`.expense-category-itc[data-category-id="${category.id}"]`);
+                if (itcInput) {
+                    itcInput.value = category.itcPercent;
+                }
+            }
+        });
+    });
+    editor.querySelectorAll('.expense-category-itc').forEach(input => {
+        input.addEventListener('change', () => {
+            const category = expenseCategories.find(item => item.id === input.dataset.categoryId);
+            if (!category) return;
+            const percent = parseItcPercent(input.value);
+            if (percent === null) {
+                window.uiManager.showNotification('ITC percentage must be between 0 and 100', true);
+                input.value = category.itcPercent;
+                return;
+            }
+            category.itcPercent = percent;
+        });
+    });
+    editor.querySelectorAll('.remove-expense-category').forEach(button => {
+        button.addEventListener('click', () => removeExpenseCategory(button.dataset.categoryId));
+    });
+}
+
+/**
+ * Adds a category from the settings inputs
+ * Categories are persisted when settings are saved.
+ *
+ * @function addExpenseCategory
+ * @returns {void}
+ */
+function addExpenseCategory() {
+    const nameInput = document.getElementById('expense-category-name');
+    const gstInput = document.getElementById('expense-category-gst');
+    const t2125Select = document.getElementById('expense-category-t2125');
+    const name = nameInput.value.trim();
+
+    if (!name) {
+        window.uiManager.showNotification('Please enter a name for the expense category', true);
+        return;
+    }
+    if (expenseCategories.some(category => category.name.toLowerCase() === name.toLowerCase())) {
+        window.uiManager.showNotification(`An expense category named "${name}" already exists`, true);
+        return;
+    }
+
+    const current = readExpenseForm();
+    const currentGst = readExpenseGstForm();
+    const t2125Line = t2125Select.value || window.calculationEngine.DEFAULT_T2125_LINE;
+    expenseCategories.push({
+        id: createCategoryId(name),
+        name,
+        gstIncluded: gstInput.checked,
+        t2125Line,
+        itcPercent: getDefaultItcPercent(t2125Line)
+    });
+    renderCategoryEditor();
+    renderExpenseInputs();
+    populateExpenseForm(current, currentGst);
+
+    nameInput.value = '';
+    window.uiManager.showNotification(`Expense category ${name} added — save settings to keep it`);
+}
+
+/**
+ * Removes a category from the configured list
+ * Saved entries keep their amounts for the category.
+ *
+ * @function removeExpenseCategory
+ * @param {string} categoryId - Category id
+ * @returns {void}
+ */
+function removeExpenseCategory(categoryId) {
+    if (expenseCategories.length === 1) {
+        window.uiManager.showNotification('At least one expense category is required', true);
+        return;
+    }
+
+    const current = readExpenseForm();
+    const currentGst = readExpenseGstForm();
+    expenseCategories = expenseCategories.filter(category => category.id !== categoryId);
+    renderCategoryEditor();
+    renderExpenseInputs();
+    populateExpenseForm(current, currentGst);
+}
+
+/**
+ * Renders one amount input per category on the daily entry form
+ * Each category also gets a GST paid input (blank means automatic) and
+ * camera and file picker buttons for receipts.
+ *
+ * @function renderExpenseInputs
+ * @returns {void}
+ */
+function renderExpenseInputs() {
+    const container = document.getElementById('expense-inputs');
+    if (!container) return;
+    const escapeHtml = window.uiManager.escapeHtml;
+
+    container.innerHTML = expenseCategories.map(category => `
+        <div class="expense-item">
+            <label for="expense-${category.id}">${escapeHtml(category.name)} ($):</label>
+            <input type="number" id="expense-${category.id}" class="expense-input" data-category-id="${category.id}" min="0" step="0.01" placeholder="0.00">
+            <input type="number" id="expense-gst-${category.id}" class="expense-gst-input" data-category-id="${category.id}" min="0" step="0.01"
+                placeholder="${category.gstIncluded ? 'GST paid: auto 5%' : 'GST paid: 0.00'}" title="GST paid on this expense — leave blank to ${category.gstIncluded ? 'work out 5% from the amount' : 'claim none'}">
+            <div class="receipt-controls">
+                <label class="receipt-button" title="Take a photo of the receipt">📷
+                    <input type="file" class="receipt-file" data-category-id="${category.id}" accept="image/*" capture="environment" hidden>
+                </label>
+                <label class="receipt-button" title="Attach receipt photos or PDFs">📎
+                    <input type="file" class="receipt-file" data-category-id="${category.id}" accept="image/*,application/pdf" multiple hidden>
+                </label>
+                <span class="receipt-list" id="receipts-${category.id}"></span>
+            </div>
+        </div>
+    `).join('');
+
+    if (window.receiptManager) {
+        window.receiptManager.renderAllReceiptLists();
+    }
+    if (window.fuelLog) {
+        window.fuelLog.syncFuelExpense();
+    }
+}
+
+/**
+ * Reads the expense amounts from the daily entry form
+ * @function readExpenseForm
+ * @returns {Object} Amounts keyed by category id
+ */
+function readExpenseForm() {
+    const expenses = { ...unlistedExpenses };
+    expenseCategories.forEach(category => {
+        const input = document.getElementById(`expense-${category.id}`);
+        expenses[category.id] = parseFloat(input?.value) || 0;
+    });
+    return expenses;
+}
+
+/**
+ * Reads the GST paid entered for each expense
+ * Blank inputs are left out so the GST is worked out automatically.
+ *
+ * @function readExpenseGstForm
+ * @returns {Object} Entered GST keyed by category id
+ */
+function readExpenseGstForm() {
+    const expenseGst = { ...unlistedExpenseGst };
+    expenseCategories.forEach(category => {
+        const input = document.getElementById(`expense-gst-${category.id}`);
+        if (input && input.value !== '') {
+            expenseGst[category.id] = parseFloat(input.value) || 0;
+        }
+    });
+    return expenseGst;
+}
+
+/**
+ * Gets the GST paid within each expense on the form
+ * Combines entered GST with the automatic 5% for GST-inclusive categories.
+ *
+ * @function getFormExpenseGst
+ * @returns {Object} GST paid keyed by category id
+ */
+function getFormExpenseGst() {
+    return window.calculationEngine.resolveExpenseGst(readExpenseForm(), readExpenseGstForm(), expenseCategories);
+}
+
+/**
+ * Fills the expense inputs from an entry's expenses
+ * GST inputs are only filled where the GST differs from what would be
+ * worked out automatically, so amount edits keep updating it.
+ *
+ * @function populateExpenseForm
+ * @param {Object} expenses - Amounts keyed by category id
+ * @param {Object} [expenseGst={}] - GST paid keyed by category id
+ * @returns {void}
+ */
+function populateExpenseForm(expenses = {}, expenseGst = {}) {
+    const automaticGst = window.calculationEngine.resolveExpenseGst(expenses, {}, expenseCategories);
+
+    unlistedExpenses = {};
+    unlistedExpenseGst = {};
+    Object.entries(expenses).forEach(([categoryId, amount]) => {
+        if (!expenseCategories.some(category => category.id === categoryId) && amount) {
+            unlistedExpenses[categoryId] = amount;
+            if (expenseGst[categoryId]) {
+                unlistedExpenseGst[categoryId] = expenseGst[categoryId];
+            }
+        }
+    });
+
+    expenseCategories.forEach(category => {
+        const input = document.getElementById(`expense-${category.id}`);
+        if (input) {
+            input.value = expenses[category.id] || '';
+        }
+
+        const gstInput = document.getElementById(`expense-gst-${category.id}`);
+        if (gstInput) {
+            const gst = expenseGst[category.id] ?? '';
+            gstInput.value = gst !== '' && Number(gst) !== (automaticGst[category.id] || 0) ? gst : '';
+        }
+    });
+}
+
+/**
+ * Clears every expense input on the daily entry form
+ * @function clearExpenseForm
+ * @returns {void}
+ */
+function clearExpenseForm() {
+    populateExpenseForm({});
+}
+
+/**
+ * Checks whether any expense has been entered on the form
+ * @function hasExpenseInput
+ * @returns {boolean} True when any expense input has a value
+ */
+function hasExpenseInput() {
+    return Object.keys(unlistedExpenses).length > 0 || expenseCategories.some(category => {
+        const input = document.getElementById(`expense-${category.id}`);
+        const gstInput = document.getElementById(`expense-gst-${category.id}`);
+        return (input && input.value !== '') || (gstInput && gstInput.value !== '');
+    });
+}
+
+/**
+ * Builds display rows for the non-zero expenses of an entry or period
+ * Configured categories come first in their configured order.
+ *
+ * @function renderExpenseRows
+ * @param {Object} expenses - Amounts keyed by category id
+ * @param {Object} [options] - Display options
+ * @param {string} [options.rowClass='entry-row'] - CSS class for each row
+ * @param {string} [options.suffix=''] - Text after each category name, e.g. " Expenses"
+ * @returns {string} HTML rows
+ */
+function renderExpenseRows(expenses = {}, { rowClass = 'entry-row', suffix = '' } = {}) {
+    const money = window.calculationEngine.formatMoney;
+    const configuredIds = expenseCategories.map(category => category.id);
+    const ids = [...configuredIds, ...Object.keys(expenses).filter(id => !configuredIds.includes(id))];
+
+    return ids
+        .filter(id => Number(expenses[id]) > 0)
+        .map(id => `
+            <div class="${rowClass}">
+                <span>${window.uiManager.escapeHtml(getCategoryName(id))}${suffix}:</span>
+                <span>-$${money(expenses[id])}</span>
+            </div>`)
+        .join('');
+}
+
+/**
+ * Summarizes an entry's expenses on one line, e.g. for conflict dialogs
+ * @function formatExpenseSummary
+ * @param {Object} entry - Entry data
+ * @returns {string} Text such as "Hotel: $120.00, Parking: $8.00" or "None"
+ */
+function formatExpenseSummary(entry) {
+    const money = window.calculationEngine.formatMoney;
+    const expenses = window.calculationEngine.getEntryExpenses(entry);
+    const parts = Object.entries(expenses)
+        .filter(([, amount]) => Number(amount) > 0)
+        .map(([categoryId, amount]) => `${getCategoryName(categoryId)}: $${money(amount)}`);
+    return parts.length > 0 ? window.uiManager.escapeHtml(parts.join(', ')) : 'None';
+}
+
+// Make functions available globally
+window.expenseCategories = {
+    DEFAULT_EXPENSE_CATEGORIES,
+    normalizeExpenseCategories,
+    setExpenseCategories,
+    getExpenseCategories,
+    getCategoryName,
+    renderCategoryEditor,
+    addExpenseCategory,
+    removeExpenseCategory,
+    renderExpenseInputs,
+    readExpenseForm,
+    readExpenseGstForm,
+    getFormExpenseGst,
+    populateExpenseForm,
+    clearExpenseForm,
+    hasExpenseInput,
+    renderExpenseRows,
+    formatExpenseSummary
+};
@@ -0,0 +1,300 @@
+/**
+ * Fuel Log Module
+ * Records fuel fill-ups (litres, price per litre, odometer and vehicle) on
+ * the daily entry and builds the vehicle cost report comparing what each
+ * vehicle actually costs per kilometer with the kilometer rate paid.
+ * When a day has fill-ups, its fuel expense is their total.
+ */
+
+// Fill-ups on the daily entry form
+let fillUps = [];
+
+/**
+ * Gets the expense category fuel purchases are recorded under
+ * The original gas category, or else the first category on the T2125
+ * motor vehicle line.
+ *
+ * @function getFuelCategoryId
+ * @returns {string|null} Category id, or null when no category fits
+ */
+function getFuelCategoryId() {
+    const categories = window.expenseCategories.getExpenseCategories();
+    const fuel = categories.find(category => category.id === 'gas') ||
+        categories.find(category => category.t2125Line === '9281');
+    return fuel ? fuel.id : null;
+}
+
+/**
+ * Gets the expense categories counted as vehicle maintenance
+ * Categories on the T2125 motor vehicle or repairs lines, other than fuel.
+ *
+ * @function getMaintenanceCategoryIds
+ * @returns {Array<string>} Category ids
+ */
+function getMaintenanceCategoryIds() {
+    const fuelCategoryId = getFuelCategoryId();
+    return window.expenseCategories.getExpenseCategories()
+        .filter(category => category.id !== fuelCategoryId && ['9281', '8960'].includes(category.t2125Line))
+        .map(category => category.id);
+}
+
+/**
+ * Gets a copy of the fill-ups on the entry form
+ * @function getFillUps
+ * @returns {Array<Object>} Fill-ups with litres, pricePerLitre, cost, odometer and vehicleId
+ */
+function getFillUps() {
+    return fillUps.map(fillUp => ({ ...fillUp }));
+}
+
+/**
+ * Replaces the fill-ups on the entry form (used when editing an entry)
+ * @function setFillUps
+ * @param {Array<Object>} items - Saved fill-ups
+ * @returns {void}
+ */
+function setFillUps(items) {
+    fillUps = Array.isArray(items) ? items.map(fillUp => ({ ...fillUp })) : [];
+    renderFillUps();
+}
+
+/**
+ * Removes all fill-ups from the entry form
+ * @function clearFillUps
+ * @returns {void}
+ */
+function clearFillUps() {
+    setFillUps([]);
+}
+
+/**
+ * Checks whether the entry form has any fill-ups
+ * @function hasFillUps
+ * @returns {boolean} True when a fill-up has been added
+ */
+function hasFillUps() {
+    return fillUps.length > 0;
+}
+
+/**
+ * Adds a fill-up from the fuel inputs on the entry form
+ * The fill-up is recorded against the vehicle selected for the day.
+ *
+ * @function addFillUp
+ * @returns {void}
+ */
+function addFillUp() {
+    const litresInput = document.getElementById('fuel-litres');
+    const priceInput = document.getElementById('fuel-price');
+    const odometerInput = document.getElementById('fuel-odometer');
+    const litres = parseFloat(litresInput.value);
+    const pricePerLitre = parseFloat(priceInput.value);
+
+    if (isNaN(litres) || litres <= 0) {
+        window.uiManager.showNotification('Please enter the litres purchased', true);
+        return;
+    }
+    if (isNaN(pricePerLitre) || pricePerLitre <= 0) {
+        window.uiManager.showNotification('Please enter the price per litre', true);
+        return;
+    }
+    if (!getFuelCategoryId()) {
+        window.uiManager.showNotification('Add an expense category for fuel (T2125 line 9281) to record fill-ups', true);
+        return;
+    }
+
+    fillUps.push({
+        litres,
+        pricePerLitre,
+        cost: window.calculationEngine.calculateFillUpCost(litres, pricePerLitre),
+        odometer: odometerInput.value === '' ? null : parseFloat(odometerInput.value),
+        vehicleId: document.getElementById('vehicle').value
+    });
+
+    litresInput.value = '';
+    odometerInput.value = '';
+    renderFillUps();
+}
+
+/**
+ * Removes a fill-up from the entry form
+ * @function removeFillUp
+ * @param {number} index - Index of the fill-up
+ * @returns {void}
+ */
+function removeFillUp(index) {
+    fillUps.splice(index, 1);
+    renderFillUps();
+}
+
+/**
+ * Syncs the fuel expense input with the fill-ups
+ * With fill-ups present the fuel expense shows their total and is
+ * read-only; without them it is a plain manual entry field again.
+ *
+ * @function syncFuelExpense
+ * @returns {void}
+ */
+function syncFuelExpense() {
+    const fuelCategoryId = getFuelCategoryId();
+    const input = fuelCategoryId && document.getElementById(`expense-${fuelCategoryId}`);
+    if (!input) return;
+
+    if (fillUps.length > 0) {
+        const totalCents = fillUps.reduce((sum, fillUp) => sum + window.calculationEngine.toCents(fillUp.cost), 0);
+        input.value = window.calculationEngine.fromCents(totalCents);
+        input.readOnly = true;
+    } else if (input.readOnly) {
+        input.value = '';
+        input.readOnly = false;
+    }
+}
+
+/**
+ * Renders the entry form fill-ups and syncs the fuel expense
+ * @function renderFillUps
+ * @returns {void}
+ */
+function renderFillUps() {
+    const listElement = document.getElementById('fuel-fillups-list');
+    if (!listElement) return;
+    const money = window.calculationEngine.formatMoney;
+    const escapeHtml = window.uiManager.escapeHtml;
+
+    listElement.innerHTML = fillUps.map((fillUp, index) => `
+        <div class="work-item-row">
+            <span>${fillUp.litres} L @ $${fillUp.pricePerLitre}/L${fillUp.odometer !== null ? ` · ${window.vehicleManager.formatOdometer(fillUp.odometer)} km` : ''}${fillUp.vehicleId ? ` · ${escapeHtml(window.vehicleManager.getVehicleName(fillUp.vehicleId))}` : ''}</span>
+            <span>$${money(fillUp.cost)}
+                <button class="remove-work-item remove-fillup" data-index="${index}" title="Remove fill-up">✕</button>
+            </span>
+        </div>
+    `).join('');
+
+    listElement.querySelectorAll('.remove-fillup').forEach(button => {
+        button.addEventListener('click', () => removeFillUp(parseInt(button.dataset.index, 10)));
+    });
+
+    syncFuelExpense();
+    if (window.calculations?.calculateEarnings) {
+        window.calculations.calculateEarnings();
+    }
+}
+
+/**
+ * Builds the vehicle cost comparison for a calendar year
+ * @function buildVehicleCosts
+ * @param {Array<Object>} allEntries - All of the user's entries
+ * @param {number} year - Calendar year
+ * @returns {Array<Object>} Rows from calculationEngine.calculateVehicleCosts
+ */
+function buildVehicleCosts(allEntries, year) {
+    const entries = allEntries.filter(entry => entry.date >= `${year}-01-01` && entry.date <= `${year}-12-31`);
+    return window.calculationEngine.calculateVehicleCosts(
+        entries,
+        window.calculations.getCalculationSettings(),
+        window.vehicleManager.getVehicles(),
+        year,
+        { fuelCategoryId: getFuelCategoryId(), maintenanceCategoryIds: getMaintenanceCategoryIds() }
+    );
+}
+
+/**
+ * Renders the vehicle cost comparison
+ * @function renderVehicleCosts
+ * @param {Array<Object>} rows - Rows from buildVehicleCosts
+ * @param {number} year - Calendar year
+ * @returns {void}
+ */
+function renderVehicleCosts(rows, year) {
+    const container = document.getElementById('vehicle-cost-results');
+    const money = window.calculationEngine.formatMoney;
+    const escapeHtml = window.uiManager.escapeHtml;
+    const perKm = (value) => (value === null ? '—' : `$${value.toFixed(3)}/km`);
+    const row = (label, value, className = '') => `<div class="summary-row ${className}"><span>${label}</span><span>${value}</span></div>`;
+
+    container.innerHTML = rows.map(vehicle => `
+        <div class="gst-report-header"><strong>${escapeHtml(vehicle.name)}</strong> · ${year}</div>
+        ${row(vehicle.kmBasis === 'total' ? 'Total kilometers driven' : 'Business kilometers', `${window.vehicleManager.formatOdometer(vehicle.kms)} km`)}
+        ${row(`Fuel (${vehicle.fillUpCount} fill-up${vehicle.fillUpCount === 1 ? '' : 's'}, ${vehicle.litres} L)`, `$${money(vehicle.fuelCost)}`)}
+        ${row('Maintenance and other vehicle expenses', `$${money(vehicle.maintenanceCost)}`)}
+        ${row('Total vehicle cost', `$${money(vehicle.totalCost)}`)}
+        ${vehicle.fuelEconomy !== null ? row('Fuel economy', `${vehicle.fuelEconomy} L/100 km`) : ''}
+        ${row('<strong>Actual cost per km</strong>', perKm(vehicle.costPerKm), 'year-end-total')}
+        ${row('<strong>Kilometer rate paid</strong>', perKm(vehicle.reimbursedPerKm), 'year-end-total')}
+        ${vehicle.marginPerKm !== null ? `
+        <div class="reconciliation-summary${vehicle.marginPerKm < 0 ? ' flagged' : ''}">
+            ${vehicle.marginPerKm >= 0
+            ? `The km rate covers these costs with $${vehicle.marginPerKm.toFixed(3)}/km to spare`
+            : `The km rate falls short of these costs by $${(-vehicle.marginPerKm).toFixed(3)}/km`}
+        </div>` : ''}
+        ${vehicle.kmBasis === 'business' ? `<small class="gst-report-note">No ${year} odometer readings for this vehicle — costs are spread over business kilometers only, which overstates the cost per km if it was also driven personally.</small>` : ''}
+    `).join('') + '<small class="gst-report-note">Costs are the amounts paid, including GST. Vehicle expenses are the fuel category plus categories on the T2125 motor vehicle or repairs lines.</small>';
+}
+
+/**
+ * Loads entries and shows the vehicle cost comparison for the selected year
+ * @async
+ * @function loadVehicleCostReport
+ * @returns {Promise<void>}
+ */
+async function loadVehicleCostReport() {
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to build the vehicle cost report', true);
+        return;
+    }
+
+    const year = parseInt(document.getElementById('vehicle-cost-year').value, 10);
+    if (!year) {
+        window.uiManager.showNotification('Please enter the year for the vehicle cost report', true);
+        return;
+    }
+
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        const allEntries = await window.cloudStorage.getAllEntriesFromCloud(userId);
+        renderVehicleCosts(buildVehicleCosts(allEntries, year), year);
+    } catch (error) {
+        console.error('Error building vehicle cost report:', error);
+        window.uiManager.showNotification('Unable to build the vehicle cost report', true);
+    }
+}
+
+/**
+ * Toggles the vehicle cost report view, defaulting to the current year
+ * @async
+ * @function toggleVehicleCostReport
+ * @returns {Promise<void>}
+ */
+async function toggleVehicleCostReport() {
+    const section = document.getElementById('vehicle-cost-report');
+    if (!section.classList.contains('hidden')) {
+        section.classList.add('hidden');
+        return;
+    }
+
+    const yearInput = document.getElementById('vehicle-cost-year');
+    if (!yearInput.value) {
+        yearInput.value = new Date().getFullYear();
+    }
+
+    section.classList.remove('hidden');
+    await loadVehicleCostReport();
+}
+
+// Make functions available globally
+window.fuelLog = {
+    getFuelCategoryId,
+    getMaintenanceCategoryIds,
+    getFillUps,
+    setFillUps,
+    clearFillUps,
+    hasFillUps,
+    addFillUp,
+    removeFillUp,
+    syncFuelExpense,
+    renderFillUps,
+    buildVehicleCosts,
+    renderVehicleCosts,
+    loadVehicleCostReport,
+    toggleVehicleCostReport
+};
@@ -0,0 +1,169 @@
+/**
+ * GST Report Module
+ * Builds the GST/HST return for a chosen calendar quarter or year using the
+ * line numbers of the CRA GST34 return: GST collected on earnings, input tax
+ * credits (ITCs) for GST paid on expenses, and the net tax owing or refund.
+ */
+
+// GST34 lines shown in the report, in return order
+const GST34_LINES = [
+    { line: 'line101', number: '101', label: 'Sales and other revenue' },
+    { line: 'line103', number: '103', label: 'GST/HST collected or collectible' },
+    { line: 'line104', number: '104', label: 'Adjustments' },
+    { line: 'line105', number: '105', label: 'Total GST/HST and adjustments for period (103 + 104)' },
+    { line: 'line106', number: '106', label: 'Input tax credits (ITCs) for the current period' },
+    { line: 'line107', number: '107', label: 'Adjustments' },
+    { line: 'line108', number: '108', label: 'Total ITCs and adjustments (106 + 107)' },
+    { line: 'line109', number: '109', label: 'Net tax (105 − 108)' }
+];
+
+/**
+ * Gets the dates covered by a reporting period
+ * @function getReportingPeriod
+ * @param {string} period - 'Q1' to 'Q4' for a calendar quarter, or 'year'
+ * @param {number} year - Calendar year
+ * @returns {Object} Period with start, end (ISO dates) and label
+ */
+function getReportingPeriod(period, year) {
+    if (period === 'year') {
+        return { start: `${year}-01-01`, end: `${year}-12-31`, label: `${year}` };
+    }
+
+    const quarter = parseInt(period.slice(1), 10);
+    const startMonth = (quarter - 1) * 3 + 1;
+    const endMonth = startMonth + 2;
+    const lastDay = new Date(year, endMonth, 0).getDate();
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return {
+        start: `${year}-${pad(startMonth)}-01`,
+        end: `${year}-${pad(endMonth)}-${pad(lastDay)}`,
+        label: `Q${quarter} ${year}`
+    };
+}
+
+/**
+ * Builds the GST return for the entries in a reporting period
+ * @function buildGstReturn
+ * @param {Array<Object>} allEntries - All of the user's entries
+ * @param {Object} reportingPeriod - Period from getReportingPeriod
+ * @returns {Object} GST34 lines from calculationEngine.calculateGstReturn
+ */
+function buildGstReturn(allEntries, reportingPeriod) {
+    const entries = allEntries.filter(entry =>
+        entry.date >= reportingPeriod.start && entry.date <= reportingPeriod.end
+    );
+    return window.calculationEngine.calculateGstReturn(entries, window.calculations.getCalculationSettings());
+}
+
+/**
+ * Renders the GST return lines
+ * @function renderGstReturn
+ * @param {Object} gstReturn - Lines from buildGstReturn
+ * @param {Object} reportingPeriod - Period from getReportingPeriod
+ * @returns {void}
+ */
+function renderGstReturn(gstReturn, reportingPeriod) {
+    const container = document.getElementById('gst-report-results');
+    const money = window.calculationEngine.formatMoney;
+    const gstNumber = document.getElementById('gst-number').value.trim();
+    const formatShortDate = (date) => window.dateUtils.parseDate(date)
+        .toLocaleDateString('en-CA', { month: 'short', day: 'numeric', year: 'numeric' });
+
+    const notes = [];
+    if (!gstNumber) {
+        notes.push('No GST number in settings — only registrants file a GST34 return.');
+    }
+    if (!document.getElementById('gst-enabled').checked) {
+        notes.push('GST is turned off in settings, so no GST collected is counted.');
+    }
+
+    container.innerHTML = `
+        <div class="gst-report-header">
+            <strong>${reportingPeriod.label}</strong> (${formatShortDate(reportingPeriod.start)} – ${formatShortDate(reportingPeriod.end)})
+            · ${gstReturn.entryCount} ${gstReturn.entryCount === 1 ? 'entry' : 'entries'}
+            ${gstNumber ? `<div class="pay-calendar-period">GST/HST #: ${window.uiManager.escapeHtml(gstNumber)}</div>` : ''}
+        </div>
+        ${GST34_LINES.map(({ line, number, label }) => `
+        <div class="gst-line${line === 'line109' ? ' gst-net' : ''}">
+            <span class="gst-line-number">${number}</span>
+            <span class="gst-line-label">${label}</span>
+            <span class="gst-line-amount">${gstReturn[line] < 0 ? '-' : ''}$${money(Math.abs(gstReturn[line]))}</span>
+        </div>`).join('')}
+        <div class="reconciliation-summary${gstReturn.line109 > 0 ? ' flagged' : ''}">
+            ${gstReturn.line109 > 0
+            ? `Net tax owing: $${money(gstReturn.line109)}`
+            : gstReturn.line109 < 0 ? `Refund claimed: $${money(-gstReturn.line109)}` : 'No net tax owing'}
+        </div>
+        ${notes.map(note => `<small class="gst-report-note">${note}</small>`).join('')}
+        <small class="gst-report-note">Regular method. ITCs are the GST paid recorded on each expense, limited to each category's ITC share (50% for meals); keep the receipts.</small>
+    `;
+}
+
+/**
+ * Loads entries and shows the GST return for the selected period
+ * @async
+ * @function loadGstReport
+ * @returns {Promise<void>}
+ */
+async function loadGstReport() {
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to build the GST report', true);
+        return;
+    }
+
+    const year = parseInt(document.getElementById('gst-report-year').value, 10);
+    if (!year) {
+        window.uiManager.showNotification('Please enter the year to report on', true);
+        return;
+    }
+
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        const allEntries = await window.cloudStorage.getAllEntriesFromCloud(userId);
+        const reportingPeriod = getReportingPeriod(document.getElementById('gst-report-period').value, year);
+
+        renderGstReturn(buildGstReturn(allEntries, reportingPeriod), reportingPeriod);
+    } catch (error) {
+        console.error('Error building GST report:', error);
+        window.uiManager.showNotification('Unable to build the GST report', true);
+    }
+}
+
+/**
+ * Toggles the GST report view
+ * Defaults to the most recently completed quarter the first time it opens.
+ *
+ * @async
+ * @function toggleGstReport
+ * @returns {Promise<void>}
+ */
+async function toggleGstReport() {
+    const section = document.getElementById('gst-report');
+    if (!section.classList.contains('hidden')) {
+        section.classList.add('hidden');
+        return;
+    }
+
+    const yearInput = document.getElementById('gst-report-year');
+    if (!yearInput.value) {
+        const today = new Date();
+        const currentQuarter = Math.floor(today.getMonth() / 3) + 1;
+        const lastQuarter = currentQuarter === 1 ? 4 : currentQuarter - 1;
+        yearInput.value = currentQuarter === 1 ? today.getFullYear() - 1 : today.getFullYear();
+        document.getElementById('gst-report-period').value = `Q${lastQuarter}`;
+    }
+
+    section.classList.remove('hidden');
+    await loadGstReport();
+}
+
+// Make functions available globally
+window.gstReport = {
+    GST34_LINES,
+    getReportingPeriod,
+    buildGstReturn,
+    renderGstReturn,
+    loadGstReport,
+    toggleGstReport
+};
@@ -0,0 +1,309 @@
+/**
+ * Job Manager Module
+ * Handles several separate jobs within one day's entry. Each job has its own
+ * work order number, points (or work item line items), kilometers, locations
+ * and notes. The daily entry form edits one job at a time; the day's other
+ * jobs are listed above it. The entry document stays keyed by date and its
+ * day-level fields are rolled up from the jobs, so the pay period totals,
+ * travel sheet and maps still see a single day.
+ */
+
+// Jobs for the day other than the one currently in the form
+let otherJobs = [];
+
+// Position of the form's job among the day's jobs
+let currentJobIndex = 0;
+
+/**
+ * Reads the job currently in the daily entry form
+ * Points are derived from work item line items when there are any.
+ *
+ * @function readJobForm
+ * @returns {Object} Job with workOrder, points, lineItems, kms, landLocations and notes
+ */
+function readJobForm() {
+    const lineItems = window.workItems.getLineItems();
+    return {
+        workOrder: document.getElementById('work-order').value.trim(),
+        points: lineItems.length > 0
+            ? window.calculationEngine.calculateLineItemPoints(lineItems)
+            : parseFloat(document.getElementById('points').value) || 0,
+        lineItems,
+        kms: parseFloat(document.getElementById('kms').value) || 0,
+        landLocations: window.locationManager.getLandLocations(),
+        notes: document.getElementById('notes').value
+    };
+}
+
+/**
+ * Fills the job fields of the daily entry form
+ * @function populateJobForm
+ * @param {Object} job - Job to edit
+ * @returns {void}
+ */
+function populateJobForm(job) {
+    document.getElementById('work-order').value = job.workOrder || '';
+    window.workItems.setLineItems(job.lineItems || []);
+    document.getElementById('points').value = job.points || job.points === 0 ? job.points : '';
+    document.getElementById('kms').value = job.kms || job.kms === 0 ? job.kms : '';
+    window.locationManager.setLandLocations(job.landLocations || []);
+    document.getElementById('notes').value = job.notes || '';
+}
+
+/**
+ * Clears the job fields of the daily entry form
+ * @function clearJobForm
+ * @returns {void}
+ */
+function clearJobForm() {
+    document.getElementById('work-order').value = '';
+    window.workItems.clearLineItems();
+    document.getElementById('points').value = '';
+    document.getElementById('kms').value = '';
+    window.locationManager.clearLandLocations();
+    document.getElementById('notes').value = '';
+}
+
+/**
+ * Checks whether a job has no data at all
+ * @function isEmptyJob
+ * @param {Object} job - Job to check
+ * @returns {boolean} True when nothing has been entered for the job
+ */
+function isEmptyJob(job) {
+    return !job.workOrder && !job.points && !job.kms && !job.notes &&
+        (job.lineItems || []).length === 0 && (job.landLocations || []).length === 0;
+}
+
+/**
+ * Gets all of the day's jobs, including the one in the form
+ * @function getJobsForSave
+ * @returns {Array<Object>} Jobs in the order they were worked
+ */
+function getJobsForSave() {
+    const current = readJobForm();
+    const jobs = otherJobs.map(job => ({ ...job }));
+    if (!isEmptyJob(current)) {
+        jobs.splice(currentJobIndex, 0, current);
+    }
+    return jobs;
+}
+
+/**
+ * Checks whether the day's jobs need to be stored as separate jobs
+ * A single job without a work order is saved as a plain entry, exactly
+ * as before jobs existed.
+ *
+ * @function hasSeparateJobs
+ * @param {Array<Object>} jobs - The day's jobs
+ * @returns {boolean} True when the entry should keep a jobs array
+ */
+function hasSeparateJobs(jobs) {
+    return jobs.length > 1 || jobs.some(job => job.workOrder);
+}
+
+/**
+ * Rolls the day's jobs up into the entry's day-level fields
+ * Locations are joined in job order, dropping a repeated location where one
+ * job ends where the next begins. Notes are prefixed with the work order.
+ *
+ * @function rollUpJobs
+ * @param {Array<Object>} jobs - The day's jobs
+ * @returns {Object} Day fields: points, kms, lineItems, landLocations, notes
+ */
+function rollUpJobs(jobs) {
+    const { points, kms } = window.calculationEngine.getEntryQuantities({ jobs });
+
+    const landLocations = [];
+    jobs.forEach(job => {
+        (job.landLocations || []).forEach(location => {
+            if (landLocations[landLocations.length - 1] !== location) {
+                landLocations.push(location);
+            }
+        });
+    });
+
+    const labelled = hasSeparateJobs(jobs);
+    const notes = jobs
+        .filter(job => job.notes)
+        .map(job => (labelled && job.workOrder ? `WO ${job.workOrder}: ${job.notes}` : job.notes))
+        .join('\n');
+
+    return {
+        points,
+        kms,
+        lineItems: jobs.flatMap(job => job.lineItems || []),
+        landLocations,
+        notes
+    };
+}
+
+/**
+ * Loads an entry's jobs into the form for editing
+ * The last job goes into the form and the rest are listed; entries saved
+ * without jobs load as a single job.
+ *
+ * @function setJobs
+ * @param {Object} entry - Saved entry
+ * @returns {void}
+ */
+function setJobs(entry) {
+    if (Array.isArray(entry.jobs) && entry.jobs.length > 0) {
+        otherJobs = entry.jobs.slice(0, -1).map(job => ({ ...job }));
+        populateJobForm(entry.jobs[entry.jobs.length - 1]);
+    } else {
+        otherJobs = [];
+        populateJobForm(entry);
+    }
+    currentJobIndex = otherJobs.length;
+    renderJobList();
+}
+
+/**
+ * Removes all of the day's jobs and clears the job fields
+ * @function clearJobs
+ * @returns {void}
+ */
+function clearJobs() {
+    otherJobs = [];
+    currentJobIndex = 0;
+    clearJobForm();
+    renderJobList();
+}
+
+/**
+ * Gets the number of jobs listed besides the one in the form
+ * @function getOtherJobCount
+ * @returns {number} Count of listed jobs
+ */
+function getOtherJobCount() {
+    return otherJobs.length;
+}
+
+/**
+ * Gets the kilometers of the jobs listed besides the one in the form
+ * @function getOtherJobKms
+ * @returns {number} Kilometers of the listed jobs
+ */
+function getOtherJobKms() {
+    return window.calculationEngine.getEntryQuantities({ jobs: otherJobs }).kms;
+}
+
+/**
+ * Moves the job in the form into the day's job list and starts a new one
+ * @function addJob
+ * @returns {void}
+ */
+function addJob() {
+    const current = readJobForm();
+    if (isEmptyJob(current)) {
+        window.uiManager.showNotification('Enter the current job before adding another', true);
+        return;
+    }
+
+    otherJobs.splice(currentJobIndex, 0, current);
+    currentJobIndex = otherJobs.length;
+    clearJobForm();
+    renderJobList();
+    window.calculations.calculateEarnings();
+    document.getElementById('work-order').focus();
+}
+
+/**
+ * Opens a listed job in the form
+ * The job currently in the form goes back into the list; every job keeps
+ * its place in the day's order.
+ *
+ * @function editJob
+ * @param {number} index - Index of the listed job
+ * @returns {void}
+ */
+function editJob(index) {
+    const jobs = getJobsForSave();
+    const currentListed = !isEmptyJob(readJobForm()) && currentJobIndex <= index;
+    const position = index + (currentListed ? 1 : 0);
+
+    const [job] = jobs.splice(position, 1);
+    otherJobs = jobs;
+    currentJobIndex = position;
+
+    populateJobForm(job);
+    renderJobList();
+    window.calculations.calculateEarnings();
+}
+
+/**
+ * Removes a listed job after confirmation
+ * @function removeJob
+ * @param {number} index - Index of the listed job
+ * @returns {void}
+ */
+function removeJob(index) {
+    const job = otherJobs[index];
+    if (!confirm(`Remove job ${job.workOrder ? `WO ${job.workOrder}` : index + 1} from this day?`)) {
+        return;
+    }
+
+    otherJobs.splice(index, 1);
+    if (index < currentJobIndex) {
+        currentJobIndex--;
+    }
+    renderJobList();
+    window.calculations.calculateEarnings();
+}
+
+/**
+ * Renders the list of the day's other jobs above the job fields
+ * @function renderJobList
+ * @returns {void}
+ */
+function renderJobList() {
+    const listElement = document.getElementById('day-jobs');
+    if (!listElement) return;
+
+    // Job numbers follow the day's order, skipping the form's position
+    const jobNumber = (index) => (index < currentJobIndex ? index + 1 : index + 2);
+
+    listElement.innerHTML = otherJobs.map((job, index) => `
+        <div class="day-job-row" data-index="${index}" title="Edit this job">
+            <span><strong>${job.workOrder ? `WO ${window.uiManager.escapeHtml(job.workOrder)}` : `Job ${jobNumber(index)}`}</strong></span>
+            <span>${job.points} pts · ${job.kms} km
+                <button class="remove-job" data-index="${index}" title="Remove job">✕</button>
+            </span>
+        </div>
+    `).join('');
+
+    listElement.querySelectorAll('.day-job-row').forEach(row => {
+        row.addEventListener('click', (e) => {
+            if (e.target.classList.contains('remove-job')) return;
+            editJob(parseInt(row.dataset.index, 10));
+        });
+    });
+    listElement.querySelectorAll('.remove-job').forEach(button => {
+        button.addEventListener('click', () => removeJob(parseInt(button.dataset.index, 10)));
+    });
+
+    const heading = document.getElementById('current-job-label');
+    if (heading) {
+        heading.textContent = otherJobs.length > 0 ? `Job ${currentJobIndex + 1}` : 'Job';
+    }
+}
+
+// Make functions available globally
+window.jobManager = {
+    readJobForm,
+    populateJobForm,
+    clearJobForm,
+    isEmptyJob,
+    getJobsForSave,
+    hasSeparateJobs,
+    rollUpJobs,
+    setJobs,
+    clearJobs,
+    getOtherJobCount,
+    getOtherJobKms,
+    addJob,
+    editJob,
+    removeJob,
+    renderJobList
+};
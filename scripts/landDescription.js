@@ -0,0 +1,198 @@
+/**
+ * Land Description Module
+ * Parses Saskatchewan legal land descriptions in the Dominion Land Survey
+ * (DLS) system and converts them to approximate coordinates offline:
+ * - Quarter sections: NE-12-34-5-W3 (quarter, section, township, range, meridian)
+ * - Legal subdivisions: LSD 4-12-34-5-W3 or 04-12-034-05W3
+ * - Whole sections: 12-34-5-W3
+ * Townships are counted north from the 49th parallel and ranges west from
+ * the meridian, so the grid math lands within a few hundred metres of the
+ * real parcel; road allowances and correction lines are approximated.
+ */
+
+// Longitude of each DLS meridian (W1 is the Principal Meridian)
+const DLS_MERIDIANS = { 1: -97.4579, 2: -102, 3: -106, 4: -110, 5: -114, 6: -118 };
+
+// Side of a section including its share of road allowances
+const SECTION_KM = 1.62;
+
+// Kilometers per degree of latitude at prairie latitudes
+const KM_PER_DEGREE_LATITUDE = 111.2;
+
+/**
+ * Finds a grid square's column (counted from the east) and row (counted
+ * from the south) in the DLS back-and-forth numbering, where number 1 is
+ * in the south-east corner and the next row runs back the other way
+ *
+ * @function getGridPosition
+ * @param {number} number - Section (1–36) or LSD (1–16) number
+ * @param {number} perRow - Squares per row (6 for sections, 4 for LSDs)
+ * @returns {Object} Position with column and row
+ */
+function getGridPosition(number, perRow) {
+    const row = Math.floor((number - 1) / perRow);
+    const index = (number - 1) % perRow;
+    return { column: row % 2 === 0 ? index : perRow - 1 - index, row };
+}
+
+/**
+ * Parses a legal land description
+ * Accepts dashes or spaces between parts, an optional "LSD" prefix and an
+ * optional trailing "M" after the meridian (W3M).
+ *
+ * @function parseLandDescription
+ * @param {string} text - Land description as entered
+ * @returns {Object|null} Parsed description with type ('quarter'|'lsd'|'section'),
+ *   quarter, lsd, section, township, range, meridian and normalized text, or
+ *   null when the text isn't a valid description
+ */
+function parseLandDescription(text) {
+    let rest = String(text || '').toUpperCase().trim();
+    let quarter = null;
+    let hasLsdPrefix = false;
+
+    const quarterMatch = rest.match(/^(NE|NW|SE|SW)[\s-]*/);
+    const lsdMatch = rest.match(/^LSD[\s-]*/);
+    if (quarterMatch) {
+        quarter = quarterMatch[1];
+        rest = rest.slice(quarterMatch[0].length);
+    } else if (lsdMatch) {
+        hasLsdPrefix = true;
+        rest = rest.slice(lsdMatch[0].length);
+    }
+
+    const match = rest.match(/^(\d{1,3}(?:[\s-]+\d{1,3}){2,3})[\s-]*W\s*(\d)M?$/);
+    if (!match) return null;
+
+    const numbers = match[1].split(/[\s-]+/).map(part => parseInt(part, 10));
+    const meridian = parseInt(match[2], 10);
+    if (quarter && numbers.length !== 3) return null;
+    if (hasLsdPrefix && numbers.length !== 4) return null;
+
+    const [lsd, section, township, range] = numbers.length === 4 ? numbers : [null, ...numbers];
+    const valid = (lsd === null || (lsd >= 1 && lsd <= 16)) &&
+        section >= 1 && section <= 36 &&
+        township >= 1 && township <= 126 &&
+        range >= 1 && range <= 34 &&
+        DLS_MERIDIANS[meridian] !== undefined;
+    if (!valid) return null;
+
+    const base = `${section}-${township}-${range}-W${meridian}`;
+    const type = lsd !== null ? 'lsd' : (quarter ? 'quarter' : 'section');
+    return {
+        type,
+        quarter,
+        lsd,
+        section,
+        township,
+        range,
+        meridian,
+        normalized: type === 'lsd' ? `LSD ${lsd}-${base}` : (quarter ? `${quarter}-${base}` : base)
+    };
+}
+
+/**
+ * Checks whether text is a valid legal land description
+ * @function isLandDescription
+ * @param {string} text - Text to check
+ * @returns {boolean} True when the text parses as a DLS description
+ */
+function isLandDescription(text) {
+    return parseLandDescription(text) !== null;
+}
+
+/**
+ * Checks whether text is written like a land description, valid or not
+ * Used to catch typos such as a section over 36 instead of treating the
+ * text as a town name.
+ *
+ * @function looksLikeLandDescription
+ * @param {string} text - Text to check
+ * @returns {boolean} True when the text starts with a quarter or LSD prefix
+ *   followed by numbers, or ends with a numbered meridian
+ */
+function looksLikeLandDescription(text) {
+    const trimmed = String(text || '').trim();
+    return /^(NE|NW|SE|SW|LSD)[\s-]*\d/i.test(trimmed) || /\d[\s-]*W\s*\d+M?$/i.test(trimmed);
+}
+
+/**
+ * Converts a legal land description to the approximate centre of the parcel
+ * @function landDescriptionToCoordinates
+ * @param {string|Object} description - Land description text or a parsed description
+ * @returns {Object|null} Position with lat and lon, or null when not a valid description
+ */
+function landDescriptionToCoordinates(description) {
+    const parsed = typeof description === 'string' ? parseLandDescription(description) : description;
+    if (!parsed) return null;
+
+    // Position in sections west and north of the township's south-east corner
+    const sectionPosition = getGridPosition(parsed.section, 6);
+    let west = sectionPosition.column;
+    let north = sectionPosition.row;
+
+    if (parsed.type === 'lsd') {
+        const lsdPosition = getGridPosition(parsed.lsd, 4);
+        west += (lsdPosition.column + 0.5) / 4;
+        north += (lsdPosition.row + 0.5) / 4;
+    } else if (parsed.type === 'quarter') {
+        west += parsed.quarter.endsWith('W') ? 0.75 : 0.25;
+        north += parsed.quarter.startsWith('N') ? 0.75 : 0.25;
+    } else {
+        west += 0.5;
+        north += 0.5;
+    }
+
+    const northKm = ((parsed.township - 1) * 6 + north) * SECTION_KM;
+    const westKm = ((parsed.range - 1) * 6 + west) * SECTION_KM;
+    const lat = 49 + northKm / KM_PER_DEGREE_LATITUDE;
+    const kmPerDegreeLongitude = KM_PER_DEGREE_LATITUDE * Math.cos(lat * Math.PI / 180);
+    const lon = DLS_MERIDIANS[parsed.meridian] - westKm / kmPerDegreeLongitude;
+
+    return {
+        lat: Math.round(lat * 100000) / 100000,
+        lon: Math.round(lon * 100000) / 100000
+    };
+}
+
+/**
+ * Finds the quarter section containing a position
+ * The inverse of landDescriptionToCoordinates: the meridian is the nearest
+ * one to the east, then the township, range, section and quarter follow
+ * from the distance north of the 49th parallel and west of that meridian.
+ *
+ * @function coordinatesToLandDescription
+ * @param {Object} position - Position with lat and lon
+ * @returns {Object|null} Parsed quarter section description, or null when
+ *   the position is outside the DLS grid
+ */
+function coordinatesToLandDescription(position) {
+    const meridian = Object.keys(DLS_MERIDIANS)
+        .map(Number)
+        .filter(number => DLS_MERIDIANS[number] >= position.lon)
+        .sort((a, b) => DLS_MERIDIANS[a] - DLS_MERIDIANS[b])[0];
+    if (!meridian || position.lat < 49) return null;
+
+    const kmPerDegreeLongitude = KM_PER_DEGREE_LATITUDE * Math.cos(position.lat * Math.PI / 180);
+    const north = (position.lat - 49) * KM_PER_DEGREE_LATITUDE / SECTION_KM;
+    const west = (DLS_MERIDIANS[meridian] - position.lon) * kmPerDegreeLongitude / SECTION_KM;
+
+    const township = Math.floor(north / 6) + 1;
+    const range = Math.floor(west / 6) + 1;
+    const row = Math.floor(north - (township - 1) * 6);
+    const column = Math.floor(west - (range - 1) * 6);
+    const section = row * 6 + (row % 2 === 0 ? column : 5 - column) + 1;
+    const quarter = (north % 1 >= 0.5 ? 'N' : 'S') + (west % 1 >= 0.5 ? 'W' : 'E');
+
+    return parseLandDescription(`${quarter}-${section}-${township}-${range}-W${meridian}`);
+}
+
+// Make functions available globally
+window.landDescription = {
+    DLS_MERIDIANS,
+    parseLandDescription,
+    isLandDescription,
+    looksLikeLandDescription,
+    landDescriptionToCoordinates,
+    coordinatesToLandDescription
+};
@@ -7,34 +7,172 @@
  */
 
 /**
- * Prompts user to add a new land location and creates draggable element
- * Shows input prompt, creates new location element with drag functionality,
- * and updates location IDs. Called when user clicks the "Add Location" button.
+ * Adds the location typed in the location input and creates draggable element
+ * Creates new location element with drag functionality, updates location IDs
+ * and clears the input. Called when user clicks the "Add Location" button,
+ * presses Enter or picks a suggestion.
+ * Legal land descriptions are validated and stored in their standard form
+ * (NE-12-34-5-W3, LSD 4-12-34-5-W3).
  * 
  * @function addLandLocation
  * @returns {void}
  */
 function addLandLocation() {
-    const location = prompt('Enter land location:');
+    const input = document.getElementById('location-input');
+    let location = input.value;
 
-    if (location && location.trim() !== '') {
-        const landlocsDiv = document.getElementById('landlocs');
-        const locationElement = document.createElement('p');
-        locationElement.classList.add("landloc_p");
-        // Create an explicit content span so UI controls won't pollute the text
-        const contentSpan = document.createElement('span');
-        contentSpan.className = 'location-content';
-        contentSpan.textContent = location.trim();
-        locationElement.appendChild(contentSpan);
+    if (!location.trim()) {
+        input.focus();
+        window.locationSuggestions.renderSuggestions();
+        return;
+    }
 
-        // Enable drag-and-drop functionality
-        makeDraggable(locationElement);
+    if (window.landDescription.looksLikeLandDescription(location)) {
+        const parsed = window.landDescription.parseLandDescription(location);
+        if (!parsed) {
+            window.uiManager.showNotification(`"${location.trim()}" is not a valid land description — use a form like NE-12-34-5-W3 or LSD 4-12-34-5-W3`, true);
+            return;
+        }
+        location = parsed.normalized;
+    }
 
-        landlocsDiv.appendChild(locationElement);
+    appendLandLocation(location);
+    input.value = '';
+    window.locationSuggestions.renderSuggestions();
+    window.locationSuggestions.hideSuggestions();
+}
 
-        // Update sequential IDs after adding new location
-        updateLocationIds();
+/**
+ * Appends a location to the end of the land locations list
+ * @function appendLandLocation
+ * @param {string} location - Location text
+ * @returns {void}
+ */
+function appendLandLocation(location) {
+    const landlocsDiv = document.getElementById('landlocs');
+    const locationElement = document.createElement('p');
+    locationElement.classList.add("landloc_p");
+    // Create an explicit content span so UI controls won't pollute the text
+    const contentSpan = document.createElement('span');
+    contentSpan.className = 'location-content';
+    contentSpan.textContent = location.trim();
+    locationElement.appendChild(contentSpan);
+
+    // Enable drag-and-drop functionality
+    makeDraggable(locationElement);
+
+    landlocsDiv.appendChild(locationElement);
+
+    // Update sequential IDs after adding new location
+    updateLocationIds();
+}
+
+// A community this close to the GPS position is used instead of the land description
+const COMMUNITY_SNAP_KM = 3;
+
+// GPS accuracy (in meters) beyond which the position may be in the wrong quarter section
+const LOW_ACCURACY_METERS = 400;
+
+/**
+ * Converts a GPS position to the location text techs normally enter
+ * A nearby community's code comes first, then the quarter section the
+ * position falls in, and finally the raw coordinates.
+ *
+ * @function snapToKnownLocation
+ * @param {Object} position - Position with lat and lon
+ * @returns {Object} Snapped location with text and source ('community'|'land'|'gps')
+ */
+function snapToKnownLocation(position) {
+    const coordinates = window.communityCodes.COMMUNITY_COORDINATES;
+    let nearest = null;
+    Object.keys(coordinates).forEach(code => {
+        const [lat, lon] = coordinates[code];
+        const kms = window.routeEstimator.haversineKm(position, { lat, lon });
+        if (!nearest || kms < nearest.kms) {
+            nearest = { code, kms };
+        }
+    });
+    if (nearest && nearest.kms <= COMMUNITY_SNAP_KM) {
+        return { text: nearest.code, source: 'community' };
     }
+
+    const land = window.landDescription.coordinatesToLandDescription(position);
+    if (land) {
+        return { text: land.normalized, source: 'land' };
+    }
+
+    return { text: `${position.lat.toFixed(5)}, ${position.lon.toFixed(5)}`, source: 'gps' };
+}
+
+/**
+ * Shows how a captured location was found and how accurate the GPS fix was
+ * @function showLocationAccuracy
+ * @param {string} message - Message to show, or an empty string to clear it
+ * @param {boolean} [lowAccuracy=false] - Whether to flag the fix as imprecise
+ * @returns {void}
+ */
+function showLocationAccuracy(message, lowAccuracy = false) {
+    const indicator = document.getElementById('location-accuracy');
+    if (!indicator) return;
+    indicator.textContent = message;
+    indicator.classList.toggle('low-accuracy', lowAccuracy);
+}
+
+/**
+ * Adds the device's current position to the land locations list
+ * The position is snapped to a nearby community code or its quarter
+ * section. When location access is denied or unavailable the tech is
+ * told why and the location input is focused to type it instead.
+ *
+ * @function useCurrentLocation
+ * @returns {void}
+ */
+function useCurrentLocation() {
+    const fallBackToManualEntry = (reason) => {
+        showLocationAccuracy('');
+        window.uiManager.showNotification(`${reason} — enter the location instead`, true);
+        document.getElementById('location-input').focus();
+    };
+
+    if (!navigator.geolocation) {
+        fallBackToManualEntry('Location is not available on this device');
+        return;
+    }
+
+    const button = document.getElementById('use-my-location');
+    button.disabled = true;
+    showLocationAccuracy('📍 Finding your location…');
+
+    navigator.geolocation.getCurrentPosition(
+        (result) => {
+            button.disabled = false;
+            const accuracy = Math.round(result.coords.accuracy);
+            const snapped = snapToKnownLocation({ lat: result.coords.latitude, lon: result.coords.longitude });
+            const lowAccuracy = accuracy > LOW_ACCURACY_METERS;
+
+            appendLandLocation(snapped.text);
+            const sourceText = {
+                community: 'nearest community',
+                land: 'quarter section',
+                gps: 'GPS coordinates'
+            }[snapped.source];
+            showLocationAccuracy(
+                `📍 Added ${snapped.text} (${sourceText}, ±${accuracy} m)${lowAccuracy ? ' — low accuracy, check the location' : ''}`,
+                lowAccuracy
+            );
+        },
+        (error) => {
+            button.disabled = false;
+            console.error('Error getting current location:', error);
+            const reasons = {
+                1: 'Location permission was denied',
+                2: 'Your location could not be determined',
+                3: 'Finding your location took too long'
+            };
+            fallBackToManualEntry(reasons[error.code] || 'Unable to get your location');
+        },
+        { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+    );
 }
 
 /**
@@ -414,7 +552,23 @@ function updateLocationIds() {
 
     locationElements.forEach((element, index) => {
         element.id = `ll_${index}`;
+
+        // Flag unknown community codes so they're fixed before saving
+        const content = element.querySelector('.location-content');
+        const warning = content ? window.locationSuggestions.getLocationWarning(content.textContent) : null;
+        element.classList.toggle('unknown-location', Boolean(warning));
+        element.title = warning || '';
     });
+
+    // Locations changed - refresh the km estimate for the new route
+    if (window.routeEstimator) {
+        window.routeEstimator.updateKmEstimate();
+    }
+
+    // Any order suggestion was for the old list
+    if (window.routeOptimizer) {
+        window.routeOptimizer.hideOrderSuggestion();
+    }
 }
 
 /**
@@ -507,11 +661,20 @@ function setLandLocations(locations) {
 function clearLandLocations() {
     const landlocsDiv = document.getElementById('landlocs');
     landlocsDiv.innerHTML = '';
+
+    if (window.routeEstimator) {
+        window.routeEstimator.updateKmEstimate();
+    }
+    if (window.routeOptimizer) {
+        window.routeOptimizer.hideOrderSuggestion();
+    }
 }
 
 // Export functions for global access
 window.locationManager = {
     addLandLocation,
+    useCurrentLocation,
+    snapToKnownLocation,
     deleteLocation,
     initializeDragAndDrop,
     getLandLocations,
@@ -0,0 +1,346 @@
+/**
+ * Location Suggestions Module
+ * Type-ahead suggestions for the land location input, drawn from the
+ * user's favourite locations (pinned sites with custom labels, kept in
+ * settings), their recently used locations (kept on this device) and the
+ * community codes. Also flags unknown community codes before they're saved.
+ */
+
+// Most suggestions shown at once
+const MAX_SUGGESTIONS = 8;
+
+// Recently used locations remembered on this device
+const MAX_RECENT_LOCATIONS = 20;
+const RECENT_LOCATIONS_KEY = 'recentLocations';
+
+// Pinned locations with custom labels
+let favouriteLocations = [];
+
+/**
+ * Normalizes saved favourite locations
+ * @function normalizeFavouriteLocations
+ * @param {Array<Object>} saved - Saved favourites with location and label
+ * @returns {Array<Object>} Favourites with unique locations
+ */
+function normalizeFavouriteLocations(saved) {
+    if (!Array.isArray(saved)) return [];
+
+    const seen = new Set();
+    return saved
+        .map(favourite => ({
+            location: String(favourite.location || '').trim(),
+            label: String(favourite.label || favourite.location || '').trim()
+        }))
+        .filter(favourite => {
+            const key = favourite.location.toUpperCase();
+            if (!favourite.location || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Replaces the favourite locations (called when settings load)
+ * @function setFavouriteLocations
+ * @param {Array<Object>} saved - Saved favourites
+ * @returns {void}
+ */
+function setFavouriteLocations(saved) {
+    favouriteLocations = normalizeFavouriteLocations(saved);
+    renderFavouriteEditor();
+}
+
+/**
+ * Gets a copy of the favourite locations
+ * @function getFavouriteLocations
+ * @returns {Array<Object>} Favourites with location and label
+ */
+function getFavouriteLocations() {
+    return favouriteLocations.map(favourite => ({ ...favourite }));
+}
+
+/**
+ * Saves the favourite locations to the user's cloud settings
+ * @async
+ * @function saveFavouriteLocations
+ * @returns {Promise<boolean>} True when saved
+ */
+async function saveFavouriteLocations() {
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        await window.cloudStorage.saveSettingsToCloud(userId, {
+            favouriteLocations: getFavouriteLocations(),
+            lastModified: new Date().toISOString()
+        });
+        return true;
+    } catch (error) {
+        console.error('Error saving favourite locations:', error);
+        window.uiManager.showNotification('Error saving favourite locations', true);
+        return false;
+    }
+}
+
+/**
+ * Pins the location in the location input as a favourite
+ * Asks for a label (defaulting to the community name or the location) and
+ * replaces the label if the location is already pinned.
+ *
+ * @async
+ * @function pinLocation
+ * @returns {Promise<void>}
+ */
+async function pinLocation() {
+    const input = document.getElementById('location-input');
+    const location = input.value.trim();
+
+    if (!location) {
+        window.uiManager.showNotification('Enter a location to pin', true);
+        input.focus();
+        return;
+    }
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to pin locations', true);
+        return;
+    }
+
+    const existing = favouriteLocations.find(favourite => favourite.location.toUpperCase() === location.toUpperCase());
+    const defaultLabel = existing ? existing.label : getCommunityLabel(location) || location;
+    const label = prompt(`Label for ${location}:`, defaultLabel);
+    if (label === null) return;
+
+    const previous = getFavouriteLocations();
+    favouriteLocations = normalizeFavouriteLocations([
+        ...favouriteLocations.filter(favourite => favourite !== existing),
+        { location, label: label.trim() || location }
+    ]);
+
+    if (await saveFavouriteLocations()) {
+        renderFavouriteEditor();
+        window.uiManager.showNotification(`${location} pinned as "${label.trim() || location}"`);
+    } else {
+        favouriteLocations = previous;
+    }
+}
+
+/**
+ * Removes a favourite location after confirmation
+ * @async
+ * @function removeFavouriteLocation
+ * @param {string} location - Pinned location
+ * @returns {Promise<void>}
+ */
+async function removeFavouriteLocation(location) {
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to remove favourite locations', true);
+        return;
+    }
+    if (!confirm(`Unpin ${location}?`)) {
+        return;
+    }
+
+    const previous = getFavouriteLocations();
+    favouriteLocations = favouriteLocations.filter(favourite => favourite.location !== location);
+    if (await saveFavouriteLocations()) {
+        renderFavouriteEditor();
+    } else {
+        favouriteLocations = previous;
+    }
+}
+
+/**
+ * Renders the favourite locations list in the settings panel
+ * @function renderFavouriteEditor
+ * @returns {void}
+ */
+function renderFavouriteEditor() {
+    const editor = document.getElementById('favourite-location-list');
+    if (!editor) return;
+    const escapeHtml = window.uiManager.escapeHtml;
+
+    editor.innerHTML = favouriteLocations.length === 0
+        ? '<small>No favourite locations — pin one with ☆ Pin on the daily entry</small>'
+        : favouriteLocations.map((favourite, index) => `
+        <div class="expense-category-row">
+            <span>★ ${escapeHtml(favourite.label)} <small>${escapeHtml(favourite.location)}</small></span>
+            <button class="remove-expense-category remove-favourite-location" data-index="${index}" title="Unpin location">✕</button>
+        </div>
+    `).join('');
+
+    editor.querySelectorAll('.remove-favourite-location').forEach(button => {
+        button.addEventListener('click', () => {
+            removeFavouriteLocation(favouriteLocations[parseInt(button.dataset.index, 10)].location);
+        });
+    });
+}
+
+/**
+ * Gets the locations recently used on this device, most recent first
+ * @function getRecentLocations
+ * @returns {Array<string>} Recent locations
+ */
+function getRecentLocations() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(RECENT_LOCATIONS_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(location => typeof location === 'string') : [];
+    } catch (error) {
+        console.error('Error reading recent locations:', error);
+        return [];
+    }
+}
+
+/**
+ * Remembers the locations of a saved entry as recently used
+ * @function recordRecentLocations
+ * @param {Array<string>} locations - Locations from the saved entry
+ * @returns {void}
+ */
+function recordRecentLocations(locations) {
+    const used = (locations || []).map(location => location.trim()).filter(Boolean);
+    if (used.length === 0) return;
+
+    const usedKeys = new Set(used.map(location => location.toUpperCase()));
+    const recent = [
+        ...[...new Set(used)].reverse(),
+        ...getRecentLocations().filter(location => !usedKeys.has(location.toUpperCase()))
+    ].slice(0, MAX_RECENT_LOCATIONS);
+
+    localStorage.setItem(RECENT_LOCATIONS_KEY, JSON.stringify(recent));
+}
+
+/**
+ * Gets the community name for a community code, without the province
+ * @function getCommunityLabel
+ * @param {string} location - Location text
+ * @returns {string} Community name such as "Saskatoon", or an empty string for other locations
+ */
+function getCommunityLabel(location) {
+    const codes = window.communityCodes.getCommunityCodeTable();
+    const code = Object.keys(codes).find(key => key.toUpperCase() === location.trim().toUpperCase());
+    return code ? codes[code].replace(/, SK$/, '') : '';
+}
+
+/**
+ * Finds suggestions for what has been typed in the location input
+ * Favourites come first, then recent locations, then community codes
+ * (codes starting with the text, then names with a word starting with it,
+ * then names containing it). With nothing
+ * typed, favourites and recent locations are suggested.
+ *
+ * @function getSuggestions
+ * @param {string} query - Text typed so far
+ * @returns {Array<Object>} Suggestions with location, label and kind ('favourite'|'recent'|'community')
+ */
+function getSuggestions(query) {
+    const text = String(query || '').trim().toUpperCase();
+    const matches = (value) => value.toUpperCase().includes(text);
+    const suggestions = [];
+    const seen = new Set();
+    const add = (location, label, kind) => {
+        if (seen.has(location.toUpperCase())) return;
+        seen.add(location.toUpperCase());
+        suggestions.push({ location, label, kind });
+    };
+
+    favouriteLocations
+        .filter(favourite => matches(favourite.location) || matches(favourite.label))
+        .forEach(favourite => add(favourite.location, favourite.label, 'favourite'));
+
+    getRecentLocations()
+        .filter(matches)
+        .forEach(location => add(location, getCommunityLabel(location), 'recent'));
+
+    if (text) {
+        const names = window.communityCodes.getCommunityCodeTable();
+        const codes = Object.keys(names);
+        const wordStartsWith = (code) => names[code].toUpperCase().split(/[\s.,-]+/).some(word => word.startsWith(text));
+        codes.filter(code => code.toUpperCase().startsWith(text))
+            .concat(codes.filter(wordStartsWith))
+            .concat(codes.filter(code => matches(names[code])))
+            .forEach(code => add(code, getCommunityLabel(code) || names[code], 'community'));
+    }
+
+    return suggestions.slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Checks a location for problems worth flagging before it's saved
+ * @function getLocationWarning
+ * @param {string} location - Location text
+ * @returns {string|null} Warning message, or null when the location looks fine
+ */
+function getLocationWarning(location) {
+    const trimmed = String(location || '').trim();
+    if (!trimmed) return null;
+
+    if (window.communityCodes.isUnknownCommunityCode(trimmed)) {
+        return `"${trimmed}" is not a known community code`;
+    }
+    if (window.landDescription.looksLikeLandDescription(trimmed) && !window.landDescription.isLandDescription(trimmed)) {
+        return `"${trimmed}" is not a valid land description`;
+    }
+    return null;
+}
+
+/**
+ * Renders the suggestions and warning for the location input
+ * @function renderSuggestions
+ * @returns {void}
+ */
+function renderSuggestions() {
+    const input = document.getElementById('location-input');
+    const list = document.getElementById('location-suggestions');
+    const warning = document.getElementById('location-warning');
+    if (!input || !list) return;
+    const escapeHtml = window.uiManager.escapeHtml;
+    const icons = { favourite: '★', recent: '🕘', community: '' };
+
+    const suggestions = getSuggestions(input.value);
+    list.innerHTML = suggestions.map((suggestion, index) => `
+        <button type="button" class="location-suggestion" data-index="${index}">
+            ${icons[suggestion.kind]} <strong>${escapeHtml(suggestion.location)}</strong>
+            ${suggestion.label && suggestion.label !== suggestion.location ? `<small>${escapeHtml(suggestion.label)}</small>` : ''}
+        </button>
+    `).join('');
+    list.classList.toggle('hidden', suggestions.length === 0);
+
+    list.querySelectorAll('.location-suggestion').forEach(button => {
+        // Keep focus in the input so the list doesn't close before the click
+        button.addEventListener('mousedown', (event) => event.preventDefault());
+        button.addEventListener('click', () => {
+            input.value = suggestions[parseInt(button.dataset.index, 10)].location;
+            window.locationManager.addLandLocation();
+        });
+    });
+
+    if (warning) {
+        warning.textContent = getLocationWarning(input.value) ? `⚠️ ${getLocationWarning(input.value)}` : '';
+    }
+}
+
+/**
+ * Hides the suggestions list
+ * @function hideSuggestions
+ * @returns {void}
+ */
+function hideSuggestions() {
+    const list = document.getElementById('location-suggestions');
+    if (list) {
+        list.classList.add('hidden');
+    }
+}
+
+// Make functions available globally
+window.locationSuggestions = {
+    normalizeFavouriteLocations,
+    setFavouriteLocations,
+    getFavouriteLocations,
+    pinLocation,
+    removeFavouriteLocation,
+    renderFavouriteEditor,
+    getRecentLocations,
+    recordRecentLocations,
+    getSuggestions,
+    getLocationWarning,
+    renderSuggestions,
+    hideSuggestions
+};
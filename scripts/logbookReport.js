@@ -0,0 +1,203 @@
+/**
+ * Logbook Report Module
+ * Builds the annual vehicle logbook: each vehicle's business and personal
+ * kilometers and business-use percentage, plus the trip log (date,
+ * destination, purpose, odometer readings and distance) CRA expects a
+ * vehicle log to keep. The logbook can be exported to Excel.
+ */
+
+/**
+ * Builds the trip log rows for a year's entries
+ * Destinations are the day's locations and the purpose is the day's notes.
+ * Days without notes are left without a purpose rather than given a
+ * made-up one, so they can be filled in before the log is relied on.
+ *
+ * @function buildTripLog
+ * @param {Array<Object>} entries - Entries dated within the year
+ * @returns {Array<Object>} Trips with date, vehicle, destination, purpose, odometerStart, odometerEnd and kms
+ */
+function buildTripLog(entries) {
+    const defaultVehicle = window.vehicleManager.getVehicles()[0];
+
+    return entries
+        .map(entry => {
+            const { kms } = window.calculationEngine.getEntryQuantities(entry);
+            return {
+                date: entry.date,
+                vehicle: window.vehicleManager.getVehicleName(entry.vehicleId) || (defaultVehicle ? defaultVehicle.name : ''),
+                destination: (entry.landLocations || []).join(' → '),
+                purpose: String(entry.notes || '').split('\n').map(line => line.trim()).filter(Boolean).join('; '),
+                odometerStart: entry.odometerStart ?? null,
+                odometerEnd: entry.odometerEnd ?? null,
+                kms
+            };
+        })
+        .filter(trip => trip.kms > 0)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Builds the logbook for a calendar year
+ * @function buildLogbook
+ * @param {Array<Object>} allEntries - All of the user's entries
+ * @param {number} year - Calendar year
+ * @returns {Object} Logbook with year, vehicles (calculationEngine.calculateVehicleLogbook rows) and trips
+ */
+function buildLogbook(allEntries, year) {
+    const entries = allEntries.filter(entry => entry.date >= `${year}-01-01` && entry.date <= `${year}-12-31`);
+    return {
+        year,
+        vehicles: window.calculationEngine.calculateVehicleLogbook(entries, window.vehicleManager.getVehicles(), year),
+        trips: buildTripLog(entries)
+    };
+}
+
+/**
+ * Renders the logbook summary per vehicle
+ * @function renderLogbook
+ * @param {Object} logbook - Logbook from buildLogbook
+ * @returns {void}
+ */
+function renderLogbook(logbook) {
+    const container = document.getElementById('logbook-results');
+    const escapeHtml = window.uiManager.escapeHtml;
+    const formatKms = (kms) => (kms === null ? '—' : `${window.vehicleManager.formatOdometer(kms)} km`);
+    const missingReadings = logbook.vehicles.some(vehicle => vehicle.totalKms === null);
+    const missingPurposes = logbook.trips.filter(trip => !trip.purpose).length;
+
+    container.innerHTML = `
+        ${logbook.vehicles.map(vehicle => `
+        <div class="gst-report-header"><strong>${escapeHtml(vehicle.name)}</strong> · ${logbook.year} · ${vehicle.tripCount} ${vehicle.tripCount === 1 ? 'trip' : 'trips'}</div>
+        <div class="summary-row"><span>Opening odometer</span><span>${window.vehicleManager.formatOdometer(vehicle.openingOdometer)}</span></div>
+        <div class="summary-row"><span>Closing odometer</span><span>${window.vehicleManager.formatOdometer(vehicle.closingOdometer)}</span></div>
+        <div class="summary-row"><span>Total driven</span><span>${formatKms(vehicle.totalKms)}</span></div>
+        <div class="summary-row"><span>Business</span><span>${formatKms(vehicle.businessKms)}</span></div>
+        <div class="summary-row"><span>Personal</span><span>${formatKms(vehicle.personalKms)}</span></div>
+        <div class="summary-row year-end-total"><span>Business use</span><span>${vehicle.businessUsePercent === null ? '—' : `${vehicle.businessUsePercent}%`}</span></div>
+        `).join('')}
+        ${missingReadings ? `<small class="gst-report-note">Record each vehicle's opening and closing odometer readings for ${logbook.year} in settings to get personal kilometers and the business-use percentage.</small>` : ''}
+        ${missingPurposes > 0 ? `<small class="gst-report-note">${missingPurposes} ${missingPurposes === 1 ? 'trip has' : 'trips have'} no purpose — add notes to ${missingPurposes === 1 ? 'that day\'s entry' : 'those days\' entries'} describing the business reason for the trip.</small>` : ''}
+        ${window.vehicleManager.getVehicles().length === 0 ? '<small class="gst-report-note">No vehicles registered — all business kilometers are shown together.</small>' : ''}
+    `;
+}
+
+/**
+ * Loads entries and shows the logbook for the selected year
+ * @async
+ * @function loadLogbookReport
+ * @returns {Promise<Object|null>} The logbook, or null when it couldn't be built
+ */
+async function loadLogbookReport() {
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to build the vehicle logbook', true);
+        return null;
+    }
+
+    const year = parseInt(document.getElementById('logbook-year').value, 10);
+    if (!year) {
+        window.uiManager.showNotification('Please enter the year for the logbook', true);
+        return null;
+    }
+
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        const allEntries = await window.cloudStorage.getAllEntriesFromCloud(userId);
+        const logbook = buildLogbook(allEntries, year);
+        renderLogbook(logbook);
+        return logbook;
+    } catch (error) {
+        console.error('Error building vehicle logbook:', error);
+        window.uiManager.showNotification('Unable to build the vehicle logbook', true);
+        return null;
+    }
+}
+
+/**
+ * Toggles the vehicle logbook view
+ * Defaults to last year through April (tax season), otherwise this year.
+ *
+ * @async
+ * @function toggleLogbookReport
+ * @returns {Promise<void>}
+ */
+async function toggleLogbookReport() {
+    const section = document.getElementById('logbook-report');
+    if (!section.classList.contains('hidden')) {
+        section.classList.add('hidden');
+        return;
+    }
+
+    const yearInput = document.getElementById('logbook-year');
+    if (!yearInput.value) {
+        const today = new Date();
+        yearInput.value = today.getMonth() < 4 ? today.getFullYear() - 1 : today.getFullYear();
+    }
+
+    section.classList.remove('hidden');
+    await loadLogbookReport();
+}
+
+/**
+ * Exports the logbook to an Excel workbook
+ * One sheet with the per-vehicle summary and one with the trip log.
+ *
+ * @async
+ * @function exportLogbook
+ * @returns {Promise<void>}
+ */
+async function exportLogbook() {
+    const logbook = await loadLogbookReport();
+    if (!logbook) return;
+
+    try {
+        const workbook = new ExcelJS.Workbook();
+
+        const summarySheet = workbook.addWorksheet(`Vehicles ${logbook.year}`);
+        summarySheet.columns = [
+            { header: 'Vehicle', key: 'name', width: 24 },
+            { header: 'Opening Odometer', key: 'openingOdometer', width: 17 },
+            { header: 'Closing Odometer', key: 'closingOdometer', width: 17 },
+            { header: 'Total KMs', key: 'totalKms', width: 12 },
+            { header: 'Business KMs', key: 'businessKms', width: 14 },
+            { header: 'Personal KMs', key: 'personalKms', width: 14 },
+            { header: 'Business Use %', key: 'businessUsePercent', width: 15 },
+            { header: 'Trips', key: 'tripCount', width: 8 }
+        ];
+        logbook.vehicles.forEach(vehicle => summarySheet.addRow(vehicle));
+
+        const tripSheet = workbook.addWorksheet('Trip Log');
+        tripSheet.columns = [
+            { header: 'Date', key: 'date', width: 12 },
+            { header: 'Vehicle', key: 'vehicle', width: 20 },
+            { header: 'Destination', key: 'destination', width: 40 },
+            { header: 'Purpose', key: 'purpose', width: 32 },
+            { header: 'Odometer Start', key: 'odometerStart', width: 15 },
+            { header: 'Odometer End', key: 'odometerEnd', width: 15 },
+            { header: 'KMs', key: 'kms', width: 10 }
+        ];
+        logbook.trips.forEach(trip => {
+            tripSheet.addRow({ ...trip, date: window.excelManager.formatDateForExcel(trip.date) });
+        });
+
+        [summarySheet, tripSheet].forEach(sheet => {
+            sheet.getRow(1).font = { bold: true };
+        });
+
+        const techCode = await window.settingsManager.getTechCode();
+        await window.excelManager.downloadWorkbook(workbook, `${techCode || 'UNKNOWN'}_Vehicle_Logbook_${logbook.year}.xlsx`);
+        window.uiManager.showNotification('Vehicle logbook exported');
+    } catch (error) {
+        console.error('Error exporting vehicle logbook:', error);
+        window.uiManager.showNotification('Error exporting vehicle logbook', true);
+    }
+}
+
+// Make functions available globally
+window.logbookReport = {
+    buildTripLog,
+    buildLogbook,
+    renderLogbook,
+    loadLogbookReport,
+    toggleLogbookReport,
+    exportLogbook
+};
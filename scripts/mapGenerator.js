@@ -1,6 +1,7 @@
 /**
  * Map Generator Module
- * Generates Google Maps URLs from CSV data with location waypoints.
+ * Generates map URLs (for the provider chosen in settings, see
+ * mapProviders) from CSV data with location waypoints.
  * Supports different grouping options (day, week, pay period) and handles
  * both GPS coordinates and community codes for Saskatchewan locations.
  */
@@ -17,7 +18,7 @@ function isMobileDevice() {
 
 /**
  * Creates and displays clickable map links in the UI
- * @param {Array<string>} urls - Array of Google Maps URLs
+ * @param {Array<string>} urls - Array of map URLs
  * @param {string} groupLabel - Label for the group (day/week/period)
  */
 function displayMapLinks(urls, groupLabel) {
@@ -101,18 +102,8 @@ async function generateMaps(entries, grouping = 'day') {
 
             const mapUrls = generateMapUrls(dayGroups);
             
-            // Determine group label
-            let groupLabel = 'Maps';
-            if (grouping === 'day' && group.length > 0) {
-                groupLabel = `${window.dateUtils.formatDateForDisplay(group[0].date)} Maps`;
-            } else if (grouping === 'week') {
-                groupLabel = `Week ${groupIndex + 1} Maps`;
-            } else if (grouping === 'period') {
-                groupLabel = 'Pay Period Maps';
-            }
-            
             // Always display clickable links for all devices
-            displayMapLinks(mapUrls, groupLabel);
+            displayMapLinks(mapUrls, `${getGroupLabel(group, grouping, groupIndex)} Maps`);
             totalMapsGenerated += mapUrls.length;
             
             if (!isMobile) {
@@ -132,6 +123,32 @@ async function generateMaps(entries, grouping = 'day') {
     }
 }
 
+/**
+ * Gets the display label for a group of entries
+ * @function getGroupLabel
+ * @param {Array<Object>} group - Entries in the group
+ * @param {string} grouping - 'day', 'week' or 'period'
+ * @param {number} groupIndex - Position of the group in the pay period
+ * @returns {string} Label such as "Week 1" or "Pay Period"
+ */
+function getGroupLabel(group, grouping, groupIndex) {
+    if (grouping === 'day' && group.length > 0) {
+        return window.dateUtils.formatDateForDisplay(group[0].date);
+    } else if (grouping === 'week') {
+        return `Week ${groupIndex + 1}`;
+    } else if (grouping === 'period') {
+        return 'Pay Period';
+    }
+    return '';
+}
+
+/**
+ * Splits entries into the groups chosen for maps
+ * @function groupEntriesByOption
+ * @param {Array<Object>} entries - Entries with dates
+ * @param {string} grouping - 'day', 'week' or 'period'
+ * @returns {Array<Array<Object>>} Groups of entries
+ */
 function groupEntriesByOption(entries, grouping) {
     if (grouping === 'day') {
         const dateGroups = {};
@@ -232,10 +249,20 @@ function removeConsecutiveDuplicates(dayGroups) {
     return cleanedGroups.filter(day => day.locations.length > 0);
 }
 
-function generateMapUrls(dayGroups) {
+/**
+ * Builds map links for a group's days, chunked to the provider's waypoint limit
+ * Days are combined into one link while they fit; a day with more stops
+ * than the limit is split across links that share their boundary stop.
+ *
+ * @function generateMapUrls
+ * @param {Array<Object>} dayGroups - Array of {date, locations} objects
+ * @param {Object} [provider] - Map provider (defaults to the one chosen in settings)
+ * @returns {Array<string>} Map URLs
+ */
+function generateMapUrls(dayGroups, provider = window.mapProviders.getMapProvider()) {
     if (!dayGroups || dayGroups.length === 0) return [];
     
-    const maxWaypoints = 10;
+    const maxWaypoints = provider.maxWaypoints;
     const urls = [];
     
     let currentMapLocations = [];
@@ -244,11 +271,11 @@ function generateMapUrls(dayGroups) {
         const day = dayGroups[i];
         const dayLocations = day.locations;
         
-        // If this single day has more than 10 stops, it needs its own map(s)
+        // If this single day has more stops than the limit, it needs its own map(s)
         if (dayLocations.length > maxWaypoints) {
             // First, finish current map if it has locations
             if (currentMapLocations.length > 0) {
-                urls.push(createMapUrl(currentMapLocations));
+                urls.push(createMapUrl(currentMapLocations, provider));
                 currentMapLocations = [];
             }
             
@@ -258,9 +285,9 @@ function generateMapUrls(dayGroups) {
                 let endIndex = Math.min(startIndex + maxWaypoints, dayLocations.length);
                 let routeLocations = dayLocations.slice(startIndex, endIndex);
                 
-                urls.push(createMapUrl(routeLocations));
+                urls.push(createMapUrl(routeLocations, provider));
                 
-                if (endIndex < dayLocations.length) {
+                if (endIndex < dayLocations.length && maxWaypoints > 1) {
                     startIndex = endIndex - 1; // Overlap last stop with next map's first stop
                 } else {
                     startIndex = endIndex;
@@ -271,7 +298,7 @@ function generateMapUrls(dayGroups) {
             if (currentMapLocations.length + dayLocations.length > maxWaypoints) {
                 // Finish current map and start new one
                 if (currentMapLocations.length > 0) {
-                    urls.push(createMapUrl(currentMapLocations));
+                    urls.push(createMapUrl(currentMapLocations, provider));
                     currentMapLocations = [];
                 }
             }
@@ -283,29 +310,23 @@ function generateMapUrls(dayGroups) {
     
     // Don't forget the last map if it has locations
     if (currentMapLocations.length > 0) {
-        urls.push(createMapUrl(currentMapLocations));
+        urls.push(createMapUrl(currentMapLocations, provider));
     }
     
     return urls;
 }
 
-function createMapUrl(locations) {
+/**
+ * Creates a map URL for a list of locations
+ * @function createMapUrl
+ * @param {Array<string>} locations - Processed locations in visiting order
+ * @param {Object} provider - Map provider
+ * @returns {string} Map URL, or an empty string when there are no locations
+ */
+function createMapUrl(locations, provider) {
     if (locations.length === 0) return '';
     
-    const baseUrl = 'https://www.google.com/maps/dir/';
-    
-    const encodedLocations = locations.map(location => {
-        // Check if it's GPS coordinates (contains comma with numbers)
-        if (window.communityCodes.isGPSCoordinates(location)) {
-            // For coordinates: just remove spaces, don't add +
-            return encodeURIComponent(location.replace(/\s+/g, ''));
-        } else {
-            // For location names: replace spaces with +
-            return encodeURIComponent(location.replace(/\s+/g, '+'));
-        }
-    }).join('/');
-    
-    return baseUrl + encodedLocations + '/';
+    return provider.createUrl(locations);
 }
 
 function getMapGrouping() {
@@ -313,34 +334,46 @@ function getMapGrouping() {
     return checkedRadio ? checkedRadio.value : 'day';
 }
 
-async function handleGenerateMap() {
+/**
+ * Loads the current pay period's entries for maps
+ * Cloud first, falling back to entries kept in offline storage.
+ *
+ * @async
+ * @function loadPayPeriodEntries
+ * @returns {Promise<Array<Object>>} Entries in the current pay period
+ */
+async function loadPayPeriodEntries() {
+    let allEntries = [];
+    
+    // Cloud-first approach: load from cloud (authentication is guaranteed)
+    const userId = window.authManager.getCurrentUser().uid;
+    
     try {
-        let allEntries = [];
+        allEntries = await window.cloudStorage.getAllEntriesFromCloud(userId);
+        console.log(`📥 Map generator loaded ${allEntries.length} entries from cloud`);
         
-        // Cloud-first approach: load from cloud (authentication is guaranteed)
-        const userId = window.authManager.getCurrentUser().uid;
+    } catch (cloudError) {
+        console.warn('☁️ Could not load from cloud for map, checking offline storage:', cloudError);
         
+        // Fallback to offline storage if cloud fails
         try {
-            allEntries = await window.cloudStorage.getAllEntriesFromCloud(userId);
-            console.log(`📥 Map generator loaded ${allEntries.length} entries from cloud`);
-            
-        } catch (cloudError) {
-            console.warn('☁️ Could not load from cloud for map, checking offline storage:', cloudError);
-            
-            // Fallback to offline storage if cloud fails
-            try {
-                const offlineEntries = await window.dbFunctions.getAllFromDB('offline_entries');
-                allEntries = offlineEntries.filter(entry => entry.offlineAction === 'save');
-                console.log(`💾 Map generator loaded ${allEntries.length} entries from offline storage`);
-            } catch (offlineError) {
-                console.error('Failed to load from offline storage for map:', offlineError);
-                allEntries = [];
-            }
+            const offlineEntries = await window.dbFunctions.getAllFromDB('offline_entries');
+            allEntries = offlineEntries.filter(entry => entry.offlineAction === 'save');
+            console.log(`💾 Map generator loaded ${allEntries.length} entries from offline storage`);
+        } catch (offlineError) {
+            console.error('Failed to load from offline storage for map:', offlineError);
+            allEntries = [];
         }
-        const payPeriodEnd = window.dateUtils.getPayPeriodEnd(window.appState.currentPayPeriodStart);
-        const entries = allEntries.filter(entry => 
-            entry.date >= window.appState.currentPayPeriodStart && entry.date <= payPeriodEnd
-        );
+    }
+    const payPeriodEnd = window.dateUtils.getPayPeriodEnd(window.appState.currentPayPeriodStart);
+    return allEntries.filter(entry => 
+        entry.date >= window.appState.currentPayPeriodStart && entry.date <= payPeriodEnd
+    );
+}
+
+async function handleGenerateMap() {
+    try {
+        const entries = await loadPayPeriodEntries();
         
         if (entries.length === 0) {
             window.uiManager.showNotification('No entries found for current pay period', true);
@@ -359,5 +392,8 @@ async function handleGenerateMap() {
 window.mapGenerator = {
     generateMaps,
     handleGenerateMap,
+    loadPayPeriodEntries,
+    groupEntriesByOption,
+    getGroupLabel,
     getMapGrouping
 };
\ No newline at end of file
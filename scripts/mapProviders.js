@@ -0,0 +1,118 @@
+/**
+ * Map Providers Module
+ * URL builders for the route links made by mapGenerator. Each provider
+ * has its own waypoint limit and way of encoding locations; the one
+ * chosen in settings is used for every generated link.
+ */
+
+/**
+ * Encodes a processed location as a URL path segment
+ * Coordinates drop their spaces; names have spaces replaced with +.
+ *
+ * @function encodePathLocation
+ * @param {string} location - Location from communityCodes.processLocationForMaps
+ * @returns {string} URL-encoded location
+ */
+function encodePathLocation(location) {
+    if (window.communityCodes.isGPSCoordinates(location)) {
+        return encodeURIComponent(location.replace(/\s+/g, ''));
+    }
+    return encodeURIComponent(location.replace(/\s+/g, '+'));
+}
+
+/**
+ * Encodes a processed location as a URL query value
+ * @function encodeQueryLocation
+ * @param {string} location - Location from communityCodes.processLocationForMaps
+ * @returns {string} URL-encoded location
+ */
+function encodeQueryLocation(location) {
+    if (window.communityCodes.isGPSCoordinates(location)) {
+        return encodeURIComponent(location.replace(/\s+/g, ''));
+    }
+    return encodeURIComponent(location);
+}
+
+/**
+ * Formats a location's position as "lat,lon"
+ * @function formatPosition
+ * @param {string} location - Location from communityCodes.processLocationForMaps
+ * @returns {string|null} Coordinates, or null when the position is unknown
+ */
+function formatPosition(location) {
+    const position = window.communityCodes.getCoordinates(location);
+    return position ? `${position.lat},${position.lon}` : null;
+}
+
+// Supported providers; maxWaypoints is the most locations one link can hold
+const MAP_PROVIDERS = {
+    google: {
+        name: 'Google Maps',
+        maxWaypoints: 10,
+        createUrl: (locations) => `https://www.google.com/maps/dir/${locations.map(encodePathLocation).join('/')}/`
+    },
+    apple: {
+        // Apple Maps links take a start and a destination only, so each leg is its own link
+        name: 'Apple Maps',
+        maxWaypoints: 2,
+        createUrl: (locations) => (locations.length === 1
+            ? `https://maps.apple.com/?daddr=${encodeQueryLocation(locations[0])}&dirflg=d`
+            : `https://maps.apple.com/?saddr=${encodeQueryLocation(locations[0])}&daddr=${encodeQueryLocation(locations[1])}&dirflg=d`)
+    },
+    osm: {
+        // The OSRM demo map only takes coordinates; locations without a position are left out
+        name: 'OpenStreetMap (OSRM)',
+        maxWaypoints: 25,
+        createUrl: (locations) => `https://map.project-osrm.org/?${locations
+            .map(formatPosition)
+            .filter(Boolean)
+            .map(position => `loc=${encodeURIComponent(position)}`)
+            .join('&')}&srv=0`
+    },
+    waze: {
+        // Waze navigates to one destination at a time, so each stop is its own link
+        name: 'Waze',
+        maxWaypoints: 1,
+        createUrl: (locations) => {
+            const position = formatPosition(locations[0]);
+            return position
+                ? `https://waze.com/ul?ll=${encodeURIComponent(position)}&navigate=yes`
+                : `https://waze.com/ul?q=${encodeQueryLocation(locations[0])}&navigate=yes`;
+        }
+    }
+};
+
+const DEFAULT_MAP_PROVIDER = 'google';
+
+// Active provider, replaced from user settings via setMapProvider()
+let mapProviderId = DEFAULT_MAP_PROVIDER;
+
+/**
+ * Sets the map provider used for generated links
+ * Unknown providers fall back to Google Maps.
+ *
+ * @function setMapProvider
+ * @param {string} [providerId] - 'google', 'apple', 'osm' or 'waze'
+ * @returns {string} The provider id now in effect
+ */
+function setMapProvider(providerId) {
+    mapProviderId = MAP_PROVIDERS[providerId] ? providerId : DEFAULT_MAP_PROVIDER;
+    return mapProviderId;
+}
+
+/**
+ * Gets the active map provider
+ * @function getMapProvider
+ * @returns {Object} Provider with id, name, maxWaypoints and createUrl(locations)
+ */
+function getMapProvider() {
+    return { id: mapProviderId, ...MAP_PROVIDERS[mapProviderId] };
+}
+
+// Make functions available globally
+window.mapProviders = {
+    MAP_PROVIDERS,
+    DEFAULT_MAP_PROVIDER,
+    setMapProvider,
+    getMapProvider
+};
@@ -182,7 +182,7 @@ async function showConflictResolutionDialog(localEntry, cloudEntry) {
 
         const formatEntryData = (entry) => {
             const expenses = entry.expenses || {};
-            const totalExpenses = (expenses.hotel || 0) + (expenses.gas || 0) + (expenses.food || 0);
+            const totalExpenses = Object.values(expenses).reduce((sum, amount) => sum + (Number(amount) || 0), 0);
             return `
                 <div style="border: 1px solid #ddd; border-radius: 8px; padding: 16px; margin: 8px 0;">
                     <div style="font-weight: bold; margin-bottom: 8px;">${window.dateUtils?.formatDateForDisplay(entry.date) || entry.date}</div>
@@ -0,0 +1,114 @@
+/**
+ * Pay Calendar Module
+ * Lists upcoming pay dates from the configured pay schedule together with
+ * the projected payment for each pay period, so workers can see when money
+ * lands and roughly how much to expect.
+ */
+
+// Number of upcoming pay dates shown in the calendar
+const UPCOMING_PAY_DATE_COUNT = 6;
+
+/**
+ * Builds projected payments for the upcoming pay dates
+ * Each pay period's entries are totalled with calculatePayPeriodTotals;
+ * periods without entries project $0.00.
+ *
+ * @function buildPayProjections
+ * @param {Array<Object>} allEntries - All of the user's entries
+ * @param {number} [count=UPCOMING_PAY_DATE_COUNT] - Number of pay dates
+ * @returns {Array<Object>} Items with periodStart, periodEnd, payDate, entryCount and totals
+ */
+function buildPayProjections(allEntries, count = UPCOMING_PAY_DATE_COUNT) {
+    return window.dateUtils.getUpcomingPayDates(count).map(payPeriod => {
+        const entries = allEntries.filter(entry =>
+            entry.date >= payPeriod.periodStart && entry.date <= payPeriod.periodEnd
+        );
+
+        return {
+            ...payPeriod,
+            entryCount: entries.length,
+            totals: window.calculations.calculatePayPeriodTotals(entries)
+        };
+    });
+}
+
+/**
+ * Renders the upcoming pay dates list into the pay calendar container
+ *
+ * @function renderPayCalendar
+ * @param {Array<Object>} projections - Items from buildPayProjections
+ * @returns {void}
+ */
+function renderPayCalendar(projections) {
+    const container = document.getElementById('pay-calendar');
+    const money = window.calculationEngine.formatMoney;
+    const formatShortDate = (date) => window.dateUtils.parseDate(date)
+        .toLocaleDateString('en-CA', { month: 'short', day: 'numeric' });
+
+    container.innerHTML = `
+        <h3>Upcoming Pay Dates</h3>
+        ${projections.map(projection => `
+        <div class="pay-calendar-row">
+            <div>
+                <strong>${window.dateUtils.formatDateForDisplay(projection.payDate)}</strong>
+                <div class="pay-calendar-period">For ${formatShortDate(projection.periodStart)} – ${formatShortDate(projection.periodEnd)}</div>
+            </div>
+            <div class="pay-calendar-amount">
+                $${money(projection.totals.grossTotal)}
+                <div class="pay-calendar-period">${projection.entryCount > 0 ? `${projection.entryCount} ${projection.entryCount === 1 ? 'entry' : 'entries'} so far` : 'No entries yet'}</div>
+            </div>
+        </div>`).join('')}
+    `;
+}
+
+/**
+ * Loads entries and shows the upcoming pay dates with projected amounts
+ *
+ * @async
+ * @function showPayCalendar
+ * @returns {Promise<void>}
+ */
+async function showPayCalendar() {
+    const container = document.getElementById('pay-calendar');
+
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to project upcoming payments', true);
+        return;
+    }
+
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        const allEntries = await window.cloudStorage.getAllEntriesFromCloud(userId);
+
+        renderPayCalendar(buildPayProjections(allEntries));
+        container.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error building pay calendar:', error);
+        window.uiManager.showNotification('Unable to load upcoming pay dates', true);
+    }
+}
+
+/**
+ * Toggles the upcoming pay dates view
+ * Refreshes the projections every time the view is opened.
+ *
+ * @async
+ * @function togglePayCalendar
+ * @returns {Promise<void>}
+ */
+async function togglePayCalendar() {
+    const container = document.getElementById('pay-calendar');
+    if (!container.classList.contains('hidden')) {
+        container.classList.add('hidden');
+        return;
+    }
+    await showPayCalendar();
+}
+
+// Make functions available globally
+window.payCalendar = {
+    buildPayProjections,
+    renderPayCalendar,
+    showPayCalendar,
+    togglePayCalendar
+};
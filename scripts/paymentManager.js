@@ -0,0 +1,355 @@
+/**
+ * Payment Manager Module
+ * Records payments actually received (deposits and cheques) and reconciles
+ * them against each pay period's expected gross total, flagging short-pays
+ * and outstanding balances.
+ */
+
+// Number of past pay periods offered when assigning a payment
+const PAYMENT_PERIOD_CHOICES = 12;
+
+/**
+ * Finds the pay period a payment received on a date most likely covers
+ * That is the latest period whose expected pay date is on or before the
+ * received date; early payments fall back to the period containing the date.
+ *
+ * @function getPeriodForPaymentDate
+ * @param {string} date - ISO date the payment was received
+ * @returns {string} ISO date of the pay period start
+ */
+function getPeriodForPaymentDate(date) {
+    const containingStart = window.dateUtils.getPayPeriodStartForDate(date);
+    let periodStart = containingStart;
+
+    // Pay dates fall after their period ends, so a few steps back is enough
+    for (let i = 0; i < PAYMENT_PERIOD_CHOICES; i++) {
+        if (window.dateUtils.getPayDate(periodStart) <= date) {
+            return periodStart;
+        }
+        periodStart = window.dateUtils.getAdjacentPeriod(periodStart, -1);
+    }
+    return containingStart;
+}
+
+/**
+ * Builds the reconciliation of expected versus received pay per period
+ * Covers every period from the earliest entry or payment up to the current
+ * period, or the latest payment's period when that is later. A payment
+ * counts toward the period containing its recorded pay period start, so
+ * payments recorded before a pay schedule change still match. Amounts are
+ * compared in integer cents.
+ *
+ * Status per period:
+ * - 'paid': received matches expected
+ * - 'short': something was received but less than expected
+ * - 'outstanding': nothing received and the pay date has passed
+ * - 'upcoming': nothing received and the pay date has not arrived
+ * - 'overpaid': more received than expected
+ *
+ * @function buildReconciliation
+ * @param {Array<Object>} allEntries - All of the user's entries
+ * @param {Array<Object>} payments - All recorded payments
+ * @param {string} [today] - ISO date treated as today
+ * @returns {Array<Object>} Periods newest first with periodStart, periodEnd,
+ *   payDate, expected, received, balance, status and payments
+ */
+function buildReconciliation(allEntries, payments, today = null) {
+    const { toCents, fromCents } = window.calculationEngine;
+    const currentDate = today || window.dateUtils.formatDateForInput(new Date());
+    const currentStart = window.dateUtils.getPayPeriodStartForDate(currentDate);
+
+    // The date each payment is matched on: its recorded period, or the period its date covers
+    const paymentDates = new Map(payments
+        .filter(payment => payment.payPeriodStart || payment.date)
+        .map(payment => [payment, payment.payPeriodStart || getPeriodForPaymentDate(payment.date)]));
+
+    const dates = [...allEntries.map(entry => entry.date), ...paymentDates.values()].filter(Boolean);
+    if (dates.length === 0) return [];
+
+    const earliest = dates.reduce((min, date) => (date < min ? date : min));
+    const latestPayment = [...paymentDates.values()].reduce((max, date) => (date > max ? date : max), currentStart);
+    const lastStart = window.dateUtils.getPayPeriodStartForDate(latestPayment);
+    let periodStart = window.dateUtils.getPayPeriodStartForDate(earliest);
+    const periods = [];
+
+    while (periodStart <= lastStart) {
+        const periodEnd = window.dateUtils.getPayPeriodEnd(periodStart);
+        const payDate = window.dateUtils.getPayDate(periodStart);
+        const periodEntries = allEntries.filter(entry =>
+            entry.date >= periodStart && entry.date <= periodEnd
+        );
+        const periodPayments = [...paymentDates].filter(([, date]) =>
+            date >= periodStart && date <= periodEnd
+        ).map(([payment]) => payment);
+
+        const expectedCents = window.calculations.calculatePayPeriodTotals(periodEntries).cents.gross;
+        const receivedCents = periodPayments.reduce((sum, payment) => sum + toCents(payment.amount), 0);
+        const balanceCents = expectedCents - receivedCents;
+
+        let status = 'paid';
+        if (balanceCents < 0) {
+            status = 'overpaid';
+        } else if (balanceCents > 0 && receivedCents > 0) {
+            status = 'short';
+        } else if (balanceCents > 0) {
+            status = payDate <= currentDate ? 'outstanding' : 'upcoming';
+        }
+
+        if (expectedCents !== 0 || receivedCents !== 0) {
+            periods.push({
+                periodStart,
+                periodEnd,
+                payDate,
+                expected: fromCents(expectedCents),
+                received: fromCents(receivedCents),
+                balance: fromCents(balanceCents),
+                status,
+                payments: periodPayments
+            });
+        }
+
+        periodStart = window.dateUtils.getAdjacentPeriod(periodStart, 1);
+    }
+
+    return periods.reverse();
+}
+
+/**
+ * Fills the pay period picker for recording a payment
+ * Lists recent periods by pay date and pre-selects the period the
+ * received date most likely covers.
+ *
+ * @function updatePaymentPeriodOptions
+ * @returns {void}
+ */
+function updatePaymentPeriodOptions() {
+    const select = document.getElementById('payment-period');
+    const paymentDate = document.getElementById('payment-date').value ||
+        window.dateUtils.formatDateForInput(new Date());
+    const selectedStart = getPeriodForPaymentDate(paymentDate);
+
+    // Newest period first, starting from the one after the selection
+    let periodStart = window.dateUtils.getAdjacentPeriod(selectedStart, 1);
+    const options = [];
+    for (let i = 0; i < PAYMENT_PERIOD_CHOICES; i++) {
+        const periodEnd = window.dateUtils.getPayPeriodEnd(periodStart);
+        const label = `${formatShortDate(periodStart)} – ${formatShortDate(periodEnd)} (pay date ${formatShortDate(window.dateUtils.getPayDate(periodStart))})`;
+        options.push(`<option value="${periodStart}"${periodStart === selectedStart ? ' selected' : ''}>${label}</option>`);
+        periodStart = window.dateUtils.getAdjacentPeriod(periodStart, -1);
+    }
+    select.innerHTML = options.join('');
+}
+
+/**
+ * Formats an ISO date as a short label such as "Oct 10, 2026"
+ * @function formatShortDate
+ * @param {string} date - ISO date string
+ * @returns {string} Short date label
+ */
+function formatShortDate(date) {
+    return window.dateUtils.parseDate(date)
+        .toLocaleDateString('en-CA', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Renders the reconciliation summary and per-period rows
+ *
+ * @function renderReconciliation
+ * @param {Array<Object>} periods - Items from buildReconciliation
+ * @returns {void}
+ */
+function renderReconciliation(periods) {
+    const container = document.getElementById('reconciliation-results');
+    const money = window.calculationEngine.formatMoney;
+    const statusLabels = {
+        paid: 'Paid',
+        short: 'Short-paid',
+        outstanding: 'Outstanding',
+        upcoming: 'Not due yet',
+        overpaid: 'Overpaid'
+    };
+
+    if (periods.length === 0) {
+        container.innerHTML = '<p>No entries or payments to reconcile yet</p>';
+        return;
+    }
+
+    // Balance still owed for periods whose pay date has passed
+    const owedCents = periods
+        .filter(period => period.status === 'short' || period.status === 'outstanding')
+        .reduce((sum, period) => sum + window.calculationEngine.toCents(period.balance), 0);
+    const flaggedCount = periods.filter(period => period.status === 'short' || period.status === 'outstanding').length;
+
+    container.innerHTML = `
+        <div class="reconciliation-summary${owedCents > 0 ? ' flagged' : ''}">
+            ${owedCents > 0
+            ? `⚠️ $${money(owedCents / 100)} owed across ${flaggedCount} pay period${flaggedCount === 1 ? '' : 's'}`
+            : '✅ All pay periods due so far are paid'}
+        </div>
+        ${periods.map(period => `
+        <div class="reconciliation-row status-${period.status}">
+            <div class="reconciliation-header">
+                <strong>${formatShortDate(period.periodStart)} – ${formatShortDate(period.periodEnd)}</strong>
+                <span class="reconciliation-status">${statusLabels[period.status]}</span>
+            </div>
+            <div class="entry-row">
+                <span>Expected (pay date ${formatShortDate(period.payDate)}):</span>
+                <span>$${money(period.expected)}</span>
+            </div>
+            <div class="entry-row">
+                <span>Received:</span>
+                <span>$${money(period.received)}</span>
+            </div>
+            ${period.balance !== 0 ? `
+            <div class="entry-row">
+                <span><strong>${period.balance > 0 ? 'Balance Owed' : 'Overpaid By'}:</strong></span>
+                <span><strong>$${money(Math.abs(period.balance))}</strong></span>
+            </div>` : ''}
+            ${period.payments.map(payment => `
+            <div class="payment-item">
+                <span>${formatShortDate(payment.date)} · $${money(payment.amount)}${payment.reference ? ` · ${window.uiManager.escapeHtml(payment.reference)}` : ''}</span>
+                <button class="delete-payment-btn" data-payment-id="${payment.id}" title="Delete payment">✕</button>
+            </div>`).join('')}
+        </div>`).join('')}
+    `;
+
+    container.querySelectorAll('.delete-payment-btn').forEach(button => {
+        button.addEventListener('click', () => deletePayment(button.dataset.paymentId));
+    });
+}
+
+/**
+ * Loads entries and payments and refreshes the reconciliation view
+ *
+ * @async
+ * @function loadReconciliation
+ * @returns {Promise<void>}
+ */
+async function loadReconciliation() {
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to reconcile payments', true);
+        return;
+    }
+
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        const [allEntries, payments] = await Promise.all([
+            window.cloudStorage.getAllEntriesFromCloud(userId),
+            window.cloudStorage.getAllPaymentsFromCloud(userId)
+        ]);
+
+        renderReconciliation(buildReconciliation(allEntries, payments));
+    } catch (error) {
+        console.error('Error loading payment reconciliation:', error);
+        window.uiManager.showNotification('Unable to load payments', true);
+    }
+}
+
+/**
+ * Toggles the payments and reconciliation view
+ * Refreshes the reconciliation every time the view is opened.
+ *
+ * @async
+ * @function toggleReconciliation
+ * @returns {Promise<void>}
+ */
+async function toggleReconciliation() {
+    const section = document.getElementById('reconciliation');
+    if (!section.classList.contains('hidden')) {
+        section.classList.add('hidden');
+        return;
+    }
+
+    if (!document.getElementById('payment-date').value) {
+        document.getElementById('payment-date').value = window.dateUtils.formatDateForInput(new Date());
+    }
+    updatePaymentPeriodOptions();
+    section.classList.remove('hidden');
+    await loadReconciliation();
+}
+
+/**
+ * Records a payment from the payment form
+ * Validates the amount and date, saves to the cloud and refreshes the view.
+ *
+ * @async
+ * @function savePayment
+ * @returns {Promise<void>}
+ */
+async function savePayment() {
+    const date = document.getElementById('payment-date').value;
+    const amount = parseFloat(document.getElementById('payment-amount').value);
+    const reference = document.getElementById('payment-reference').value.trim();
+    const payPeriodStart = document.getElementById('payment-period').value;
+
+    if (!date) {
+        window.uiManager.showNotification('Please enter the date the payment was received', true);
+        return;
+    }
+    if (isNaN(amount) || amount <= 0) {
+        window.uiManager.showNotification('Please enter a payment amount greater than zero', true);
+        return;
+    }
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to record payments', true);
+        return;
+    }
+
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        await window.cloudStorage.savePaymentToCloud(userId, {
+            date,
+            amount: window.calculationEngine.fromCents(window.calculationEngine.toCents(amount)),
+            reference,
+            payPeriodStart
+        });
+
+        document.getElementById('payment-amount').value = '';
+        document.getElementById('payment-reference').value = '';
+        window.uiManager.showNotification('Payment recorded');
+        await loadReconciliation();
+    } catch (error) {
+        console.error('Error saving payment:', error);
+        window.uiManager.showNotification('Error recording payment', true);
+    }
+}
+
+/**
+ * Deletes a recorded payment after confirmation
+ *
+ * @async
+ * @function deletePayment
+ * @param {string} paymentId - Payment document ID
+ * @returns {Promise<void>}
+ */
+async function deletePayment(paymentId) {
+    if (!confirm('Delete this payment record?')) {
+        return;
+    }
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to delete payments', true);
+        return;
+    }
+
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        await window.cloudStorage.deletePaymentFromCloud(userId, paymentId);
+        window.uiManager.showNotification('Payment deleted');
+        await loadReconciliation();
+    } catch (error) {
+        console.error('Error deleting payment:', error);
+        window.uiManager.showNotification('Error deleting payment', true);
+    }
+}
+
+// Make functions available globally
+window.paymentManager = {
+    getPeriodForPaymentDate,
+    buildReconciliation,
+    updatePaymentPeriodOptions,
+    renderReconciliation,
+    loadReconciliation,
+    toggleReconciliation,
+    savePayment,
+    deletePayment
+};
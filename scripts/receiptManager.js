@@ -0,0 +1,393 @@
+/**
+ * Receipt Manager Module
+ * Handles receipt photos and PDFs attached to each expense category on the
+ * daily entry form. Files are uploaded through the cloudStorage layer as soon
+ * as they are picked; the entry keeps their metadata under `receipts`, keyed
+ * by expense category id like `expenses`. Also builds the per-pay-period
+ * receipts bundle for CRA records.
+ */
+
+// Largest receipt file accepted (phone photos are usually 2-6 MB)
+const MAX_RECEIPT_BYTES = 10 * 1024 * 1024;
+
+// Receipts on the daily entry form, keyed by expense category id
+let formReceipts = {};
+
+// Storage paths uploaded since the form was last loaded or saved; deleted
+// again if the form is discarded so they don't linger unreferenced
+let unsavedUploads = [];
+
+/**
+ * Creates a unique receipt ID
+ * @function createReceiptId
+ * @returns {string} ID such as "lq3x8k2a-4f9c1e"
+ */
+function createReceiptId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Checks whether a receipt is a PDF rather than an image
+ * @function isPdfReceipt
+ * @param {Object} receipt - Receipt metadata
+ * @returns {boolean} True for PDF receipts
+ */
+function isPdfReceipt(receipt) {
+    return receipt.contentType === 'application/pdf';
+}
+
+/**
+ * Uploads picked files and attaches them to an expense category
+ * Only images and PDFs up to MAX_RECEIPT_BYTES are accepted.
+ *
+ * @async
+ * @function attachReceipts
+ * @param {string} categoryId - Expense category id
+ * @param {FileList|Array<File>} files - Files from the camera or file picker
+ * @returns {Promise<void>}
+ */
+async function attachReceipts(categoryId, files) {
+    const accepted = Array.from(files || []).filter(file => {
+        if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
+            window.uiManager.showNotification(`${file.name} is not a photo or PDF`, true);
+            return false;
+        }
+        if (file.size > MAX_RECEIPT_BYTES) {
+            window.uiManager.showNotification(`${file.name} is larger than 10 MB`, true);
+            return false;
+        }
+        return true;
+    });
+    if (accepted.length === 0) return;
+
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to attach receipts', true);
+        return;
+    }
+
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        for (const file of accepted) {
+            const id = createReceiptId();
+            const { path, url } = await window.cloudStorage.uploadReceiptToCloud(userId, id, file);
+            unsavedUploads.push(path);
+
+            (formReceipts[categoryId] || (formReceipts[categoryId] = [])).push({
+                id,
+                name: file.name,
+                contentType: file.type,
+                size: file.size,
+                path,
+                url,
+                uploadedAt: new Date().toISOString()
+            });
+            renderReceiptList(categoryId);
+        }
+        window.uiManager.showNotification(`${accepted.length} receipt${accepted.length === 1 ? '' : 's'} attached — save the entry to keep ${accepted.length === 1 ? 'it' : 'them'}`);
+    } catch (error) {
+        console.error('Error attaching receipt:', error);
+        window.uiManager.showNotification('Error uploading receipt — it was not attached', true);
+    }
+}
+
+/**
+ * Removes a receipt from the form
+ * Receipts uploaded since the form loaded are deleted right away; saved
+ * receipts are deleted once the entry is saved without them.
+ *
+ * @function removeReceipt
+ * @param {string} categoryId - Expense category id
+ * @param {string} receiptId - Receipt ID
+ * @returns {void}
+ */
+function removeReceipt(categoryId, receiptId) {
+    const receipt = (formReceipts[categoryId] || []).find(item => item.id === receiptId);
+    if (!receipt) return;
+
+    formReceipts[categoryId] = formReceipts[categoryId].filter(item => item.id !== receiptId);
+    if (unsavedUploads.includes(receipt.path)) {
+        unsavedUploads = unsavedUploads.filter(path => path !== receipt.path);
+        window.cloudStorage.deleteReceiptFromCloud(receipt.path).catch(() => {});
+    }
+    renderReceiptList(categoryId);
+}
+
+/**
+ * Gets the form's receipts for saving with the entry
+ * @function getReceiptsForSave
+ * @returns {Object} Receipt lists keyed by expense category id (empty lists omitted)
+ */
+function getReceiptsForSave() {
+    const receipts = {};
+    Object.entries(formReceipts).forEach(([categoryId, items]) => {
+        if (items.length > 0) {
+            receipts[categoryId] = items.map(item => ({ ...item }));
+        }
+    });
+    return receipts;
+}
+
+/**
+ * Loads an entry's receipts into the form
+ * Discards any receipts uploaded for the previous, unsaved form.
+ *
+ * @function setReceipts
+ * @param {Object} [receipts={}] - Receipt lists keyed by expense category id
+ * @returns {void}
+ */
+function setReceipts(receipts = {}) {
+    discardUnsavedReceipts();
+    formReceipts = {};
+    Object.entries(receipts || {}).forEach(([categoryId, items]) => {
+        formReceipts[categoryId] = Array.isArray(items) ? items.map(item => ({ ...item })) : [];
+    });
+    renderAllReceiptLists();
+}
+
+/**
+ * Removes every receipt from the form
+ * @function clearReceipts
+ * @returns {void}
+ */
+function clearReceipts() {
+    setReceipts({});
+}
+
+/**
+ * Checks whether the form has any receipts
+ * @function hasReceipts
+ * @returns {boolean} True when at least one receipt is attached
+ */
+function hasReceipts() {
+    return Object.values(formReceipts).some(items => items.length > 0);
+}
+
+/**
+ * Marks the form's uploads as saved with the entry
+ * @function markReceiptsSaved
+ * @returns {void}
+ */
+function markReceiptsSaved() {
+    unsavedUploads = [];
+}
+
+/**
+ * Deletes uploads that were never saved with an entry
+ * @function discardUnsavedReceipts
+ * @returns {void}
+ */
+function discardUnsavedReceipts() {
+    unsavedUploads.forEach(path => {
+        window.cloudStorage.deleteReceiptFromCloud(path).catch(() => {});
+    });
+    unsavedUploads = [];
+}
+
+/**
+ * Deletes receipt files no longer referenced after an entry is saved
+ * Failures are logged only; the entry itself is already saved.
+ *
+ * @async
+ * @function deleteReplacedReceipts
+ * @param {Object} [previous={}] - Receipts of the entry before saving
+ * @param {Object} [current={}] - Receipts of the entry as saved
+ * @returns {Promise<void>}
+ */
+async function deleteReplacedReceipts(previous = {}, current = {}) {
+    const keptPaths = new Set(Object.values(current).flat().map(receipt => receipt.path));
+    const removed = Object.values(previous || {}).flat().filter(receipt => !keptPaths.has(receipt.path));
+    await deleteReceiptFiles({ removed });
+}
+
+/**
+ * Deletes every receipt file of an entry (used when the entry is deleted)
+ * @async
+ * @function deleteReceiptFiles
+ * @param {Object} [receipts={}] - Receipt lists keyed by expense category id
+ * @returns {Promise<void>}
+ */
+async function deleteReceiptFiles(receipts = {}) {
+    for (const receipt of Object.values(receipts || {}).flat()) {
+        try {
+            await window.cloudStorage.deleteReceiptFromCloud(receipt.path);
+        } catch (error) {
+            console.error('Error deleting receipt file:', receipt.path, error);
+        }
+    }
+}
+
+/**
+ * Builds thumbnail links for receipts
+ * Images show a thumbnail; PDFs show a document icon. Each opens the file.
+ *
+ * @function renderReceiptThumbnails
+ * @param {Array<Object>} receipts - Receipt metadata
+ * @returns {string} HTML thumbnails
+ */
+function renderReceiptThumbnails(receipts = []) {
+    const escapeHtml = window.uiManager.escapeHtml;
+    return receipts.map(receipt => `
+        <a class="receipt-thumb" href="${escapeHtml(receipt.url)}" target="_blank" rel="noopener" title="${escapeHtml(receipt.name)}">
+            ${isPdfReceipt(receipt)
+            ? '<span class="receipt-pdf">PDF</span>'
+            : `<img src="${escapeHtml(receipt.url)}" alt="${escapeHtml(receipt.name)}" loading="lazy">`}
+        </a>`).join('');
+}
+
+/**
+ * Renders one expense category's receipts on the entry form
+ * @function renderReceiptList
+ * @param {string} categoryId - Expense category id
+ * @returns {void}
+ */
+function renderReceiptList(categoryId) {
+    const listElement = document.getElementById(`receipts-${categoryId}`);
+    if (!listElement) return;
+
+    listElement.innerHTML = (formReceipts[categoryId] || []).map(receipt => `
+        <span class="receipt-item">
+            ${renderReceiptThumbnails([receipt])}
+            <button class="remove-receipt" data-category-id="${categoryId}" data-receipt-id="${receipt.id}" title="Remove receipt">✕</button>
+        </span>
+    `).join('');
+
+    listElement.querySelectorAll('.remove-receipt').forEach(button => {
+        button.addEventListener('click', () => removeReceipt(button.dataset.categoryId, button.dataset.receiptId));
+    });
+}
+
+/**
+ * Renders the receipts of every expense category on the entry form
+ * Called whenever the expense inputs are rebuilt.
+ *
+ * @function renderAllReceiptLists
+ * @returns {void}
+ */
+function renderAllReceiptLists() {
+    window.expenseCategories.getExpenseCategories().forEach(category => renderReceiptList(category.id));
+}
+
+/**
+ * Builds a file name for a receipt inside the bundle
+ * @function getBundleFileName
+ * @param {string} date - Entry date
+ * @param {string} categoryId - Expense category id
+ * @param {Object} receipt - Receipt metadata
+ * @param {number} index - 1-based position among the day's receipts for the category
+ * @returns {string} File name such as "2026-10-05_Hotel_1.jpg"
+ */
+function getBundleFileName(date, categoryId, receipt, index) {
+    const category = window.expenseCategories.getCategoryName(categoryId).replace(/[^A-Za-z0-9]+/g, '-');
+    const extension = (receipt.name.match(/\.([A-Za-z0-9]{1,5})$/) || [])[1] ||
+        (isPdfReceipt(receipt) ? 'pdf' : receipt.contentType.split('/')[1] || 'jpg');
+    return `${date}_${category}_${index}.${extension.toLowerCase()}`;
+}
+
+/**
+ * Exports the current pay period's receipts as a zip bundle
+ * The bundle holds every receipt file named by date and category, plus an
+ * Excel index of each expense with its receipts; expenses without a receipt
+ * are flagged so they can be chased up.
+ *
+ * @async
+ * @function exportReceiptsBundle
+ * @returns {Promise<void>}
+ */
+async function exportReceiptsBundle() {
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to export receipts', true);
+        return;
+    }
+
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        const allEntries = await window.cloudStorage.getAllEntriesFromCloud(userId);
+        const payPeriodStart = window.appState.currentPayPeriodStart;
+        const payPeriodEnd = window.dateUtils.getPayPeriodEnd(payPeriodStart);
+        const entries = allEntries
+            .filter(entry => entry.date >= payPeriodStart && entry.date <= payPeriodEnd)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        const zip = new JSZip();
+        const workbook = new ExcelJS.Workbook();
+        const indexSheet = workbook.addWorksheet('Receipts');
+        indexSheet.columns = [
+            { header: 'Date', key: 'date', width: 14 },
+            { header: 'Category', key: 'category', width: 20 },
+            { header: 'Amount', key: 'amount', width: 12 },
+            { header: 'GST Paid', key: 'gst', width: 12 },
+            { header: 'Receipt File', key: 'file', width: 36 }
+        ];
+        indexSheet.getRow(1).font = { bold: true };
+
+        const categories = window.expenseCategories.getExpenseCategories();
+        let fileCount = 0;
+
+        for (const entry of entries) {
+            const expenses = window.calculationEngine.getEntryExpenses(entry);
+            const expenseGst = window.calculationEngine.getEntryExpenseGst(entry, categories);
+            const receipts = entry.receipts || {};
+            const categoryIds = [...new Set([...Object.keys(expenses), ...Object.keys(receipts)])];
+
+            for (const categoryId of categoryIds) {
+                const amount = Number(expenses[categoryId]) || 0;
+                const items = receipts[categoryId] || [];
+                if (amount === 0 && items.length === 0) continue;
+
+                const row = {
+                    date: window.excelManager.formatDateForExcel(entry.date),
+                    category: window.expenseCategories.getCategoryName(categoryId),
+                    amount,
+                    gst: Number(expenseGst[categoryId]) || 0
+                };
+
+                if (items.length === 0) {
+                    indexSheet.addRow({ ...row, file: 'MISSING RECEIPT' });
+                    continue;
+                }
+
+                for (const [index, receipt] of items.entries()) {
+                    const fileName = getBundleFileName(entry.date, categoryId, receipt, index + 1);
+                    zip.file(fileName, await window.cloudStorage.getReceiptBlobFromCloud(receipt.path));
+                    indexSheet.addRow({ ...row, file: fileName });
+                    fileCount++;
+                }
+            }
+        }
+
+        if (fileCount === 0) {
+            window.uiManager.showNotification('No receipts attached in this pay period', true);
+            return;
+        }
+
+        const baseName = (await window.excelManager.generateFileName(payPeriodStart))
+            .replace('_Travel_', '_Receipts_')
+            .replace(/\.xlsx$/, '');
+        zip.file(`${baseName}_Index.xlsx`, await workbook.xlsx.writeBuffer());
+
+        window.excelManager.downloadBlob(await zip.generateAsync({ type: 'blob' }), `${baseName}.zip`);
+        window.uiManager.showNotification(`Exported ${fileCount} receipt${fileCount === 1 ? '' : 's'}`);
+    } catch (error) {
+        console.error('Error exporting receipts:', error);
+        window.uiManager.showNotification('Error exporting receipts', true);
+    }
+}
+
+// Make functions available globally
+window.receiptManager = {
+    MAX_RECEIPT_BYTES,
+    attachReceipts,
+    removeReceipt,
+    getReceiptsForSave,
+    setReceipts,
+    clearReceipts,
+    hasReceipts,
+    markReceiptsSaved,
+    discardUnsavedReceipts,
+    deleteReplacedReceipts,
+    deleteReceiptFiles,
+    renderReceiptThumbnails,
+    renderReceiptList,
+    renderAllReceiptLists,
+    exportReceiptsBundle
+};
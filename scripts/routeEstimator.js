@@ -0,0 +1,155 @@
+/**
+ * Route Estimator Module
+ * Estimates the day's driving distance from the ordered land locations
+ * without a network connection. Each leg is the straight-line distance
+ * between the stops' coordinates (communityCodes) stretched by a road
+ * factor, since grid and highway roads rarely run straight. The estimate
+ * is suggested for the kilometers field, with a warning when the entered
+ * kilometers are far from it.
+ */
+
+// Road distance is typically this much longer than the straight line
+const ROAD_DISTANCE_FACTOR = 1.2;
+
+// Entered kms further than both of these from the estimate get a warning
+const KM_MISMATCH_MIN_KMS = 20;
+const KM_MISMATCH_RATIO = 0.3;
+
+// Latest estimate for the form's locations, kept for "Use estimate"
+let currentEstimate = null;
+
+/**
+ * Calculates the great-circle distance between two positions
+ * @function haversineKm
+ * @param {Object} from - Position with lat and lon
+ * @param {Object} to - Position with lat and lon
+ * @returns {number} Straight-line distance in km
+ */
+function haversineKm(from, to) {
+    const EARTH_RADIUS_KM = 6371;
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLon = toRadians(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Estimates the road distance through locations in order
+ * Locations without known coordinates are skipped, so the route runs
+ * directly between the stops on either side of them.
+ *
+ * @function estimateRouteDistance
+ * @param {Array<string>} locations - Locations in the order they were visited
+ * @returns {Object} Estimate with kms (whole km), legs [{ from, to, kms }],
+ *   stops [{ location, position }], resolvedCount and unresolved (locations
+ *   without coordinates)
+ */
+function estimateRouteDistance(locations) {
+    const stops = [];
+    const unresolved = [];
+
+    (locations || []).forEach(location => {
+        const position = window.communityCodes.getCoordinates(location);
+        if (position) {
+            stops.push({ location, position });
+        } else if (location && location.trim()) {
+            unresolved.push(location);
+        }
+    });
+
+    const legs = [];
+    for (let i = 1; i < stops.length; i++) {
+        legs.push({
+            from: stops[i - 1].location,
+            to: stops[i].location,
+            kms: Math.round(haversineKm(stops[i - 1].position, stops[i].position) * ROAD_DISTANCE_FACTOR * 10) / 10
+        });
+    }
+
+    return {
+        kms: Math.round(legs.reduce((sum, leg) => sum + leg.kms, 0)),
+        legs,
+        stops,
+        resolvedCount: stops.length,
+        unresolved
+    };
+}
+
+/**
+ * Checks whether entered kilometers are far from an estimate
+ * @function isKmMismatch
+ * @param {number} enteredKms - Kilometers entered on the form
+ * @param {number} estimatedKms - Estimated route distance
+ * @returns {boolean} True when the difference is worth a warning
+ */
+function isKmMismatch(enteredKms, estimatedKms) {
+    const difference = Math.abs(enteredKms - estimatedKms);
+    return difference > KM_MISMATCH_MIN_KMS && difference > estimatedKms * KM_MISMATCH_RATIO;
+}
+
+/**
+ * Updates the kilometer estimate shown under the kilometers field
+ * The estimate becomes the field's placeholder; with kilometers entered,
+ * a large difference from the estimate is flagged.
+ *
+ * @function updateKmEstimate
+ * @returns {void}
+ */
+function updateKmEstimate() {
+    const display = document.getElementById('kms-estimate');
+    const kmsInput = document.getElementById('kms');
+    if (!display || !kmsInput) return;
+
+    const estimate = estimateRouteDistance(window.locationManager.getLandLocations());
+    currentEstimate = estimate.legs.length > 0 ? estimate : null;
+
+    if (!currentEstimate) {
+        display.innerHTML = '';
+        display.classList.remove('km-mismatch');
+        kmsInput.placeholder = '';
+        return;
+    }
+
+    const escapeHtml = window.uiManager.escapeHtml;
+    const enteredKms = parseFloat(kmsInput.value);
+    const mismatch = !isNaN(enteredKms) && isKmMismatch(enteredKms, estimate.kms);
+    const skipped = estimate.unresolved.length > 0
+        ? ` · not located: ${estimate.unresolved.map(escapeHtml).join(', ')}`
+        : '';
+
+    kmsInput.placeholder = `≈ ${estimate.kms}`;
+    display.classList.toggle('km-mismatch', mismatch);
+    display.innerHTML = `
+        ${mismatch ? `⚠️ ${enteredKms} km is far from the` : 'Estimated'} ≈ ${estimate.kms} km route through ${estimate.resolvedCount} locations${skipped}
+        ${enteredKms === estimate.kms ? '' : '<button type="button" id="use-km-estimate">Use estimate</button>'}
+    `;
+
+    const useButton = document.getElementById('use-km-estimate');
+    if (useButton) {
+        useButton.addEventListener('click', applyKmEstimate);
+    }
+}
+
+/**
+ * Fills the kilometers field with the current estimate
+ * @function applyKmEstimate
+ * @returns {void}
+ */
+function applyKmEstimate() {
+    if (!currentEstimate) return;
+    document.getElementById('kms').value = currentEstimate.kms;
+    updateKmEstimate();
+    window.calculations.calculateEarnings();
+}
+
+// Make functions available globally
+window.routeEstimator = {
+    ROAD_DISTANCE_FACTOR,
+    haversineKm,
+    estimateRouteDistance,
+    isKmMismatch,
+    updateKmEstimate,
+    applyKmEstimate
+};
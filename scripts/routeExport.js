@@ -0,0 +1,233 @@
+/**
+ * Route Export Module
+ * Exports the pay period's land locations as GPX or KML for Google Earth,
+ * OsmAnd or a fleet tool. Entries are grouped the same way as the map
+ * links (day, week or pay period), with one route per day and a named
+ * waypoint for every stop. There is no waypoint limit, so long days are
+ * never split. Stops without a known position are left out.
+ */
+
+/**
+ * Escapes text for use in XML content and attributes
+ * @function escapeXml
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Describes a stop for its waypoint
+ * Uses the favourite label, community name or land description.
+ *
+ * @function describeLocation
+ * @param {string} location - Location as entered
+ * @returns {string} Description, or an empty string when there's nothing to add
+ */
+function describeLocation(location) {
+    const upper = location.toUpperCase();
+    const favourite = window.locationSuggestions.getFavouriteLocations()
+        .find(saved => saved.location.toUpperCase() === upper);
+    if (favourite && favourite.label !== location) return favourite.label;
+
+    const codes = window.communityCodes.getCommunityCodeTable();
+    const code = Object.keys(codes).find(key => key.toUpperCase() === upper);
+    if (code) return codes[code];
+
+    const parsed = window.landDescription.parseLandDescription(location);
+    if (parsed && parsed.normalized !== location) return parsed.normalized;
+
+    return '';
+}
+
+/**
+ * Builds the export groups from entries
+ * @function buildExportGroups
+ * @param {Array<Object>} entries - Entries with date and landLocations
+ * @param {string} grouping - 'day', 'week' or 'period'
+ * @returns {Object} { groups: [{ name, days: [{ date, name, kms, stops: [{ number, location, description, lat, lon }] }] }], skipped }
+ */
+function buildExportGroups(entries, grouping) {
+    let skipped = 0;
+
+    const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date));
+    const groups = window.mapGenerator.groupEntriesByOption(sorted, grouping).map((group, groupIndex) => {
+        const locationsByDate = {};
+        group.forEach(entry => {
+            locationsByDate[entry.date] = (locationsByDate[entry.date] || [])
+                .concat((entry.landLocations || []).map(location => location.trim()).filter(Boolean));
+        });
+
+        const days = Object.keys(locationsByDate).sort().map(date => {
+            const locations = locationsByDate[date];
+            const stops = [];
+            locations.forEach(location => {
+                const position = window.communityCodes.getCoordinates(location);
+                if (!position) {
+                    skipped++;
+                    return;
+                }
+                stops.push({
+                    number: stops.length + 1,
+                    location,
+                    description: describeLocation(location),
+                    lat: position.lat,
+                    lon: position.lon
+                });
+            });
+            return {
+                date,
+                name: window.dateUtils.formatDateForDisplay(date),
+                kms: window.routeEstimator.estimateRouteDistance(locations).kms,
+                stops
+            };
+        }).filter(day => day.stops.length > 0);
+
+        return { name: window.mapGenerator.getGroupLabel(group, grouping, groupIndex), days };
+    }).filter(group => group.days.length > 0);
+
+    return { groups, skipped };
+}
+
+/**
+ * Creates a GPX 1.1 document with a waypoint per stop and a route per day
+ * @function createGpx
+ * @param {Array<Object>} groups - Groups from buildExportGroups
+ * @param {string} title - Document name
+ * @returns {string} GPX XML
+ */
+function createGpx(groups, title) {
+    const point = (tag, stop, indent) => `${indent}<${tag} lat="${stop.lat.toFixed(6)}" lon="${stop.lon.toFixed(6)}">
+${indent}    <name>${escapeXml(stop.location)}</name>${stop.description ? `
+${indent}    <desc>${escapeXml(stop.description)}</desc>` : ''}
+${indent}</${tag}>`;
+
+    // Each place gets one waypoint, however many times it's visited
+    const seen = new Set();
+    const waypoints = groups.flatMap(group => group.days.flatMap(day => day.stops))
+        .filter(stop => {
+            const key = stop.location.toUpperCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map(stop => point('wpt', stop, '    '));
+
+    let routeNumber = 0;
+    const routes = groups.flatMap(group => group.days.map(day => `    <rte>
+        <name>${escapeXml(group.name && group.name !== day.name ? `${group.name} – ${day.name}` : day.name)}</name>
+        <desc>${day.stops.length} stop${day.stops.length === 1 ? '' : 's'}, about ${day.kms} km</desc>
+        <number>${++routeNumber}</number>
+${day.stops.map(stop => point('rtept', stop, '        ')).join('\n')}
+    </rte>`));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="ProfitTracker" xmlns="http://www.topografix.com/GPX/1/1">
+    <metadata>
+        <name>${escapeXml(title)}</name>
+        <time>${new Date().toISOString()}</time>
+    </metadata>
+${waypoints.concat(routes).join('\n')}
+</gpx>
+`;
+}
+
+/**
+ * Creates a KML document with a folder per group and per day
+ * Each day has a line through its stops and a numbered placemark per stop.
+ *
+ * @function createKml
+ * @param {Array<Object>} groups - Groups from buildExportGroups
+ * @param {string} title - Document name
+ * @returns {string} KML XML
+ */
+function createKml(groups, title) {
+    const coordinates = (stop) => `${stop.lon.toFixed(6)},${stop.lat.toFixed(6)},0`;
+
+    const dayFolder = (day) => `            <Folder>
+                <name>${escapeXml(day.name)}</name>${day.stops.length > 1 ? `
+                <Placemark>
+                    <name>${escapeXml(day.name)} route</name>
+                    <description>${day.stops.length} stops, about ${day.kms} km</description>
+                    <styleUrl>#route</styleUrl>
+                    <LineString>
+                        <tessellate>1</tessellate>
+                        <coordinates>${day.stops.map(coordinates).join(' ')}</coordinates>
+                    </LineString>
+                </Placemark>` : ''}
+${day.stops.map(stop => `                <Placemark>
+                    <name>${stop.number}. ${escapeXml(stop.location)}</name>${stop.description ? `
+                    <description>${escapeXml(stop.description)}</description>` : ''}
+                    <Point><coordinates>${coordinates(stop)}</coordinates></Point>
+                </Placemark>`).join('\n')}
+            </Folder>`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+    <Document>
+        <name>${escapeXml(title)}</name>
+        <Style id="route">
+            <LineStyle><color>ffb45f1a</color><width>4</width></LineStyle>
+        </Style>
+${groups.map(group => (group.days.length === 1 && group.days[0].name === group.name
+        // Grouped by day: the day's folder is the group
+        ? dayFolder(group.days[0])
+        : `        <Folder>
+            <name>${escapeXml(group.name)}</name>
+${group.days.map(dayFolder).join('\n')}
+        </Folder>`)).join('\n')}
+    </Document>
+</kml>
+`;
+}
+
+/**
+ * Exports the current pay period's routes as a GPX or KML download
+ * Uses the grouping chosen for maps.
+ *
+ * @async
+ * @function exportRoutes
+ * @param {string} format - 'gpx' or 'kml'
+ * @returns {Promise<void>}
+ */
+async function exportRoutes(format) {
+    try {
+        const entries = await window.mapGenerator.loadPayPeriodEntries();
+        const { groups, skipped } = buildExportGroups(entries, window.mapGenerator.getMapGrouping());
+
+        if (groups.length === 0) {
+            window.uiManager.showNotification('No entries with mappable locations found', true);
+            return;
+        }
+
+        const title = `Routes – ${document.getElementById('current-pay-period')?.textContent || window.appState.currentPayPeriodStart}`;
+        const travelFileName = await window.excelManager.generateFileName(window.appState.currentPayPeriodStart);
+        const fileName = travelFileName.replace('_Travel_', '_Routes_').replace(/\.xlsx$/, `.${format}`);
+
+        const blob = format === 'kml'
+            ? new Blob([createKml(groups, title)], { type: 'application/vnd.google-earth.kml+xml' })
+            : new Blob([createGpx(groups, title)], { type: 'application/gpx+xml' });
+        window.excelManager.downloadBlob(blob, fileName);
+
+        const dayCount = groups.reduce((total, group) => total + group.days.length, 0);
+        const skippedText = skipped > 0 ? ` (${skipped} location${skipped === 1 ? '' : 's'} without a position left out)` : '';
+        window.uiManager.showNotification(`Exported ${dayCount} day route${dayCount === 1 ? '' : 's'} as ${format.toUpperCase()}${skippedText}`);
+    } catch (error) {
+        console.error('Error exporting routes:', error);
+        window.uiManager.showNotification('Error exporting routes', true);
+    }
+}
+
+// Make functions available globally
+window.routeExport = {
+    buildExportGroups,
+    createGpx,
+    createKml,
+    exportRoutes
+};
@@ -0,0 +1,337 @@
+/**
+ * Route Map Module
+ * Draws each day's ordered land locations as an SVG map without any map
+ * service: stop positions come from communityCodes (community, custom code,
+ * land description or GPS coordinates) over a bundled simplified outline
+ * of the prairie provinces. Stops are numbered in visiting order and each
+ * leg is labelled with its estimated road distance (routeEstimator). This
+ * module and the ones it draws from are precached by the service worker
+ * (sw.js ASSETS), so the view works offline and can be printed.
+ */
+
+// Simplified province boundaries as [lat, lon] vertices
+const PROVINCE_OUTLINES = [
+    {
+        name: 'Alberta',
+        label: [55.0, -115.0],
+        points: [[49.0, -110.0], [60.0, -110.0], [60.0, -120.0], [53.8, -120.0], [52.8, -118.5],
+            [51.5, -116.6], [50.2, -114.7], [49.0, -114.06]]
+    },
+    {
+        name: 'Saskatchewan',
+        label: [55.0, -106.0],
+        points: [[49.0, -110.0], [60.0, -110.0], [60.0, -102.0], [55.83, -101.88], [52.0, -101.55],
+            [49.0, -101.36]]
+    },
+    {
+        name: 'Manitoba',
+        label: [55.0, -98.0],
+        points: [[49.0, -101.36], [52.0, -101.55], [55.83, -101.88], [60.0, -102.0], [60.0, -94.8],
+            [58.77, -94.2], [56.85, -88.95], [52.83, -95.15], [49.38, -95.15], [49.0, -95.15]]
+    }
+];
+
+// SVG drawing area in pixels
+const MAP_WIDTH = 600;
+const MAP_HEIGHT = 400;
+const MAP_PADDING = 30;
+
+// Smallest area shown, in degrees of latitude, so short routes aren't over-zoomed
+const MIN_SPAN_DEGREES = 0.2;
+
+// Nearby communities are drawn for reference when the map is zoomed in this far
+const REFERENCE_MAX_KM_PER_PIXEL = 0.5;
+
+/**
+ * Builds the projection that fits a set of positions in the map area
+ * Equirectangular with longitude scaled by the cosine of the middle
+ * latitude, which keeps prairie distances in proportion.
+ *
+ * @function createProjection
+ * @param {Array<Object>} positions - Positions with lat and lon
+ * @returns {Object} Projection with project(position) → { x, y } and kmPerPixel
+ */
+function createProjection(positions) {
+    const lats = positions.map(position => position.lat);
+    const lons = positions.map(position => position.lon);
+    const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const lonScale = Math.cos(midLat * Math.PI / 180);
+
+    const latSpan = Math.max(Math.max(...lats) - Math.min(...lats), MIN_SPAN_DEGREES);
+    const lonSpan = Math.max((Math.max(...lons) - Math.min(...lons)) * lonScale, MIN_SPAN_DEGREES);
+    const scale = Math.min((MAP_WIDTH - 2 * MAP_PADDING) / lonSpan, (MAP_HEIGHT - 2 * MAP_PADDING) / latSpan);
+    const centerLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const centerLon = (Math.min(...lons) + Math.max(...lons)) / 2;
+
+    return {
+        project: (position) => ({
+            x: Math.round((MAP_WIDTH / 2 + (position.lon - centerLon) * lonScale * scale) * 10) / 10,
+            y: Math.round((MAP_HEIGHT / 2 - (position.lat - centerLat) * scale) * 10) / 10
+        }),
+        kmPerPixel: 111.2 / scale
+    };
+}
+
+/**
+ * Draws a scale bar of a round distance that fits in the corner of the map
+ * @function renderScaleBar
+ * @param {number} kmPerPixel - Map scale
+ * @returns {string} SVG markup
+ */
+function renderScaleBar(kmPerPixel) {
+    const kms = [1, 2, 5, 10, 20, 50, 100, 200, 500].filter(value => value / kmPerPixel <= 120).pop() || 1;
+    const length = Math.round(kms / kmPerPixel);
+    const y = MAP_HEIGHT - 12;
+    return `
+        <line x1="10" y1="${y}" x2="${10 + length}" y2="${y}" class="route-scale" />
+        <text x="${10 + length + 6}" y="${y + 4}" class="route-scale-label">${kms} km</text>`;
+}
+
+/**
+ * Builds the route for a list of locations
+ * @function buildRoute
+ * @param {Array<string>} locations - Locations in visiting order
+ * @returns {Object} routeEstimator estimate with stop numbers added to each stop
+ */
+function buildRoute(locations) {
+    const cleaned = (locations || []).map(location => location.trim()).filter(Boolean);
+    const estimate = window.routeEstimator.estimateRouteDistance(cleaned);
+    let stopNumber = 0;
+    const numbers = cleaned.map(location => (window.communityCodes.getCoordinates(location) ? ++stopNumber : null));
+    return {
+        ...estimate,
+        locations: cleaned,
+        numbers,
+        stops: estimate.stops.map((stop, index) => ({ ...stop, number: index + 1 }))
+    };
+}
+
+/**
+ * Renders a route as an SVG map
+ * Stops at the same spot (such as starting and ending at home) share one
+ * marker labelled with all of their numbers.
+ *
+ * @function renderRouteSvg
+ * @param {Object} route - Route from buildRoute
+ * @returns {string} SVG markup, or an empty string when no stop has a position
+ */
+function renderRouteSvg(route) {
+    if (route.stops.length === 0) return '';
+    const escapeHtml = window.uiManager.escapeHtml;
+    const { project, kmPerPixel } = createProjection(route.stops.map(stop => stop.position));
+
+    const outlines = PROVINCE_OUTLINES.map(province => {
+        const points = province.points.map(([lat, lon]) => project({ lat, lon }));
+        const label = project({ lat: province.label[0], lon: province.label[1] });
+        return `
+        <polygon points="${points.map(point => `${point.x},${point.y}`).join(' ')}" class="route-province" />
+        <text x="${label.x}" y="${label.y}" class="route-province-label">${province.name}</text>`;
+    }).join('');
+
+    // Faint community markers give a zoomed-in map some landmarks
+    const inView = (point) => point.x >= 0 && point.x <= MAP_WIDTH && point.y >= 0 && point.y <= MAP_HEIGHT;
+    const coordinates = window.communityCodes.COMMUNITY_COORDINATES;
+    const references = kmPerPixel > REFERENCE_MAX_KM_PER_PIXEL ? '' : Object.keys(coordinates)
+        .map(code => ({ code, point: project({ lat: coordinates[code][0], lon: coordinates[code][1] }) }))
+        .filter(reference => inView(reference.point))
+        .map(reference => `
+        <circle cx="${reference.point.x}" cy="${reference.point.y}" r="2" class="route-reference" />
+        <text x="${reference.point.x + 4}" y="${reference.point.y - 3}" class="route-reference-label">${escapeHtml(reference.code)}</text>`)
+        .join('');
+
+    const legs = route.legs.map((leg, index) => {
+        const from = project(route.stops[index].position);
+        const to = project(route.stops[index + 1].position);
+        return `
+        <line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" class="route-leg" />
+        <text x="${(from.x + to.x) / 2}" y="${(from.y + to.y) / 2 - 6}" class="route-leg-label">${leg.kms} km</text>`;
+    }).join('');
+
+    const markers = {};
+    route.stops.forEach(stop => {
+        const point = project(stop.position);
+        const key = `${point.x},${point.y}`;
+        markers[key] = markers[key] || { point, numbers: [], names: [] };
+        markers[key].numbers.push(stop.number);
+        markers[key].names.push(stop.location);
+    });
+    const stops = Object.values(markers).map(marker => `
+        <g class="route-stop">
+            <title>${escapeHtml(marker.names.join(', '))}</title>
+            <circle cx="${marker.point.x}" cy="${marker.point.y}" r="${marker.numbers.length > 1 ? 13 : 10}" />
+            <text x="${marker.point.x}" y="${marker.point.y + 4}">${marker.numbers.join(',')}</text>
+        </g>`).join('');
+
+    return `
+    <svg class="route-map" viewBox="0 0 ${MAP_WIDTH} ${MAP_HEIGHT}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="Route map">
+        <rect width="${MAP_WIDTH}" height="${MAP_HEIGHT}" class="route-background" />
+        ${outlines}
+        ${references}
+        ${legs}
+        ${stops}
+        ${renderScaleBar(kmPerPixel)}
+    </svg>`;
+}
+
+/**
+ * Renders a route's map, stop list and leg distances
+ * @function renderRoute
+ * @param {Object} route - Route from buildRoute
+ * @param {string} title - Heading for the route
+ * @returns {string} HTML markup
+ */
+function renderRoute(route, title) {
+    const escapeHtml = window.uiManager.escapeHtml;
+    const legKms = {};
+    route.legs.forEach((leg, index) => {
+        legKms[index + 2] = leg.kms;
+    });
+
+    return `
+    <div class="route-day">
+        <div class="gst-report-header"><strong>${escapeHtml(title)}</strong> · ≈ ${route.kms} km · ${route.stops.length} ${route.stops.length === 1 ? 'stop' : 'stops'}</div>
+        ${renderRouteSvg(route) || '<small class="gst-report-note">None of these locations has a known position.</small>'}
+        <table class="route-stops">
+            <tr><th>#</th><th>Location</th><th>Leg</th></tr>
+            ${route.locations.map((location, index) => {
+                const number = route.numbers[index];
+                return `
+            <tr${number === null ? ' class="route-unresolved"' : ''}>
+                <td>${number ?? '—'}</td>
+                <td>${escapeHtml(location)}${number === null ? ' <small>(not located)</small>' : ''}</td>
+                <td>${number !== null && legKms[number] !== undefined ? `${legKms[number]} km` : ''}</td>
+            </tr>`;
+            }).join('')}
+        </table>
+    </div>`;
+}
+
+/**
+ * Renders the route for each day of a set of entries
+ * @function renderDailyRoutes
+ * @param {Array<Object>} entries - Entries with date and landLocations
+ * @returns {string} HTML markup
+ */
+function renderDailyRoutes(entries) {
+    const days = entries
+        .filter(entry => (entry.landLocations || []).length > 0)
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    if (days.length === 0) {
+        return '<small class="gst-report-note">No entries with locations in this pay period.</small>';
+    }
+
+    return days.map(entry => renderRoute(
+        buildRoute(entry.landLocations),
+        window.dateUtils.formatDateForDisplay(entry.date)
+    )).join('') + `<small class="gst-report-note">Distances are straight lines × ${window.routeEstimator.ROAD_DISTANCE_FACTOR} for roads; province outlines are simplified.</small>`;
+}
+
+/**
+ * Toggles the pay period route view
+ * Entries come from the cloud or offline storage; drawing needs no connection.
+ *
+ * @async
+ * @function toggleRouteView
+ * @returns {Promise<void>}
+ */
+async function toggleRouteView() {
+    const section = document.getElementById('route-view');
+    if (!section.classList.contains('hidden')) {
+        section.classList.add('hidden');
+        return;
+    }
+
+    section.classList.remove('hidden');
+    try {
+        const entries = await window.mapGenerator.loadPayPeriodEntries();
+        document.getElementById('route-view-results').innerHTML = renderDailyRoutes(entries);
+    } catch (error) {
+        console.error('Error drawing route view:', error);
+        window.uiManager.showNotification('Unable to draw the route view', true);
+    }
+}
+
+/**
+ * Toggles the route view of the daily entry form's locations
+ * @function toggleFormRoute
+ * @returns {void}
+ */
+function toggleFormRoute() {
+    const container = document.getElementById('form-route-view');
+    if (!container.classList.contains('hidden')) {
+        container.classList.add('hidden');
+        return;
+    }
+
+    const locations = window.locationManager.getLandLocations();
+    if (locations.length === 0) {
+        window.uiManager.showNotification('Add locations to see the route', true);
+        return;
+    }
+
+    container.innerHTML = renderRoute(buildRoute(locations), 'This entry');
+    container.classList.remove('hidden');
+}
+
+/**
+ * Opens a printable page of the pay period route view
+ * @function printRouteView
+ * @returns {void}
+ */
+function printRouteView() {
+    const results = document.getElementById('route-view-results');
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        window.uiManager.showNotification('Allow pop-ups to print the route view', true);
+        return;
+    }
+
+    printWindow.document.write(`<!DOCTYPE html>
+        <html>
+        <head>
+            <title>Routes</title>
+            <style>
+                body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+                .route-day { page-break-inside: avoid; margin-bottom: 24px; }
+                .gst-report-header { margin: 8px 0; }
+                .route-map { width: 100%; max-width: 600px; border: 1px solid #999; }
+                .route-background { fill: #fff; }
+                .route-province { fill: #f4f1e8; stroke: #888; stroke-width: 1; }
+                .route-province-label { fill: #aaa; font-size: 14px; text-anchor: middle; }
+                .route-leg { stroke: #1a5fb4; stroke-width: 3; }
+                .route-leg-label { fill: #1a5fb4; font-size: 11px; text-anchor: middle; }
+                .route-stop circle { fill: #c01c28; stroke: #fff; stroke-width: 2; }
+                .route-stop text { fill: #fff; font-size: 11px; font-weight: bold; text-anchor: middle; }
+                .route-reference { fill: #999; }
+                .route-reference-label { fill: #999; font-size: 9px; }
+                .route-scale { stroke: #222; stroke-width: 2; }
+                .route-scale-label { font-size: 11px; }
+                table { border-collapse: collapse; margin-top: 8px; font-size: 12px; min-width: 300px; }
+                th, td { border: 1px solid #ccc; padding: 4px; text-align: left; }
+                .route-unresolved { color: #888; }
+                small { color: #555; }
+            </style>
+        </head>
+        <body>
+            <h1>Routes – ${window.uiManager.escapeHtml(document.getElementById('current-pay-period')?.textContent || '')}</h1>
+            ${results.innerHTML}
+        </body>
+        </html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+}
+
+// Make functions available globally
+window.routeMap = {
+    PROVINCE_OUTLINES,
+    createProjection,
+    buildRoute,
+    renderRouteSvg,
+    renderRoute,
+    renderDailyRoutes,
+    toggleRouteView,
+    toggleFormRoute,
+    printRouteView
+};
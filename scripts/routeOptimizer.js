@@ -0,0 +1,257 @@
+/**
+ * Route Optimizer Module
+ * Suggests a shorter visiting order for the daily entry's locations using
+ * the local coordinate table (communityCodes), so it works offline. The
+ * first and last stops stay fixed; stops without a known position keep
+ * their place in the list. The suggestion shows the km saved and is only
+ * applied to the draggable list when the user accepts it.
+ */
+
+// Up to this many movable stops are ordered exactly; longer days use 2-opt
+const MAX_EXACT_STOPS = 10;
+
+// Suggestions saving less than this aren't worth reordering for
+const MIN_SAVING_KMS = 1;
+
+// Suggested order waiting to be accepted or rejected
+let pendingSuggestion = null;
+
+/**
+ * Measures a path through positions
+ * @function pathKm
+ * @param {Array<Object>} positions - Positions with lat and lon, in order
+ * @returns {number} Straight-line length in km
+ */
+function pathKm(positions) {
+    let total = 0;
+    for (let i = 1; i < positions.length; i++) {
+        total += window.routeEstimator.haversineKm(positions[i - 1], positions[i]);
+    }
+    return total;
+}
+
+/**
+ * Finds the exact shortest order of stops between fixed ends
+ * Held-Karp dynamic programming over subsets of the stops.
+ *
+ * @function orderExactly
+ * @param {Array<Object>} stops - Movable stops with position
+ * @param {Object|null} start - Fixed start position
+ * @param {Object|null} end - Fixed end position
+ * @returns {Array<Object>} Stops in shortest order
+ */
+function orderExactly(stops, start, end) {
+    const count = stops.length;
+    const fullSet = (1 << count) - 1;
+    const distance = (from, to) => (from && to ? window.routeEstimator.haversineKm(from, to) : 0);
+
+    // best[set][last] = shortest path from start through set ending at stop last
+    const best = Array.from({ length: fullSet + 1 }, () => new Array(count).fill(Infinity));
+    const previous = Array.from({ length: fullSet + 1 }, () => new Array(count).fill(-1));
+    stops.forEach((stop, index) => {
+        best[1 << index][index] = distance(start, stop.position);
+    });
+
+    for (let set = 1; set <= fullSet; set++) {
+        for (let last = 0; last < count; last++) {
+            if (!(set & (1 << last)) || best[set][last] === Infinity) continue;
+            for (let next = 0; next < count; next++) {
+                if (set & (1 << next)) continue;
+                const nextSet = set | (1 << next);
+                const length = best[set][last] + distance(stops[last].position, stops[next].position);
+                if (length < best[nextSet][next]) {
+                    best[nextSet][next] = length;
+                    previous[nextSet][next] = last;
+                }
+            }
+        }
+    }
+
+    let last = 0;
+    for (let index = 1; index < count; index++) {
+        if (best[fullSet][index] + distance(stops[index].position, end) <
+            best[fullSet][last] + distance(stops[last].position, end)) {
+            last = index;
+        }
+    }
+
+    const order = [];
+    let set = fullSet;
+    while (last !== -1) {
+        order.unshift(stops[last]);
+        const before = previous[set][last];
+        set &= ~(1 << last);
+        last = before;
+    }
+    return order;
+}
+
+/**
+ * Finds a short order of stops between fixed ends
+ * Nearest neighbour from the start, then 2-opt reversals until no
+ * reversal shortens the path.
+ *
+ * @function orderHeuristically
+ * @param {Array<Object>} stops - Movable stops with position
+ * @param {Object|null} start - Fixed start position
+ * @param {Object|null} end - Fixed end position
+ * @returns {Array<Object>} Stops in a short order
+ */
+function orderHeuristically(stops, start, end) {
+    const remaining = [...stops];
+    const order = [];
+    let current = start || remaining[0].position;
+    while (remaining.length > 0) {
+        let nearest = 0;
+        remaining.forEach((stop, index) => {
+            if (window.routeEstimator.haversineKm(current, stop.position) <
+                window.routeEstimator.haversineKm(current, remaining[nearest].position)) {
+                nearest = index;
+            }
+        });
+        const [stop] = remaining.splice(nearest, 1);
+        order.push(stop);
+        current = stop.position;
+    }
+
+    const lengthOf = (candidate) => pathKm([start, ...candidate.map(stop => stop.position), end].filter(Boolean));
+    let improved = true;
+    let bestOrder = order;
+    while (improved) {
+        improved = false;
+        for (let i = 0; i < bestOrder.length - 1; i++) {
+            for (let j = i + 1; j < bestOrder.length; j++) {
+                const candidate = [...bestOrder.slice(0, i), ...bestOrder.slice(i, j + 1).reverse(), ...bestOrder.slice(j + 1)];
+                if (lengthOf(candidate) < lengthOf(bestOrder) - 1e-9) {
+                    bestOrder = candidate;
+                    improved = true;
+                }
+            }
+        }
+    }
+    return bestOrder;
+}
+
+/**
+ * Suggests the shortest visiting order for a day's locations
+ * The first and last locations stay where they are. Located stops in
+ * between are reordered among their own slots, so stops without a
+ * position keep their place.
+ *
+ * @function optimizeRouteOrder
+ * @param {Array<string>} locations - Locations in their current order
+ * @returns {Object} { locations (suggested order), originalKms, optimizedKms, savedKms, movableCount }
+ */
+function optimizeRouteOrder(locations) {
+    const cleaned = (locations || []).map(location => location.trim()).filter(Boolean);
+    const originalKms = window.routeEstimator.estimateRouteDistance(cleaned).kms;
+    const unchanged = { locations: cleaned, originalKms, optimizedKms: originalKms, savedKms: 0, movableCount: 0 };
+    if (cleaned.length < 4) {
+        return { ...unchanged, movableCount: Math.max(cleaned.length - 2, 0) };
+    }
+
+    const slots = [];
+    const stops = [];
+    cleaned.slice(1, -1).forEach((location, index) => {
+        const position = window.communityCodes.getCoordinates(location);
+        if (position) {
+            slots.push(index + 1);
+            stops.push({ location, position });
+        }
+    });
+    if (stops.length < 2) {
+        return { ...unchanged, movableCount: stops.length };
+    }
+
+    const start = window.communityCodes.getCoordinates(cleaned[0]);
+    const end = window.communityCodes.getCoordinates(cleaned[cleaned.length - 1]);
+    const order = stops.length <= MAX_EXACT_STOPS
+        ? orderExactly(stops, start, end)
+        : orderHeuristically(stops, start, end);
+
+    const suggested = [...cleaned];
+    slots.forEach((slot, index) => {
+        suggested[slot] = order[index].location;
+    });
+
+    const optimizedKms = window.routeEstimator.estimateRouteDistance(suggested).kms;
+    if (optimizedKms >= originalKms) {
+        return { ...unchanged, movableCount: stops.length };
+    }
+    return { locations: suggested, originalKms, optimizedKms, savedKms: originalKms - optimizedKms, movableCount: stops.length };
+}
+
+/**
+ * Suggests a shorter order for the daily entry's locations
+ * Shows the suggestion with the km saved and accept/reject buttons.
+ *
+ * @function suggestOrder
+ * @returns {void}
+ */
+function suggestOrder() {
+    const result = optimizeRouteOrder(window.locationManager.getLandLocations());
+
+    if (result.movableCount < 2) {
+        window.uiManager.showNotification('Optimizing needs at least two located stops between the first and last', true);
+        return;
+    }
+    if (result.savedKms < MIN_SAVING_KMS) {
+        hideOrderSuggestion();
+        window.uiManager.showNotification(`The current order is already the shortest (≈ ${result.originalKms} km)`);
+        return;
+    }
+
+    pendingSuggestion = result.locations;
+
+    const escapeHtml = window.uiManager.escapeHtml;
+    const panel = document.getElementById('route-order-suggestion');
+    panel.innerHTML = `
+        <div><strong>Suggested order saves ≈ ${result.savedKms} km</strong> (${result.originalKms} → ${result.optimizedKms} km)</div>
+        <ol>${result.locations.map(location => `<li>${escapeHtml(location)}</li>`).join('')}</ol>
+        <small>First and last stops stay fixed; stops without a known position keep their place.</small>
+        <div>
+            <button type="button" id="accept-route-order">Use this order</button>
+            <button type="button" id="reject-route-order">Keep my order</button>
+        </div>
+    `;
+    panel.classList.remove('hidden');
+
+    document.getElementById('accept-route-order').addEventListener('click', acceptOrderSuggestion);
+    document.getElementById('reject-route-order').addEventListener('click', hideOrderSuggestion);
+}
+
+/**
+ * Applies the pending order suggestion to the location list
+ * @function acceptOrderSuggestion
+ * @returns {void}
+ */
+function acceptOrderSuggestion() {
+    if (!pendingSuggestion) return;
+    // Setting the list hides the suggestion (see locationManager.updateLocationIds)
+    window.locationManager.setLandLocations(pendingSuggestion);
+    window.uiManager.showNotification('Locations reordered');
+}
+
+/**
+ * Hides the order suggestion without applying it
+ * Called when rejected and whenever the location list changes.
+ *
+ * @function hideOrderSuggestion
+ * @returns {void}
+ */
+function hideOrderSuggestion() {
+    pendingSuggestion = null;
+    const panel = document.getElementById('route-order-suggestion');
+    if (panel) {
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+    }
+}
+
+// Make functions available globally
+window.routeOptimizer = {
+    optimizeRouteOrder,
+    suggestOrder,
+    acceptOrderSuggestion,
+    hideOrderSuggestion
+};
@@ -11,6 +11,14 @@ const KM_BASE_RATE = 0.85;      // Default dollars per kilometer driven
 const PER_DIEM_FULL_RATE = 171;  // Default full per diem daily rate
 const PER_DIEM_PARTIAL_RATE = 46; // Default partial per diem daily rate
 
+// Fields that make up one effective-dated rate record
+const RATE_FIELDS = ['pointRate', 'kmRate', 'perDiemFullRate', 'perDiemPartialRate'];
+
+// Saved rate schedule, sorted oldest → newest by effectiveFrom.
+// An empty effectiveFrom ('') marks the initial rates that apply to all
+// entries dated before any later change.
+let rateSchedule = [];
+
 /**
  * Returns default settings object with base rates
  * @returns {Object} Default settings configuration
@@ -26,24 +34,195 @@ function getDefaultSettings() {
         techCode: '',
         gstNumber: '',
         businessName: '',
+        rateSchedule: [],
+        workCodes: [],
+        expenseCategories: window.expenseCategories.DEFAULT_EXPENSE_CATEGORIES.map(category => ({ ...category })),
+        vehicles: [],
+        favouriteLocations: [],
+        customCommunityCodes: [],
+        mapProvider: window.mapProviders.DEFAULT_MAP_PROVIDER,
+        travelSheetTemplates: [],
+        travelSheetTemplateId: window.templateMappings.DEFAULT_TEMPLATE.id,
+        paySchedule: { ...window.dateUtils.DEFAULT_PAY_SCHEDULE },
         lastModified: new Date().toISOString()
     };
 }
 
+/**
+ * Builds a normalized rate schedule from a settings object
+ * Settings saved before rate history existed only carry flat rate fields;
+ * those are converted into a single initial record so older entries keep
+ * pricing at the rates they were earned at.
+ *
+ * @function normalizeRateSchedule
+ * @param {Object} settings - Settings object from cloud or defaults
+ * @returns {Array<Object>} Rate records sorted oldest → newest
+ */
+function normalizeRateSchedule(settings) {
+    if (!settings) return [];
+
+    if (Array.isArray(settings.rateSchedule) && settings.rateSchedule.length > 0) {
+        return settings.rateSchedule
+            .map(record => ({
+                effectiveFrom: record.effectiveFrom || '',
+                pointRate: parseFloat(record.pointRate) || POINT_BASE_RATE,
+                kmRate: parseFloat(record.kmRate) || KM_BASE_RATE,
+                perDiemFullRate: parseFloat(record.perDiemFullRate) || PER_DIEM_FULL_RATE,
+                perDiemPartialRate: parseFloat(record.perDiemPartialRate) || PER_DIEM_PARTIAL_RATE
+            }))
+            .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    }
+
+    // Legacy flat settings become the initial rate record
+    if (settings.pointRate || settings.kmRate || settings.perDiemFullRate || settings.perDiemPartialRate) {
+        return [{
+            effectiveFrom: '',
+            pointRate: settings.pointRate || POINT_BASE_RATE,
+            kmRate: settings.kmRate || KM_BASE_RATE,
+            perDiemFullRate: settings.perDiemFullRate || PER_DIEM_FULL_RATE,
+            perDiemPartialRate: settings.perDiemPartialRate || PER_DIEM_PARTIAL_RATE
+        }];
+    }
+
+    return [];
+}
+
+/**
+ * Checks whether two rate records carry the same rate values
+ * @function ratesMatch
+ * @param {Object} a - First rate record
+ * @param {Object} b - Second rate record
+ * @returns {boolean} True if every rate field is equal
+ */
+function ratesMatch(a, b) {
+    return RATE_FIELDS.every(field => a[field] === b[field]);
+}
+
+/**
+ * Inserts or replaces a rate record in a schedule
+ * A record with the same effectiveFrom is replaced. A record whose rates
+ * equal the rates already in effect on that date is not added, so saving
+ * unchanged settings does not grow the history.
+ *
+ * @function upsertRateRecord
+ * @param {Array<Object>} schedule - Existing rate records
+ * @param {Object} record - Rate record to add
+ * @returns {Array<Object>} New schedule sorted oldest → newest
+ */
+function upsertRateRecord(schedule, record) {
+    const remaining = schedule.filter(existing => existing.effectiveFrom !== record.effectiveFrom);
+    const inEffect = window.calculationEngine.findRateRecord(remaining, record.effectiveFrom);
+
+    if (inEffect && inEffect.effectiveFrom <= record.effectiveFrom && ratesMatch(inEffect, record)) {
+        return remaining;
+    }
+
+    return [...remaining, record].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+}
+
+/**
+ * Reads the rate inputs and effective date from the settings form
+ * @function readRateForm
+ * @returns {Object} Rate record for the values currently in the form
+ */
+function readRateForm() {
+    const effectiveInput = document.getElementById('rate-effective-date');
+    return {
+        effectiveFrom: effectiveInput?.value || window.dateUtils.formatDateForInput(new Date()),
+        pointRate: parseFloat(document.getElementById('point-rate').value) || POINT_BASE_RATE,
+        kmRate: parseFloat(document.getElementById('km-rate').value) || KM_BASE_RATE,
+        perDiemFullRate: parseFloat(document.getElementById('per-diem-full-rate').value) || PER_DIEM_FULL_RATE,
+        perDiemPartialRate: parseFloat(document.getElementById('per-diem-partial-rate').value) || PER_DIEM_PARTIAL_RATE
+    };
+}
+
+/**
+ * Returns the saved rate schedule used to price entries
+ * Rates typed into the settings form only take effect once saved, so
+ * entries and totals never show earnings at rates that were never kept.
+ * Before any settings are saved the default rates apply.
+ *
+ * @function getEffectiveRateSchedule
+ * @returns {Array<Object>} Rate records sorted oldest → newest
+ */
+function getEffectiveRateSchedule() {
+    if (rateSchedule.length === 0) {
+        return normalizeRateSchedule(getDefaultSettings());
+    }
+    return rateSchedule.map(record => ({ ...record }));
+}
+
+/**
+ * Returns the pay rates in effect on a given date
+ *
+ * @function getRatesForDate
+ * @param {string} [date] - ISO date string (YYYY-MM-DD); defaults to today
+ * @returns {Object} Rates: pointRate, kmRate, perDiemFullRate, perDiemPartialRate
+ */
+function getRatesForDate(date) {
+    const lookupDate = date || window.dateUtils.formatDateForInput(new Date());
+    return window.calculationEngine.resolveRates({ rateSchedule: getEffectiveRateSchedule() }, lookupDate);
+}
+
+/**
+ * Renders the saved rate history list in the settings panel
+ * @function renderRateHistory
+ * @returns {void}
+ */
+function renderRateHistory() {
+    const historyElement = document.getElementById('rate-history');
+    if (!historyElement) return;
+
+    if (rateSchedule.length === 0) {
+        historyElement.innerHTML = '<small>No saved rate history yet</small>';
+        return;
+    }
+
+    historyElement.innerHTML = [...rateSchedule].reverse().map(record => `
+        <div class="rate-history-row">
+            <span>${record.effectiveFrom ? `From ${window.dateUtils.formatDateForDisplay(record.effectiveFrom)}` : 'Initial rates'}</span>
+            <span>$${record.pointRate.toFixed(2)}/pt, $${record.kmRate.toFixed(2)}/km, Per Diem $${record.perDiemFullRate.toFixed(0)}/$${record.perDiemPartialRate.toFixed(0)}</span>
+        </div>
+    `).join('');
+}
+
 /**
  * Populates the settings form with provided settings data
  * @param {Object} settings - Settings object to populate form with
  */
 function populateSettingsForm(settings) {
     if (settings) {
-        document.getElementById('point-rate').value = settings.pointRate || POINT_BASE_RATE;
-        document.getElementById('km-rate').value = settings.kmRate || KM_BASE_RATE;
-        document.getElementById('per-diem-full-rate').value = settings.perDiemFullRate || PER_DIEM_FULL_RATE;
-        document.getElementById('per-diem-partial-rate').value = settings.perDiemPartialRate || PER_DIEM_PARTIAL_RATE;
+        rateSchedule = normalizeRateSchedule(settings);
+
+        // Show the rates in effect today; new changes default to taking effect today
+        const today = window.dateUtils.formatDateForInput(new Date());
+        const current = window.calculationEngine.findRateRecord(rateSchedule, today) || settings;
+        document.getElementById('point-rate').value = current.pointRate || POINT_BASE_RATE;
+        document.getElementById('km-rate').value = current.kmRate || KM_BASE_RATE;
+        document.getElementById('per-diem-full-rate').value = current.perDiemFullRate || PER_DIEM_FULL_RATE;
+        document.getElementById('per-diem-partial-rate').value = current.perDiemPartialRate || PER_DIEM_PARTIAL_RATE;
+        document.getElementById('rate-effective-date').value = today;
         document.getElementById('gst-enabled').checked = settings.includeGST || false;
         document.getElementById('tech-code').value = settings.techCode || '';
         document.getElementById('gst-number').value = settings.gstNumber || '';
         document.getElementById('business-name').value = settings.businessName || '';
+        renderRateHistory();
+        window.workItems.setWorkCodeCatalog(settings.workCodes);
+        window.expenseCategories.setExpenseCategories(settings.expenseCategories);
+        window.vehicleManager.setVehicles(settings.vehicles);
+        window.locationSuggestions.setFavouriteLocations(settings.favouriteLocations);
+        window.communityCodeEditor.setUserCodes(settings.customCommunityCodes);
+        document.getElementById('map-provider').value = window.mapProviders.setMapProvider(settings.mapProvider);
+        window.templateEditor.setTemplateSettings(settings.travelSheetTemplates, settings.travelSheetTemplateId);
+
+        // Apply the pay schedule to all pay period calculations
+        const paySchedule = window.dateUtils.setPaySchedule(settings.paySchedule);
+        document.getElementById('pay-schedule-type').value = paySchedule.type;
+        document.getElementById('pay-schedule-anchor').value = paySchedule.anchorDate;
+        document.getElementById('pay-date-offset').value = paySchedule.payDateOffsetDays;
+        document.getElementById('pay-holiday-adjustment').value = paySchedule.holidayAdjustment;
+        document.getElementById('pay-holidays').value = paySchedule.holidays.join(', ');
+        updatePayScheduleInputs();
     } else {
         // Use defaults
         const defaults = getDefaultSettings();
@@ -57,6 +236,42 @@ function populateSettingsForm(settings) {
     }
 }
 
+/**
+ * Reads the pay schedule selection from the settings form
+ * @function readPayScheduleForm
+ * @returns {Object} Pay schedule with type, anchorDate, pay date offset and holidays
+ */
+function readPayScheduleForm() {
+    // Holidays are entered as comma/space separated ISO dates
+    const holidays = document.getElementById('pay-holidays').value
+        .split(/[\s,]+/)
+        .map(date => date.trim())
+        .filter(date => date);
+
+    return {
+        type: document.getElementById('pay-schedule-type').value,
+        anchorDate: document.getElementById('pay-schedule-anchor').value,
+        payDateOffsetDays: parseInt(document.getElementById('pay-date-offset').value, 10) || 0,
+        holidayAdjustment: document.getElementById('pay-holiday-adjustment').value,
+        holidays
+    };
+}
+
+/**
+ * Shows the anchor date input only for schedules that need one
+ * Semi-monthly periods always run 1st–15th and 16th–end of month.
+ *
+ * @function updatePayScheduleInputs
+ * @returns {void}
+ */
+function updatePayScheduleInputs() {
+    const type = document.getElementById('pay-schedule-type').value;
+    const anchorGroup = document.getElementById('pay-schedule-anchor-group');
+    if (anchorGroup) {
+        anchorGroup.style.display = type === 'semimonthly' ? 'none' : '';
+    }
+}
+
 /**
  * Loads saved settings from cloud and populates the settings form
  * This application no longer supports local settings storage. Loading
@@ -74,6 +289,10 @@ async function loadSettings() {
         }
 
         const userId = window.authManager.getCurrentUser().uid;
+
+        // Shared company codes load alongside the user's own settings
+        window.communityCodeEditor.loadCompanyCodes();
+
         try {
             const cloudSettings = await window.cloudStorage.getSettingsFromCloud(userId);
             if (cloudSettings) {
@@ -112,13 +331,37 @@ async function saveSettings() {
         return;
     }
 
+    // Validate holiday dates before saving
+    const invalidHoliday = readPayScheduleForm().holidays.find(date => !/^\d{4}-\d{2}-\d{2}$/.test(date));
+    if (invalidHoliday) {
+        window.uiManager.showNotification(`Holiday "${invalidHoliday}" must be a date in YYYY-MM-DD format`, true);
+        return;
+    }
+
+    // Add the form rates to the schedule from their effective date
+    const rateRecord = readRateForm();
+    const updatedSchedule = upsertRateRecord(rateSchedule, rateRecord);
+
+    // Flat rate fields mirror the rates in effect today for older readers
+    const todayRates = window.calculationEngine.findRateRecord(updatedSchedule, window.dateUtils.formatDateForInput(new Date())) || rateRecord;
+
     // Collect current form values into settings object
     const settings = {
         name: 'rates', // Database key identifier
-        pointRate: parseFloat(document.getElementById('point-rate').value) || POINT_BASE_RATE,
-        kmRate: parseFloat(document.getElementById('km-rate').value) || KM_BASE_RATE,
-        perDiemFullRate: parseFloat(document.getElementById('per-diem-full-rate').value) || PER_DIEM_FULL_RATE,
-        perDiemPartialRate: parseFloat(document.getElementById('per-diem-partial-rate').value) || PER_DIEM_PARTIAL_RATE,
+        pointRate: todayRates.pointRate,
+        kmRate: todayRates.kmRate,
+        perDiemFullRate: todayRates.perDiemFullRate,
+        perDiemPartialRate: todayRates.perDiemPartialRate,
+        rateSchedule: updatedSchedule,
+        workCodes: window.workItems.getWorkCodeCatalog(),
+        expenseCategories: window.expenseCategories.getExpenseCategories(),
+        vehicles: window.vehicleManager.getVehicles(),
+        favouriteLocations: window.locationSuggestions.getFavouriteLocations(),
+        customCommunityCodes: window.communityCodes.getCustomCommunityCodes('user'),
+        mapProvider: document.getElementById('map-provider').value,
+        travelSheetTemplates: window.templateMappings.getCustomTemplates(),
+        travelSheetTemplateId: document.getElementById('travel-sheet-template').value,
+        paySchedule: readPayScheduleForm(),
         includeGST: document.getElementById('gst-enabled').checked,
         techCode: techCodeInput.toUpperCase(),
         gstNumber: document.getElementById('gst-number').value.trim().toUpperCase(),
@@ -134,6 +377,18 @@ async function saveSettings() {
 
         const userId = window.authManager.getCurrentUser().uid;
         await window.cloudStorage.saveSettingsToCloud(userId, settings);
+        rateSchedule = updatedSchedule;
+        renderRateHistory();
+        updatePerDiemLabels();
+
+        window.mapProviders.setMapProvider(settings.mapProvider);
+        window.templateMappings.setSelectedTemplate(settings.travelSheetTemplateId);
+
+        // Re-align the viewed pay period to the (possibly new) schedule
+        window.dateUtils.setPaySchedule(settings.paySchedule);
+        window.appState.currentPayPeriodStart = window.dateUtils.getPayPeriodStartForDate(window.appState.currentPayPeriodStart);
+        window.uiManager.updatePayPeriodDisplay();
+
         window.calculations.calculateEarnings();
         window.entryManager.loadEntries();
         window.uiManager.showNotification('Settings saved to cloud', false, 1500);
@@ -146,15 +401,14 @@ async function saveSettings() {
 
 /**
  * Updates the per diem amounts displayed in radio button labels
- * Reads current rates from settings inputs and updates the bracket amounts
- * Called whenever per diem rates change to keep UI in sync
+ * Shows today's saved per diem rates in the bracket amounts
+ * Called when settings load or are saved to keep UI in sync
  * 
  * @function updatePerDiemLabels
  * @returns {void}
  */
 function updatePerDiemLabels() {
-    const fullRate = parseFloat(document.getElementById('per-diem-full-rate').value) || PER_DIEM_FULL_RATE;
-    const partialRate = parseFloat(document.getElementById('per-diem-partial-rate').value) || PER_DIEM_PARTIAL_RATE;
+    const { perDiemFullRate: fullRate, perDiemPartialRate: partialRate } = getRatesForDate();
 
     // Update the bracket amounts in radio button labels
     const fullAmount = document.getElementById('full-perdiem-amount');
@@ -294,6 +548,8 @@ async function uploadSettingsToCloud() {
         const offlineSettings = await window.dbFunctions.getFromDB('offline_settings', 'rates');
         const settingsToUpload = offlineSettings || {
             name: 'rates',
+            rateSchedule: upsertRateRecord(rateSchedule, readRateForm()),
+            paySchedule: readPayScheduleForm(),
             pointRate: parseFloat(document.getElementById('point-rate').value) || POINT_BASE_RATE,
             kmRate: parseFloat(document.getElementById('km-rate').value) || KM_BASE_RATE,
             perDiemFullRate: parseFloat(document.getElementById('per-diem-full-rate').value) || PER_DIEM_FULL_RATE,
@@ -341,22 +597,40 @@ async function downloadSettingsFromCloud() {
     }
 }
 
+/**
+ * Checks whether two settings values are equal, comparing arrays and objects by content
+ * @function settingValuesMatch
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+function settingValuesMatch(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => settingValuesMatch(a[key], b[key]));
+}
+
 /**
  * Compares two settings objects to see if they're different
+ * Every saved setting is compared (rates, rate schedule, pay schedule, work
+ * codes, expense categories, vehicles, locations, codes, map provider and
+ * templates). Fields missing from older settings count as their default.
+ *
  * @function settingsAreDifferent
  * @param {Object} settings1 - First settings object
  * @param {Object} settings2 - Second settings object
  * @returns {boolean} True if settings are different
  */
 function settingsAreDifferent(settings1, settings2) {
-    const compareFields = ['pointRate', 'kmRate', 'perDiemFullRate', 'perDiemPartialRate', 'includeGST', 'techCode', 'gstNumber', 'businessName'];
+    const defaults = getDefaultSettings();
+    const compareFields = Object.keys(defaults).filter(field => field !== 'name' && field !== 'lastModified');
 
-    for (const field of compareFields) {
-        if (settings1[field] !== settings2[field]) {
-            return true;
-        }
-    }
-    return false;
+    return compareFields.some(field =>
+        !settingValuesMatch(settings1[field] ?? defaults[field], settings2[field] ?? defaults[field])
+    );
 }
 
 /**
@@ -594,6 +868,7 @@ async function clearAllCloudData(userId) {
 
         for (const entry of entries) {
             await window.cloudStorage.deleteEntryFromCloud(userId, entry.date);
+            await window.receiptManager.deleteReceiptFiles(entry.receipts);
         }
 
         // Delete settings
@@ -635,5 +910,9 @@ window.settingsManager = {
     settingsAreDifferent,
     showSettingsConflictDialog,
     getDefaultSettings,
-    populateSettingsForm
+    populateSettingsForm,
+    getRatesForDate,
+    getEffectiveRateSchedule,
+    normalizeRateSchedule,
+    updatePayScheduleInputs
 };
\ No newline at end of file
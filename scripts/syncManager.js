@@ -296,7 +296,17 @@ class SyncManager {
 
     entriesAreDifferent(entry1, entry2) {
         // Compare key fields to detect differences
-        const fields = ['date', 'points', 'kms', 'perDiem', 'hotelExpense', 'gasExpense', 'foodExpense', 'landLocations', 'notes'];
+        const fields = ['date', 'points', 'kms', 'perDiem', 'landLocations', 'notes'];
+
+        // Expenses are keyed by category id; compare every category either entry has
+        const expenses1 = window.calculationEngine.getEntryExpenses(entry1);
+        const expenses2 = window.calculationEngine.getEntryExpenses(entry2);
+        const categoryIds = new Set([...Object.keys(expenses1), ...Object.keys(expenses2)]);
+        for (const categoryId of categoryIds) {
+            if ((expenses1[categoryId] || 0) !== (expenses2[categoryId] || 0)) {
+                return true;
+            }
+        }
 
         for (const field of fields) {
             // Handle array fields (landLocations) specially
@@ -392,7 +402,7 @@ class SyncManager {
                             <p><strong>Points:</strong> ${local.points || 0}</p>
                             <p><strong>Kilometers:</strong> ${local.kms || 0}</p>
                             <p><strong>Per Diem:</strong> ${local.perDiem || 'none'}</p>
-                            <p><strong>Expenses:</strong> Hotel: $${local.hotelExpense || 0}, Gas: $${local.gasExpense || 0}, Food: $${local.foodExpense || 0}</p>
+                            <p><strong>Expenses:</strong> ${window.expenseCategories.formatExpenseSummary(local)}</p>
                             <p><strong>Locations:</strong> ${(local.locations || []).join(', ') || 'None'}</p>
                             <p><strong>Notes:</strong> ${local.notes || 'None'}</p>
                         </div>
@@ -405,7 +415,7 @@ class SyncManager {
                             <p><strong>Points:</strong> ${cloud.points || 0}</p>
                             <p><strong>Kilometers:</strong> ${cloud.kms || 0}</p>
                             <p><strong>Per Diem:</strong> ${cloud.perDiem || 'none'}</p>
-                            <p><strong>Expenses:</strong> Hotel: $${cloud.hotelExpense || 0}, Gas: $${cloud.gasExpense || 0}, Food: $${cloud.foodExpense || 0}</p>
+                            <p><strong>Expenses:</strong> ${window.expenseCategories.formatExpenseSummary(cloud)}</p>
                             <p><strong>Locations:</strong> ${(cloud.locations || []).join(', ') || 'None'}</p>
                             <p><strong>Notes:</strong> ${cloud.notes || 'None'}</p>
                         </div>
@@ -553,7 +563,7 @@ class SyncManager {
                             <p><strong>Points:</strong> ${local.points || 0}</p>
                             <p><strong>Kilometers:</strong> ${local.kms || 0}</p>
                             <p><strong>Per Diem:</strong> ${local.perDiem || 'none'}</p>
-                            <p><strong>Expenses:</strong> Hotel: $${local.hotelExpense || 0}, Gas: $${local.gasExpense || 0}, Food: $${local.foodExpense || 0}</p>
+                            <p><strong>Expenses:</strong> ${window.expenseCategories.formatExpenseSummary(local)}</p>
                             <p><strong>Locations:</strong> ${(local.landLocations || []).join(', ') || 'None'}</p>
                             <p><strong>Notes:</strong> ${local.notes || 'None'}</p>
                         </div>
@@ -566,7 +576,7 @@ class SyncManager {
                             <p><strong>Points:</strong> ${cloud.points || 0}</p>
                             <p><strong>Kilometers:</strong> ${cloud.kms || 0}</p>
                             <p><strong>Per Diem:</strong> ${cloud.perDiem || 'none'}</p>
-                            <p><strong>Expenses:</strong> Hotel: $${cloud.hotelExpense || 0}, Gas: $${cloud.gasExpense || 0}, Food: $${cloud.foodExpense || 0}</p>
+                            <p><strong>Expenses:</strong> ${window.expenseCategories.formatExpenseSummary(cloud)}</p>
                             <p><strong>Locations:</strong> ${(cloud.landLocations || []).join(', ') || 'None'}</p>
                             <p><strong>Notes:</strong> ${cloud.notes || 'None'}</p>
                         </div>
@@ -714,7 +724,7 @@ class SyncManager {
                             <p><strong>Points:</strong> ${local.points || 0}</p>
                             <p><strong>Kilometers:</strong> ${local.kms || 0}</p>
                             <p><strong>Per Diem:</strong> ${local.perDiem || 'none'}</p>
-                            <p><strong>Expenses:</strong> Hotel: $${local.hotelExpense || 0}, Gas: $${local.gasExpense || 0}, Food: $${local.foodExpense || 0}</p>
+                            <p><strong>Expenses:</strong> ${window.expenseCategories.formatExpenseSummary(local)}</p>
                             <p><strong>Locations:</strong> ${(local.landLocations || []).join(', ') || 'None'}</p>
                             <p><strong>Notes:</strong> ${local.notes || 'None'}</p>
                         </div>
@@ -727,7 +737,7 @@ class SyncManager {
                             <p><strong>Points:</strong> ${cloud.points || 0}</p>
                             <p><strong>Kilometers:</strong> ${cloud.kms || 0}</p>
                             <p><strong>Per Diem:</strong> ${cloud.perDiem || 'none'}</p>
-                            <p><strong>Expenses:</strong> Hotel: $${cloud.hotelExpense || 0}, Gas: $${cloud.gasExpense || 0}, Food: $${cloud.foodExpense || 0}</p>
+                            <p><strong>Expenses:</strong> ${window.expenseCategories.formatExpenseSummary(cloud)}</p>
                             <p><strong>Locations:</strong> ${(cloud.landLocations || []).join(', ') || 'None'}</p>
                             <p><strong>Notes:</strong> ${cloud.notes || 'None'}</p>
                         </div>
@@ -0,0 +1,268 @@
+/**
+ * Template Editor Module
+ * Settings editor for travel sheet templates. Users pick the template the
+ * travel sheet is written into, or upload their own .xlsx with the cells
+ * and rows to use (see templateMappings). Uploaded files sync through
+ * cloudStorage; their mappings are kept in the user's settings. Saving a
+ * template under an existing name replaces it as the next version.
+ */
+
+/**
+ * Applies the saved templates and selection (called when settings load)
+ * @function setTemplateSettings
+ * @param {Array<Object>} savedTemplates - Saved template mappings
+ * @param {string} selectedId - Id of the template used for travel sheets
+ * @returns {void}
+ */
+function setTemplateSettings(savedTemplates, selectedId) {
+    window.templateMappings.setCustomTemplates(savedTemplates);
+    window.templateMappings.setSelectedTemplate(selectedId);
+    renderTemplateEditor();
+}
+
+/**
+ * Renders the template picker, uploaded template list and mapping inputs
+ * @function renderTemplateEditor
+ * @returns {void}
+ */
+function renderTemplateEditor() {
+    const select = document.getElementById('travel-sheet-template');
+    const list = document.getElementById('travel-sheet-template-list');
+    if (!select || !list) return;
+    const escapeHtml = window.uiManager.escapeHtml;
+    const { getTemplates, getCustomTemplates, getSelectedTemplate } = window.templateMappings;
+
+    select.innerHTML = getTemplates().map(template =>
+        `<option value="${escapeHtml(template.id)}">${escapeHtml(template.name)} (v${template.version})</option>`
+    ).join('');
+    select.value = getSelectedTemplate().id;
+
+    const customTemplates = getCustomTemplates();
+    list.innerHTML = customTemplates.length === 0 ? '<small>No uploaded templates — the built-in CCC Travel Sheet is used</small>' : customTemplates.map((template, index) => `
+        <div class="expense-category-row">
+            <span>
+                <strong>${escapeHtml(template.name)}</strong> v${template.version}
+                <br><small>Rows from ${template.rows.dateColumn}${template.rows.startRow}${template.worksheet ? ` · sheet ${escapeHtml(template.worksheet)}` : ''}${template.updatedAt ? ` · updated ${template.updatedAt.split('T')[0]}` : ''}</small>
+            </span>
+            <span>
+                <button class="remove-expense-category edit-template" data-index="${index}" title="Edit mapping">✎</button>
+                <button class="remove-expense-category remove-template" data-index="${index}" title="Remove template">✕</button>
+            </span>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.edit-template').forEach(button => {
+        button.addEventListener('click', () => populateTemplateForm(customTemplates[parseInt(button.dataset.index, 10)]));
+    });
+    list.querySelectorAll('.remove-template').forEach(button => {
+        button.addEventListener('click', () => removeTemplate(customTemplates[parseInt(button.dataset.index, 10)].id));
+    });
+
+    const fieldInputs = document.getElementById('template-mapping-fields');
+    if (fieldInputs && fieldInputs.children.length === 0) {
+        fieldInputs.innerHTML = Object.entries(window.templateMappings.TEMPLATE_FIELDS).map(([field, label]) => `
+            <label>${label} <input type="text" id="template-field-${field}" maxlength="8" aria-label="${label} cell"></label>
+        `).join('');
+        populateTemplateForm(window.templateMappings.DEFAULT_TEMPLATE);
+        document.getElementById('template-name').value = '';
+    }
+}
+
+/**
+ * Fills the mapping inputs from a template for editing
+ * @function populateTemplateForm
+ * @param {Object} template - Template mapping
+ * @returns {void}
+ */
+function populateTemplateForm(template) {
+    document.getElementById('template-name').value = template.name;
+    document.getElementById('template-worksheet').value = template.worksheet || '';
+    Object.keys(window.templateMappings.TEMPLATE_FIELDS).forEach(field => {
+        document.getElementById(`template-field-${field}`).value = template.fields[field] || '';
+    });
+    Object.keys(template.rows).forEach(key => {
+        document.getElementById(`template-row-${key}`).value = template.rows[key];
+    });
+}
+
+/**
+ * Reads the mapping inputs
+ * @function readTemplateForm
+ * @returns {Object} Entered name, worksheet, fields and rows
+ */
+function readTemplateForm() {
+    const fields = {};
+    Object.keys(window.templateMappings.TEMPLATE_FIELDS).forEach(field => {
+        fields[field] = document.getElementById(`template-field-${field}`).value;
+    });
+    const rows = {};
+    Object.keys(window.templateMappings.DEFAULT_TEMPLATE.rows).forEach(key => {
+        rows[key] = document.getElementById(`template-row-${key}`).value;
+    });
+    return {
+        name: document.getElementById('template-name').value.trim(),
+        worksheet: document.getElementById('template-worksheet').value.trim(),
+        fields,
+        rows
+    };
+}
+
+/**
+ * Saves the uploaded templates to the user's cloud settings
+ * @async
+ * @function saveTemplates
+ * @param {Array<Object>} templates - Template mappings
+ * @returns {Promise<boolean>} True when saved
+ */
+async function saveTemplates(templates) {
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        await window.cloudStorage.saveSettingsToCloud(userId, {
+            travelSheetTemplates: templates,
+            travelSheetTemplateId: window.templateMappings.getSelectedTemplate().id,
+            lastModified: new Date().toISOString()
+        });
+        return true;
+    } catch (error) {
+        console.error('Error saving travel sheet templates:', error);
+        window.uiManager.showNotification('Error saving travel sheet templates', true);
+        return false;
+    }
+}
+
+/**
+ * Uploads a template or updates a template's mapping from the settings inputs
+ * A new file is required for a new name; saving an existing name without a
+ * file keeps its workbook and updates only the mapping. Either way the
+ * template's version goes up by one.
+ *
+ * @async
+ * @function saveTemplate
+ * @returns {Promise<void>}
+ */
+async function saveTemplate() {
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to save travel sheet templates', true);
+        return;
+    }
+
+    const form = readTemplateForm();
+    const file = document.getElementById('template-file').files[0] || null;
+    if (!form.name) {
+        window.uiManager.showNotification('Please enter a template name', true);
+        return;
+    }
+
+    const templates = window.templateMappings.getCustomTemplates();
+    const existing = templates.find(template => template.name.toUpperCase() === form.name.toUpperCase());
+    if (!existing && !file) {
+        window.uiManager.showNotification('Choose the template .xlsx file to upload', true);
+        return;
+    }
+    if (!existing && form.name.toUpperCase() === window.templateMappings.DEFAULT_TEMPLATE.name.toUpperCase()) {
+        window.uiManager.showNotification(`"${form.name}" is the built-in template — use another name`, true);
+        return;
+    }
+
+    const template = window.templateMappings.normalizeTemplate({
+        ...form,
+        id: existing ? existing.id : `template_${Date.now()}`,
+        version: existing ? existing.version + 1 : 1,
+        schemaVersion: window.templateMappings.TEMPLATE_MAPPING_SCHEMA_VERSION,
+        path: existing ? existing.path : null,
+        updatedAt: new Date().toISOString()
+    });
+    if (!template) {
+        window.uiManager.showNotification('Check the mapping: cells like B2, columns like A, and row numbers of 1 or more', true);
+        return;
+    }
+
+    if (file) {
+        let workbook;
+        try {
+            // Make sure the file opens as a workbook with the mapped sheet before uploading
+            workbook = await window.excelManager.createWorkbook(await file.arrayBuffer());
+        } catch (error) {
+            console.error('Error reading travel sheet template:', error);
+            window.uiManager.showNotification('Unable to read the template — make sure it is an .xlsx file', true);
+            return;
+        }
+        if (template.worksheet && !workbook.getWorksheet(template.worksheet)) {
+            window.uiManager.showNotification(`The template has no sheet named "${template.worksheet}"`, true);
+            return;
+        }
+
+        try {
+            const userId = window.authManager.getCurrentUser().uid;
+            template.path = (await window.cloudStorage.uploadTemplateToCloud(userId, template.id, file)).path;
+        } catch (error) {
+            console.error('Error uploading travel sheet template:', error);
+            window.uiManager.showNotification('Error uploading the template — it was not saved', true);
+            return;
+        }
+    }
+
+    const updated = [...templates.filter(saved => saved.id !== template.id), template];
+    const previousSelection = window.templateMappings.getSelectedTemplate().id;
+    window.templateMappings.setCustomTemplates(updated);
+    window.templateMappings.setSelectedTemplate(template.id);
+
+    if (await saveTemplates(updated)) {
+        document.getElementById('template-file').value = '';
+        renderTemplateEditor();
+        window.uiManager.showNotification(`${template.name} v${template.version} saved and selected for travel sheets`);
+    } else {
+        window.templateMappings.setCustomTemplates(templates);
+        window.templateMappings.setSelectedTemplate(previousSelection);
+    }
+}
+
+/**
+ * Removes an uploaded template after confirmation
+ * Travel sheets go back to the built-in template if it was selected.
+ *
+ * @async
+ * @function removeTemplate
+ * @param {string} templateId - Template id
+ * @returns {Promise<void>}
+ */
+async function removeTemplate(templateId) {
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to remove travel sheet templates', true);
+        return;
+    }
+
+    const templates = window.templateMappings.getCustomTemplates();
+    const template = templates.find(saved => saved.id === templateId);
+    if (!template || !confirm(`Remove the ${template.name} template?`)) {
+        return;
+    }
+
+    const previousSelection = window.templateMappings.getSelectedTemplate().id;
+    const remaining = templates.filter(saved => saved.id !== templateId);
+    window.templateMappings.setCustomTemplates(remaining);
+    window.templateMappings.setSelectedTemplate(previousSelection);
+
+    if (!await saveTemplates(remaining)) {
+        window.templateMappings.setCustomTemplates(templates);
+        window.templateMappings.setSelectedTemplate(previousSelection);
+        return;
+    }
+
+    renderTemplateEditor();
+    try {
+        await window.cloudStorage.deleteTemplateFromCloud(template.path);
+    } catch (error) {
+        // The mapping is gone, so the leftover file is never used
+        console.warn('Template file could not be deleted:', error);
+    }
+}
+
+// Make functions available globally
+window.templateEditor = {
+    setTemplateSettings,
+    renderTemplateEditor,
+    populateTemplateForm,
+    saveTemplate,
+    removeTemplate
+};
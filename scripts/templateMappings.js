@@ -0,0 +1,177 @@
+/**
+ * Template Mappings Module
+ * Versioned definitions of where the travel sheet generator writes into a
+ * template workbook: the header cells (name, tech code, GST, dates, per
+ * diem counts) and the location rows. The bundled CCC_Travel_Sheet.xlsx
+ * has a built-in mapping; users can upload their own template with its
+ * mapping (templateEditor) and pick which one the travel sheet uses.
+ */
+
+// Version of the mapping format; saved mappings with another version are ignored
+const TEMPLATE_MAPPING_SCHEMA_VERSION = 1;
+
+// Header cells the generator can fill, in the order they're shown in settings
+const TEMPLATE_FIELDS = {
+    techName: 'Tech name',
+    techCode: 'Tech code',
+    gstNumber: 'GST number',
+    generatedDate: 'Date generated',
+    firstDate: 'First entry date',
+    lastDate: 'Last entry date',
+    fullPerDiemCount: 'Full per diem count',
+    partialPerDiemCount: 'Partial per diem count'
+};
+
+// Mapping for the bundled CCC_Travel_Sheet.xlsx
+const DEFAULT_TEMPLATE = {
+    id: 'ccc-travel-sheet',
+    name: 'CCC Travel Sheet',
+    version: 1,
+    schemaVersion: TEMPLATE_MAPPING_SCHEMA_VERSION,
+    file: './CCC_Travel_Sheet.xlsx',
+    path: null,
+    worksheet: null,
+    fields: {
+        techName: 'B2',
+        techCode: 'B3',
+        gstNumber: 'B4',
+        generatedDate: 'B5',
+        firstDate: 'B10',
+        lastDate: 'B11',
+        fullPerDiemCount: 'A15',
+        partialPerDiemCount: 'A19'
+    },
+    rows: {
+        startRow: 29,       // First location row (A29, B29, C29)
+        defaultRowCount: 22, // Rows in the template before more are inserted (29–50)
+        dateColumn: 'A',
+        fromColumn: 'B',
+        toColumn: 'C'
+    }
+};
+
+const CELL_PATTERN = /^[A-Z]{1,3}[1-9]\d*$/;
+const COLUMN_PATTERN = /^[A-Z]{1,3}$/;
+
+// Uploaded templates, kept in the user's settings
+let customTemplates = [];
+
+// Template used for travel sheets, replaced from user settings via setSelectedTemplate()
+let selectedTemplateId = DEFAULT_TEMPLATE.id;
+
+/**
+ * Validates and cleans up a template mapping
+ * Blank header cells are allowed (the field isn't written).
+ *
+ * @function normalizeTemplate
+ * @param {Object} template - Saved or entered template mapping
+ * @returns {Object|null} Clean mapping, or null when it's invalid or from another schema version
+ */
+function normalizeTemplate(template) {
+    if (!template || Number(template.schemaVersion) !== TEMPLATE_MAPPING_SCHEMA_VERSION) return null;
+
+    const id = String(template.id || '').trim();
+    const name = String(template.name || '').trim();
+    if (!id || !name) return null;
+
+    const fields = {};
+    for (const field of Object.keys(TEMPLATE_FIELDS)) {
+        const cell = String(template.fields?.[field] || '').trim().toUpperCase();
+        if (cell && !CELL_PATTERN.test(cell)) return null;
+        fields[field] = cell || null;
+    }
+
+    const startRow = parseInt(template.rows?.startRow, 10);
+    const defaultRowCount = parseInt(template.rows?.defaultRowCount, 10);
+    const columns = ['dateColumn', 'fromColumn', 'toColumn']
+        .map(column => String(template.rows?.[column] || '').trim().toUpperCase());
+    if (!(startRow >= 1) || !(defaultRowCount >= 1) || !columns.every(column => COLUMN_PATTERN.test(column))) {
+        return null;
+    }
+
+    return {
+        id,
+        name,
+        version: Math.max(parseInt(template.version, 10) || 1, 1),
+        schemaVersion: TEMPLATE_MAPPING_SCHEMA_VERSION,
+        file: template.file || null,
+        path: template.path || null,
+        worksheet: String(template.worksheet || '').trim() || null,
+        fields,
+        rows: {
+            startRow,
+            defaultRowCount,
+            dateColumn: columns[0],
+            fromColumn: columns[1],
+            toColumn: columns[2]
+        },
+        updatedAt: template.updatedAt || null
+    };
+}
+
+/**
+ * Replaces the uploaded templates (called when settings load)
+ * @function setCustomTemplates
+ * @param {Array<Object>} saved - Saved template mappings
+ * @returns {void}
+ */
+function setCustomTemplates(saved) {
+    customTemplates = (Array.isArray(saved) ? saved : [])
+        .map(normalizeTemplate)
+        .filter(template => template && template.path && template.id !== DEFAULT_TEMPLATE.id);
+}
+
+/**
+ * Gets a copy of the uploaded templates
+ * @function getCustomTemplates
+ * @returns {Array<Object>} Uploaded template mappings
+ */
+function getCustomTemplates() {
+    return customTemplates.map(template => JSON.parse(JSON.stringify(template)));
+}
+
+/**
+ * Gets every template that can be picked, the built-in one first
+ * @function getTemplates
+ * @returns {Array<Object>} Template mappings
+ */
+function getTemplates() {
+    return [DEFAULT_TEMPLATE, ...customTemplates];
+}
+
+/**
+ * Sets the template used for travel sheets
+ * Unknown templates fall back to the built-in one.
+ *
+ * @function setSelectedTemplate
+ * @param {string} [templateId] - Template id
+ * @returns {string} The template id now in effect
+ */
+function setSelectedTemplate(templateId) {
+    selectedTemplateId = getTemplates().some(template => template.id === templateId)
+        ? templateId
+        : DEFAULT_TEMPLATE.id;
+    return selectedTemplateId;
+}
+
+/**
+ * Gets the template used for travel sheets
+ * @function getSelectedTemplate
+ * @returns {Object} Template mapping
+ */
+function getSelectedTemplate() {
+    return getTemplates().find(template => template.id === selectedTemplateId) || DEFAULT_TEMPLATE;
+}
+
+// Make functions available globally
+window.templateMappings = {
+    TEMPLATE_MAPPING_SCHEMA_VERSION,
+    TEMPLATE_FIELDS,
+    DEFAULT_TEMPLATE,
+    normalizeTemplate,
+    setCustomTemplates,
+    getCustomTemplates,
+    getTemplates,
+    setSelectedTemplate,
+    getSelectedTemplate
+};
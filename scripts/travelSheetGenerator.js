@@ -1,7 +1,8 @@
 /**
  * Travel Sheet Generator Module
  * Handles the business logic for generating Excel travel sheets from entry data.
- * Maps daily entries to specific Excel cells and manages row insertion for large datasets.
+ * Maps daily entries to the cells of the selected template's mapping (templateMappings)
+ * and manages row insertion for large datasets.
  */
 
 /**
@@ -35,9 +36,10 @@ async function generateTravelSheet() {
             return;
         }
 
-        // Load Excel template
-        const workbook = await window.excelManager.loadTemplate();
-        const worksheet = window.excelManager.getWorksheet(workbook);
+        // Load the Excel template chosen in settings
+        const template = window.templateMappings.getSelectedTemplate();
+        const workbook = await window.excelManager.loadTemplate(template);
+        const worksheet = window.excelManager.getWorksheet(workbook, template.worksheet);
 
         // Validate entries before processing
         const validEntries = entriesWithLocations.filter(validateEntryData);
@@ -50,11 +52,12 @@ async function generateTravelSheet() {
             console.warn(`${entriesWithLocations.length - validEntries.length} entries skipped due to invalid data`);
         }
 
-        // Process and write entry data to Excel
-        await writeEntriesToExcel(worksheet, validEntries);
+        // Populate template fields with settings and calculated data (use all entries for per diem counts).
+        // Written first so fields below the location rows move down with any inserted rows.
+        await populateTemplateFields(worksheet, entries, template);
 
-        // Populate template fields with settings and calculated data (use all entries for per diem counts)
-        await populateTemplateFields(worksheet, entries);
+        // Process and write entry data to Excel
+        await writeEntriesToExcel(worksheet, validEntries, template);
 
         // Generate filename and download
         const filename = await window.excelManager.generateFileName(window.appState.currentPayPeriodStart);
@@ -87,10 +90,11 @@ async function generateTravelSheet() {
                 );
 
                 if (entriesWithLocations.length > 0) {
-                    await writeEntriesToExcel(basicWorksheet, entriesWithLocations);
+                    // The basic template has the built-in layout
+                    await writeEntriesToExcel(basicWorksheet, entriesWithLocations, window.templateMappings.DEFAULT_TEMPLATE);
                     const filename = await window.excelManager.generateFileName(window.appState.currentPayPeriodStart);
                     await window.excelManager.downloadWorkbook(basicWorkbook, filename);
-                    window.uiManager.showNotification(`Travel sheet downloaded with basic template: ${filename}`);
+                    window.uiManager.showNotification(`${error.message} — travel sheet downloaded with basic template: ${filename}`, true);
                     return;
                 }
             } catch (retryError) {
@@ -147,21 +151,47 @@ async function getPayPeriodEntries() {
     }
 }
 
+/**
+ * Formats a location for the travel sheet
+ * Legal land descriptions are written in their standard form followed by
+ * their approximate coordinates, so each one can be found on a map. User
+ * and company codes aren't on the standard code list, so their full name
+ * and province follow the code.
+ *
+ * @function formatTravelSheetLocation
+ * @param {string} location - Location as entered on the daily entry
+ * @returns {string} Location for the From/To columns
+ */
+function formatTravelSheetLocation(location) {
+    const custom = window.communityCodes.findCustomCode(location);
+    if (custom) {
+        return `${custom.code} (${window.communityCodes.getLocationName(custom.code)})`;
+    }
+
+    const parsed = window.landDescription.parseLandDescription(location);
+    if (!parsed) return location;
+
+    const { lat, lon } = window.landDescription.landDescriptionToCoordinates(parsed);
+    return `${parsed.normalized} (${lat.toFixed(4)}, ${lon.toFixed(4)})`;
+}
+
 /**
  * Writes entry data to the Excel worksheet with location transitions
  * Creates separate rows for each location-to-location movement within each day
  * Format: Date in first row, then blank dates for subsequent transitions
- * Column B: From location, Column C: To location
+ * Rows and columns come from the template mapping (A29 onward for the
+ * built-in template: date in A, From location in B, To location in C)
  * 
  * @async
  * @function writeEntriesToExcel
  * @param {ExcelJS.Worksheet} worksheet - The worksheet to write to
  * @param {Array} entries - Array of entry objects with location data
+ * @param {Object} [template] - Template mapping (defaults to the selected template)
  * @returns {Promise<void>}
  */
-async function writeEntriesToExcel(worksheet, entries) {
-    const START_ROW = 29;  // Starting row for data (A29, B29, C29)
-    let currentRow = START_ROW;
+async function writeEntriesToExcel(worksheet, entries, template = window.templateMappings.getSelectedTemplate()) {
+    const { startRow, defaultRowCount, dateColumn, fromColumn, toColumn } = template.rows;
+    let currentRow = startRow;
     let totalRows = 0;
 
     // First pass: calculate total rows needed
@@ -172,11 +202,11 @@ async function writeEntriesToExcel(worksheet, entries) {
         }
     });
 
-    // Check if we need to insert additional rows beyond the default template
-    const MAX_DEFAULT_ROWS = 22;  // Default template rows (A29:A50 = 22 rows)
-    if (totalRows > MAX_DEFAULT_ROWS) {
-        const additionalRows = totalRows - MAX_DEFAULT_ROWS;
-        const insertionPoint = START_ROW + MAX_DEFAULT_ROWS;
+    // Check if we need to insert additional rows beyond the template's rows
+    // (cells below the insertion point, like a totals block, shift down with them)
+    if (totalRows > defaultRowCount) {
+        const additionalRows = totalRows - defaultRowCount;
+        const insertionPoint = startRow + defaultRowCount;
 
         console.log(`Inserting ${additionalRows} additional rows at row ${insertionPoint} for location transitions`);
         window.excelManager.insertRows(worksheet, insertionPoint, additionalRows);
@@ -196,21 +226,21 @@ async function writeEntriesToExcel(worksheet, entries) {
 
         // Create transition rows: R→RB, RB→S, S→R
         for (let i = 0; i < entry.landLocations.length - 1; i++) {
-            const fromLocation = entry.landLocations[i];
-            const toLocation = entry.landLocations[i + 1];
+            const fromLocation = formatTravelSheetLocation(entry.landLocations[i]);
+            const toLocation = formatTravelSheetLocation(entry.landLocations[i + 1]);
 
-            // Column A: Date only on first transition row for this entry
+            // Date column: only on first transition row for this entry
             if (isFirstTransitionForDate) {
-                window.excelManager.writeCell(worksheet, `A${currentRow}`, formattedDate);
+                window.excelManager.writeCell(worksheet, `${dateColumn}${currentRow}`, formattedDate);
                 isFirstTransitionForDate = false;
             }
-            // Subsequent rows for the same date leave Column A blank
+            // Subsequent rows for the same date leave the date blank
 
-            // Column B: From location
-            window.excelManager.writeCell(worksheet, `B${currentRow}`, fromLocation);
+            // From location
+            window.excelManager.writeCell(worksheet, `${fromColumn}${currentRow}`, fromLocation);
 
-            // Column C: To location  
-            window.excelManager.writeCell(worksheet, `C${currentRow}`, toLocation);
+            // To location
+            window.excelManager.writeCell(worksheet, `${toColumn}${currentRow}`, toLocation);
 
             currentRow++;
         }
@@ -221,67 +251,75 @@ async function writeEntriesToExcel(worksheet, entries) {
 
 /**
  * Populates template fields with user settings and calculated data
- * Maps data to specific cells: B2 (tech name), B3 (tech code), B4 (GST), B5 (current date),
- * B10/B11 (date range), A15/A19 (per diem counts)
- * Data rows show location transitions: Date in col A (first transition only), From location in col B, To location in col C
+ * Cells come from the template mapping; the built-in template uses B2 (tech name),
+ * B3 (tech code), B4 (GST), B5 (current date), B10/B11 (date range) and
+ * A15/A19 (per diem counts). Fields without a cell in the mapping are skipped.
  * 
  * @async
  * @function populateTemplateFields
  * @param {ExcelJS.Worksheet} worksheet - The worksheet to write to
  * @param {Array} entries - Array of processed entries
+ * @param {Object} [template] - Template mapping (defaults to the selected template)
  * @returns {Promise<void>}
  */
-async function populateTemplateFields(worksheet, entries) {
-    // B3: Tech Code
+async function populateTemplateFields(worksheet, entries, template = window.templateMappings.getSelectedTemplate()) {
+    const { fields } = template;
+    const writeField = (field, value) => {
+        if (fields[field]) {
+            window.excelManager.writeCell(worksheet, fields[field], value);
+        }
+    };
+
+    // Tech Code
     const techCode = await window.settingsManager.getTechCode();
     if (techCode) {
-        window.excelManager.writeCell(worksheet, 'B3', techCode);
+        writeField('techCode', techCode);
     }
 
-    // B4: GST Number (optional)
+    // GST Number (optional)
     const gstNumber = await window.settingsManager.getGstNumber();
     if (gstNumber) {
-        window.excelManager.writeCell(worksheet, 'B4', gstNumber);
+        writeField('gstNumber', gstNumber);
     }
 
-    // B5: Current Date (today's date)
+    // Current Date (today's date)
     const currentDate = window.excelManager.formatDateForExcel(new Date().toISOString().split('T')[0]);
-    window.excelManager.writeCell(worksheet, 'B5', currentDate);
+    writeField('generatedDate', currentDate);
 
     if (entries.length > 0) {
         // Sort entries by date to get first and last dates
         const sortedEntries = [...entries].sort((a, b) => new Date(a.date) - new Date(b.date));
 
-        // B10: First entry date
+        // First entry date
         const firstEntryDate = window.excelManager.formatDateForExcel(sortedEntries[0].date);
-        window.excelManager.writeCell(worksheet, 'B10', firstEntryDate);
+        writeField('firstDate', firstEntryDate);
 
-        // B11: Final entry date
+        // Final entry date
         const lastEntryDate = window.excelManager.formatDateForExcel(sortedEntries[sortedEntries.length - 1].date);
-        window.excelManager.writeCell(worksheet, 'B11', lastEntryDate);
+        writeField('lastDate', lastEntryDate);
 
         // Count per diem types
         const fullPerDiemCount = entries.filter(entry => entry.perDiem === 'full').length;
         const partialPerDiemCount = entries.filter(entry => entry.perDiem === 'partial').length;
 
-        // A15: Count of full per diems
+        // Count of full per diems
         if (fullPerDiemCount > 0) {
-            window.excelManager.writeCell(worksheet, 'A15', fullPerDiemCount);
+            writeField('fullPerDiemCount', fullPerDiemCount);
         }
 
-        // A19: Count of partial per diems
+        // Count of partial per diems
         if (partialPerDiemCount > 0) {
-            window.excelManager.writeCell(worksheet, 'A19', partialPerDiemCount);
+            writeField('partialPerDiemCount', partialPerDiemCount);
         }
     }
 
-    // B2: Tech Name (optional)
+    // Tech Name (optional)
     const techName = await window.settingsManager.getTechName();
     if (techName) {
-        window.excelManager.writeCell(worksheet, 'B2', techName);
+        writeField('techName', techName);
     }
 
-    console.log('Populated template fields with user settings and calculated data');
+    console.log(`Populated ${template.name} v${template.version} fields with user settings and calculated data`);
 }
 
 /**
@@ -44,6 +44,9 @@ function updatePayPeriodDisplay() {
  * @param {number} totals.totalExpenses - Sum of all expenses
  * @param {number} totals.netTotal - Final profit after expenses
  * @param {Object} totals.expenses - Breakdown of expense categories
+ * @param {number} totals.hoursWorked - Hours worked on days with recorded times
+ * @param {number} totals.grossPerHour - Effective gross $/hour over those days
+ * @param {number} totals.netPerHour - Effective net $/hour over those days
  * @returns {void}
  */
 function updatePayPeriodSummary(totals) {
@@ -56,51 +59,55 @@ function updatePayPeriodSummary(totals) {
     }
     
     const includeGST = document.getElementById('gst-enabled').checked;
+    const money = window.calculationEngine.formatMoney; // Cent-rounded display amounts
     
     summaryElement.innerHTML = `
         <h3>Pay Period Summary</h3>
         <div class="summary-row">
             <span>Total Points:</span>
-            <span>${totals.pointsTotal} ($${totals.pointsEarnings.toFixed(2)})</span>
+            <span>${window.calculationEngine.formatQuantity(totals.pointsTotal)} ($${money(totals.pointsEarnings)})</span>
         </div>
         <div class="summary-row">
             <span>Total Kilometers:</span>
-            <span>${totals.kmsTotal} ($${totals.kmEarnings.toFixed(2)})</span>
+            <span>${window.calculationEngine.formatQuantity(totals.kmsTotal)} ($${money(totals.kmEarnings)})</span>
         </div>
         <div class="summary-row">
             <span>Per Diems:</span>
-            <span>${totals.perDiemCount} ($${totals.perDiemEarnings.toFixed(2)})</span>
+            <span>${totals.perDiemCount} ($${money(totals.perDiemEarnings)})</span>
         </div>
         ${includeGST ? `
         <div class="summary-row">
             <span>GST:</span>
-            <span>$${totals.gstAmount.toFixed(2)}</span>
+            <span>$${money(totals.gstAmount)}</span>
         </div>` : ''}
         <div class="summary-row">
             <span><strong>Gross Total:</strong></span>
-            <span><strong>$${totals.grossTotal.toFixed(2)}</strong></span>
+            <span><strong>$${money(totals.grossTotal)}</strong></span>
         </div>
+        ${totals.workedMinutes > 0 ? `
+        <div class="summary-row">
+            <span>Hours Worked:</span>
+            <span>${window.calculationEngine.formatHours(totals.hoursWorked)} h (${totals.timedDays} day${totals.timedDays === 1 ? '' : 's'} with times)</span>
+        </div>
+        <div class="summary-row">
+            <span>Effective Rate:</span>
+            <span>$${money(totals.grossPerHour)}/h gross, $${money(totals.netPerHour)}/h net</span>
+        </div>` : ''}
         ${totals.totalExpenses > 0 ? `
         <div class="net-gross-summary">
-            <div class="summary-row">
-                <span>Hotel Expenses:</span>
-                <span>-$${totals.expenses.hotel.toFixed(2)}</span>
-            </div>
-            <div class="summary-row">
-                <span>Gas Expenses:</span>
-                <span>-$${totals.expenses.gas.toFixed(2)}</span>
-            </div>
-            <div class="summary-row">
-                <span>Food Expenses:</span>
-                <span>-$${totals.expenses.food.toFixed(2)}</span>
-            </div>
+            ${window.expenseCategories.renderExpenseRows(totals.expenses, { rowClass: 'summary-row', suffix: ' Expenses' })}
             <div class="summary-row">
                 <span>Total Expenses:</span>
-                <span>-$${totals.totalExpenses.toFixed(2)}</span>
+                <span>-$${money(totals.totalExpenses)}</span>
             </div>
+            ${totals.expenseGstPaid > 0 ? `
+            <div class="summary-row">
+                <span>GST Paid on Expenses:</span>
+                <span>$${money(totals.expenseGstPaid)}</span>
+            </div>` : ''}
             <div class="summary-row net-total">
                 <span><strong>Net Total:</strong></span>
-                <span><strong>$${totals.netTotal.toFixed(2)}</strong></span>
+                <span><strong>$${money(totals.netTotal)}</strong></span>
             </div>
         </div>` : ''}
     `;
@@ -129,6 +136,23 @@ function showNotification(message, isError = false) {
     }, 3000);
 }
 
+/**
+ * Escapes user-entered text for safe insertion into HTML markup
+ * Quotes are escaped too, so the result is safe inside quoted attributes.
+ *
+ * @function escapeHtml
+ * @param {string} text - Raw text
+ * @returns {string} HTML-escaped text
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Toggles the visibility of the settings panel
  * Shows or hides the settings panel by toggling the 'hidden' CSS class.
@@ -220,6 +244,7 @@ window.uiManager = {
     updatePayPeriodDisplay,
     updatePayPeriodSummary,
     showNotification,
+    escapeHtml,
     toggleSettings,
     updateSyncStatus
 };
\ No newline at end of file
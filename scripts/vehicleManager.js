@@ -0,0 +1,335 @@
+/**
+ * Vehicle Manager Module
+ * Manages the vehicle registry (each vehicle's opening and closing odometer
+ * readings per year, kept in settings) and the optional vehicle and
+ * odometer fields on the daily entry form. Odometer readings fill in the
+ * day's kilometers; the registry readings give the logbook report its
+ * business-use percentage.
+ */
+
+// Registered vehicles in display order
+let vehicles = [];
+
+/**
+ * Normalizes saved vehicles
+ * @function normalizeVehicles
+ * @param {Array<Object>} saved - Saved vehicles with id, name and odometerReadings
+ * @returns {Array<Object>} Vehicles with unique ids and readings keyed by year
+ */
+function normalizeVehicles(saved) {
+    if (!Array.isArray(saved)) return [];
+
+    const seen = new Set();
+    return saved
+        .map(vehicle => ({
+            id: String(vehicle.id || '').trim(),
+            name: String(vehicle.name || vehicle.id || '').trim(),
+            odometerReadings: { ...(vehicle.odometerReadings || {}) }
+        }))
+        .filter(vehicle => {
+            if (!vehicle.id || seen.has(vehicle.id)) return false;
+            seen.add(vehicle.id);
+            return true;
+        });
+}
+
+/**
+ * Replaces the registered vehicles (called when settings load)
+ * @function setVehicles
+ * @param {Array<Object>} saved - Saved vehicles
+ * @returns {void}
+ */
+function setVehicles(saved) {
+    const selected = document.getElementById('vehicle')?.value;
+    vehicles = normalizeVehicles(saved);
+    renderVehicleEditor();
+    renderVehicleSelect(selected);
+}
+
+/**
+ * Gets a copy of the registered vehicles
+ * @function getVehicles
+ * @returns {Array<Object>} Vehicles with id, name and odometerReadings
+ */
+function getVehicles() {
+    return vehicles.map(vehicle => ({ ...vehicle, odometerReadings: { ...vehicle.odometerReadings } }));
+}
+
+/**
+ * Gets the display name for a vehicle id
+ * @function getVehicleName
+ * @param {string} vehicleId - Vehicle id
+ * @returns {string} Vehicle name, or an empty string when it isn't registered
+ */
+function getVehicleName(vehicleId) {
+    const vehicle = vehicles.find(item => item.id === vehicleId);
+    return vehicle ? vehicle.name : '';
+}
+
+/**
+ * Formats an odometer reading for display
+ * @function formatOdometer
+ * @param {number|null} reading - Odometer reading in km
+ * @returns {string} Reading such as "45,210", or "—" when missing
+ */
+function formatOdometer(reading) {
+    if (reading === null || reading === undefined || reading === '') return '—';
+    return Number(reading).toLocaleString('en-CA', { maximumFractionDigits: 1 });
+}
+
+/**
+ * Renders the vehicle registry in the settings panel
+ * Each vehicle lists its annual readings; the reading inputs below the
+ * list add or replace a year's readings.
+ *
+ * @function renderVehicleEditor
+ * @returns {void}
+ */
+function renderVehicleEditor() {
+    const editor = document.getElementById('vehicle-list');
+    if (!editor) return;
+    const escapeHtml = window.uiManager.escapeHtml;
+
+    editor.innerHTML = vehicles.length === 0 ? '<small>No vehicles registered</small>' : vehicles.map(vehicle => {
+        const years = Object.keys(vehicle.odometerReadings).sort();
+        return `
+        <div class="expense-category-row">
+            <span>
+                ${escapeHtml(vehicle.name)}
+                ${years.map(year => {
+                    const reading = vehicle.odometerReadings[year];
+                    return `<br><small>${year}: ${formatOdometer(reading.opening)} → ${formatOdometer(reading.closing)} km</small>`;
+                }).join('')}
+            </span>
+            <button class="remove-expense-category remove-vehicle" data-vehicle-id="${vehicle.id}" title="Remove vehicle">✕</button>
+        </div>`;
+    }).join('');
+
+    editor.querySelectorAll('.remove-vehicle').forEach(button => {
+        button.addEventListener('click', () => removeVehicle(button.dataset.vehicleId));
+    });
+
+    const readingVehicle = document.getElementById('vehicle-reading-vehicle');
+    if (readingVehicle) {
+        const selected = readingVehicle.value;
+        readingVehicle.innerHTML = vehicles.map(vehicle =>
+            `<option value="${vehicle.id}"${vehicle.id === selected ? ' selected' : ''}>${escapeHtml(vehicle.name)}</option>`
+        ).join('');
+    }
+}
+
+/**
+ * Adds a vehicle from the settings inputs
+ * Vehicles are persisted when settings are saved.
+ *
+ * @function addVehicle
+ * @returns {void}
+ */
+function addVehicle() {
+    const nameInput = document.getElementById('vehicle-name');
+    const name = nameInput.value.trim();
+
+    if (!name) {
+        window.uiManager.showNotification('Please enter a name for the vehicle', true);
+        return;
+    }
+    if (vehicles.some(vehicle => vehicle.name.toLowerCase() === name.toLowerCase())) {
+        window.uiManager.showNotification(`A vehicle named "${name}" already exists`, true);
+        return;
+    }
+
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'vehicle';
+    let id = base;
+    let suffix = 2;
+    while (vehicles.some(vehicle => vehicle.id === id)) {
+        id = `${base}-${suffix++}`;
+    }
+
+    vehicles.push({ id, name, odometerReadings: {} });
+    renderVehicleEditor();
+    renderVehicleSelect(document.getElementById('vehicle').value);
+
+    nameInput.value = '';
+    window.uiManager.showNotification(`Vehicle ${name} added — save settings to keep it`);
+}
+
+/**
+ * Removes a vehicle from the registry after confirmation
+ * Saved entries keep their vehicle id; the logbook counts them toward the
+ * first registered vehicle.
+ *
+ * @function removeVehicle
+ * @param {string} vehicleId - Vehicle id
+ * @returns {void}
+ */
+function removeVehicle(vehicleId) {
+    if (!confirm(`Remove ${getVehicleName(vehicleId)} and its odometer readings?`)) {
+        return;
+    }
+
+    vehicles = vehicles.filter(vehicle => vehicle.id !== vehicleId);
+    renderVehicleEditor();
+    renderVehicleSelect(document.getElementById('vehicle').value);
+}
+
+/**
+ * Sets a vehicle's opening and closing odometer readings for a year
+ * The closing reading may be left blank while the year is in progress.
+ *
+ * @function setOdometerReading
+ * @returns {void}
+ */
+function setOdometerReading() {
+    const vehicleId = document.getElementById('vehicle-reading-vehicle').value;
+    const year = parseInt(document.getElementById('vehicle-reading-year').value, 10);
+    const openingInput = document.getElementById('vehicle-reading-opening').value;
+    const closingInput = document.getElementById('vehicle-reading-closing').value;
+    const vehicle = vehicles.find(item => item.id === vehicleId);
+
+    if (!vehicle) {
+        window.uiManager.showNotification('Add a vehicle before recording odometer readings', true);
+        return;
+    }
+    if (!year || openingInput === '') {
+        window.uiManager.showNotification('Please enter the year and its opening odometer reading', true);
+        return;
+    }
+
+    const opening = parseFloat(openingInput);
+    const closing = closingInput === '' ? null : parseFloat(closingInput);
+    if (closing !== null && closing < opening) {
+        window.uiManager.showNotification('The closing odometer reading must not be less than the opening reading', true);
+        return;
+    }
+
+    vehicle.odometerReadings[year] = { opening, closing };
+    renderVehicleEditor();
+
+    document.getElementById('vehicle-reading-opening').value = '';
+    document.getElementById('vehicle-reading-closing').value = '';
+    window.uiManager.showNotification(`${year} readings for ${vehicle.name} set — save settings to keep them`);
+}
+
+/**
+ * Renders the vehicle select on the daily entry form
+ * Hidden until a vehicle is registered; with one vehicle it's preselected.
+ *
+ * @function renderVehicleSelect
+ * @param {string} [selectedId] - Vehicle id to select
+ * @returns {void}
+ */
+function renderVehicleSelect(selectedId) {
+    const select = document.getElementById('vehicle');
+    if (!select) return;
+    const escapeHtml = window.uiManager.escapeHtml;
+
+    select.innerHTML = '<option value="">No vehicle</option>' + vehicles.map(vehicle =>
+        `<option value="${vehicle.id}">${escapeHtml(vehicle.name)}</option>`
+    ).join('');
+    select.value = vehicles.some(vehicle => vehicle.id === selectedId)
+        ? selectedId
+        : (vehicles.length === 1 ? vehicles[0].id : '');
+    select.classList.toggle('hidden', vehicles.length === 0);
+}
+
+/**
+ * Reads the vehicle and odometer fields of the daily entry form
+ * @function readOdometerForm
+ * @returns {Object} Only the fields that were entered: vehicleId, odometerStart, odometerEnd
+ */
+function readOdometerForm() {
+    const fields = {};
+    const vehicleId = document.getElementById('vehicle').value;
+    const start = document.getElementById('odometer-start').value;
+    const end = document.getElementById('odometer-end').value;
+
+    if (vehicleId) fields.vehicleId = vehicleId;
+    if (start !== '') fields.odometerStart = parseFloat(start);
+    if (end !== '') fields.odometerEnd = parseFloat(end);
+    return fields;
+}
+
+/**
+ * Checks the odometer readings entered on the daily entry form
+ * @function validateOdometerForm
+ * @returns {string|null} Error message, or null when the readings are usable
+ */
+function validateOdometerForm() {
+    const { odometerStart, odometerEnd } = readOdometerForm();
+    if (odometerStart !== undefined && odometerEnd !== undefined && odometerEnd < odometerStart) {
+        return 'The ending odometer reading must not be less than the starting reading';
+    }
+    return null;
+}
+
+/**
+ * Fills the vehicle and odometer fields of the daily entry form
+ * @function populateOdometerForm
+ * @param {Object} entry - Entry with optional vehicleId, odometerStart and odometerEnd
+ * @returns {void}
+ */
+function populateOdometerForm(entry) {
+    renderVehicleSelect(entry.vehicleId);
+    document.getElementById('odometer-start').value = entry.odometerStart ?? '';
+    document.getElementById('odometer-end').value = entry.odometerEnd ?? '';
+}
+
+/**
+ * Clears the odometer fields, keeping the default vehicle selected
+ * @function clearOdometerForm
+ * @returns {void}
+ */
+function clearOdometerForm() {
+    populateOdometerForm({});
+}
+
+/**
+ * Checks whether any odometer reading has been entered
+ * @function hasOdometerInput
+ * @returns {boolean} True when a start or end reading is filled in
+ */
+function hasOdometerInput() {
+    return document.getElementById('odometer-start').value !== '' ||
+        document.getElementById('odometer-end').value !== '';
+}
+
+/**
+ * Fills in the kilometers from the odometer readings
+ * The day's distance is the end reading less the start; the day's other
+ * jobs keep their own kilometers and the form's job gets the rest.
+ *
+ * @function updateKmsFromOdometer
+ * @returns {void}
+ */
+function updateKmsFromOdometer() {
+    const { odometerStart, odometerEnd } = readOdometerForm();
+    if (odometerStart === undefined || odometerEnd === undefined || odometerEnd < odometerStart) {
+        return;
+    }
+
+    const dayKms = (Math.round(odometerEnd * 10) - Math.round(odometerStart * 10)) / 10;
+    const jobKms = Math.max(0, Math.round((dayKms - window.jobManager.getOtherJobKms()) * 10) / 10);
+    document.getElementById('kms').value = jobKms;
+    window.routeEstimator.updateKmEstimate();
+    window.calculations.calculateEarnings();
+}
+
+// Make functions available globally
+window.vehicleManager = {
+    normalizeVehicles,
+    setVehicles,
+    getVehicles,
+    getVehicleName,
+    formatOdometer,
+    renderVehicleEditor,
+    addVehicle,
+    removeVehicle,
+    setOdometerReading,
+    renderVehicleSelect,
+    readOdometerForm,
+    validateOdometerForm,
+    populateOdometerForm,
+    clearOdometerForm,
+    hasOdometerInput,
+    updateKmsFromOdometer
+};
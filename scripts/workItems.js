@@ -0,0 +1,365 @@
+/**
+ * Work Items Module
+ * Manages the piece-rate work code catalog (drops, splices, poles, bores...)
+ * and the code × quantity line items on the daily entry form. When an entry
+ * has line items its points are derived from them, and the line items are
+ * kept on the entry so each day's work can be audited and exported.
+ */
+
+// Work code catalog from settings, sorted by code
+let workCodeCatalog = [];
+
+// Line items on the daily entry form
+let lineItems = [];
+
+/**
+ * Normalizes a saved work code catalog
+ * Codes are upper-cased and trimmed; entries without a code or with a
+ * negative point value are dropped.
+ *
+ * @function normalizeWorkCodes
+ * @param {Array<Object>} codes - Saved catalog items with code, description and points
+ * @returns {Array<Object>} Catalog sorted by code
+ */
+function normalizeWorkCodes(codes) {
+    if (!Array.isArray(codes)) return [];
+
+    return codes
+        .map(item => ({
+            code: String(item.code || '').trim().toUpperCase(),
+            description: String(item.description || '').trim(),
+            points: parseFloat(item.points) || 0
+        }))
+        .filter(item => item.code && item.points >= 0)
+        .sort((a, b) => a.code.localeCompare(b.code));
+}
+
+/**
+ * Replaces the work code catalog (called when settings load)
+ * @function setWorkCodeCatalog
+ * @param {Array<Object>} codes - Saved catalog items
+ * @returns {void}
+ */
+function setWorkCodeCatalog(codes) {
+    workCodeCatalog = normalizeWorkCodes(codes);
+    renderWorkCodeCatalog();
+}
+
+/**
+ * Gets a copy of the work code catalog for saving with settings
+ * @function getWorkCodeCatalog
+ * @returns {Array<Object>} Catalog items with code, description and points
+ */
+function getWorkCodeCatalog() {
+    return workCodeCatalog.map(item => ({ ...item }));
+}
+
+/**
+ * Renders the catalog editor in settings and the code picker on the entry form
+ * @function renderWorkCodeCatalog
+ * @returns {void}
+ */
+function renderWorkCodeCatalog() {
+    const escapeHtml = window.uiManager.escapeHtml;
+    const catalogElement = document.getElementById('work-code-catalog');
+    if (catalogElement) {
+        catalogElement.innerHTML = workCodeCatalog.length === 0
+            ? '<small>No work codes yet — entries use the Points Earned field</small>'
+            : workCodeCatalog.map(item => `
+                <div class="work-code-row">
+                    <span><strong>${escapeHtml(item.code)}</strong> ${escapeHtml(item.description)}</span>
+                    <span>${item.points} pts
+                        <button class="remove-work-code" data-code="${escapeHtml(item.code)}" title="Remove work code">✕</button>
+                    </span>
+                </div>
+            `).join('');
+
+        catalogElement.querySelectorAll('.remove-work-code').forEach(button => {
+            button.addEventListener('click', () => removeWorkCode(button.dataset.code));
+        });
+    }
+
+    const codeSelect = document.getElementById('work-item-code');
+    if (codeSelect) {
+        codeSelect.innerHTML = workCodeCatalog.map(item =>
+            `<option value="${escapeHtml(item.code)}">${escapeHtml(item.code)}${item.description ? ` – ${escapeHtml(item.description)}` : ''} (${item.points} pts)</option>`
+        ).join('');
+    }
+
+    // Line items can only be added once a catalog exists
+    const workItemsGroup = document.getElementById('de-work-items');
+    if (workItemsGroup) {
+        workItemsGroup.classList.toggle('hidden', workCodeCatalog.length === 0 && lineItems.length === 0);
+    }
+}
+
+/**
+ * Adds or updates a work code from the settings inputs
+ * The catalog is persisted when settings are saved.
+ *
+ * @function addWorkCode
+ * @returns {void}
+ */
+function addWorkCode() {
+    const codeInput = document.getElementById('work-code-code');
+    const descriptionInput = document.getElementById('work-code-description');
+    const pointsInput = document.getElementById('work-code-points');
+
+    const code = codeInput.value.trim().toUpperCase();
+    const points = parseFloat(pointsInput.value);
+
+    if (!/^[A-Z0-9-]{1,12}$/.test(code)) {
+        window.uiManager.showNotification('Work code must be 1-12 letters, numbers or dashes', true);
+        return;
+    }
+    if (isNaN(points) || points < 0) {
+        window.uiManager.showNotification('Please enter the points for this work code', true);
+        return;
+    }
+
+    workCodeCatalog = normalizeWorkCodes([
+        ...workCodeCatalog.filter(item => item.code !== code),
+        { code, description: descriptionInput.value, points }
+    ]);
+    renderWorkCodeCatalog();
+
+    codeInput.value = '';
+    descriptionInput.value = '';
+    pointsInput.value = '';
+    window.uiManager.showNotification(`Work code ${code} added — save settings to keep it`);
+}
+
+/**
+ * Removes a work code from the catalog
+ * Entries that already used the code keep their saved line items.
+ *
+ * @function removeWorkCode
+ * @param {string} code - Work code to remove
+ * @returns {void}
+ */
+function removeWorkCode(code) {
+    workCodeCatalog = workCodeCatalog.filter(item => item.code !== code);
+    renderWorkCodeCatalog();
+}
+
+/**
+ * Gets a copy of the line items on the entry form
+ * @function getLineItems
+ * @returns {Array<Object>} Items with code, description, quantity and pointsEach
+ */
+function getLineItems() {
+    return lineItems.map(item => ({ ...item }));
+}
+
+/**
+ * Replaces the line items on the entry form (used when editing an entry)
+ * @function setLineItems
+ * @param {Array<Object>} items - Saved line items
+ * @returns {void}
+ */
+function setLineItems(items) {
+    lineItems = Array.isArray(items) ? items.map(item => ({ ...item })) : [];
+    renderLineItems();
+}
+
+/**
+ * Removes all line items from the entry form
+ * @function clearLineItems
+ * @returns {void}
+ */
+function clearLineItems() {
+    setLineItems([]);
+}
+
+/**
+ * Adds the selected work code and quantity to the entry form
+ * Adding a code that is already listed increases its quantity. The code's
+ * point value is copied onto the line item so later catalog changes don't
+ * alter saved entries.
+ *
+ * @function addLineItem
+ * @returns {void}
+ */
+function addLineItem() {
+    const code = document.getElementById('work-item-code').value;
+    const quantityInput = document.getElementById('work-item-quantity');
+    const quantity = parseFloat(quantityInput.value);
+    const catalogItem = workCodeCatalog.find(item => item.code === code);
+
+    if (!catalogItem) {
+        window.uiManager.showNotification('Please choose a work code', true);
+        return;
+    }
+    if (isNaN(quantity) || quantity <= 0) {
+        window.uiManager.showNotification('Please enter a quantity greater than zero', true);
+        return;
+    }
+
+    const existing = lineItems.find(item => item.code === code && item.pointsEach === catalogItem.points);
+    if (existing) {
+        existing.quantity += quantity;
+    } else {
+        lineItems.push({
+            code,
+            description: catalogItem.description,
+            quantity,
+            pointsEach: catalogItem.points
+        });
+    }
+
+    quantityInput.value = '';
+    renderLineItems();
+}
+
+/**
+ * Removes a line item from the entry form
+ * @function removeLineItem
+ * @param {number} index - Index of the line item
+ * @returns {void}
+ */
+function removeLineItem(index) {
+    lineItems.splice(index, 1);
+    renderLineItems();
+}
+
+/**
+ * Renders the entry form line items and syncs the derived points
+ * With line items present the Points Earned field shows their total and is
+ * read-only; without them it is a plain manual entry field again.
+ *
+ * @function renderLineItems
+ * @returns {void}
+ */
+function renderLineItems() {
+    const escapeHtml = window.uiManager.escapeHtml;
+    const listElement = document.getElementById('work-items-list');
+    const pointsInput = document.getElementById('points');
+    if (!listElement || !pointsInput) return;
+
+    listElement.innerHTML = lineItems.map((item, index) => `
+        <div class="work-item-row">
+            <span>${escapeHtml(item.code)}${item.description ? ` – ${escapeHtml(item.description)}` : ''} × ${item.quantity}</span>
+            <span>${window.calculationEngine.calculateLineItemPoints([item])} pts
+                <button class="remove-work-item" data-index="${index}" title="Remove line item">✕</button>
+            </span>
+        </div>
+    `).join('');
+
+    listElement.querySelectorAll('.remove-work-item').forEach(button => {
+        button.addEventListener('click', () => removeLineItem(parseInt(button.dataset.index, 10)));
+    });
+
+    if (lineItems.length > 0) {
+        pointsInput.value = window.calculationEngine.calculateLineItemPoints(lineItems);
+        pointsInput.readOnly = true;
+    } else if (pointsInput.readOnly) {
+        pointsInput.value = '';
+        pointsInput.readOnly = false;
+    }
+
+    renderWorkCodeCatalog();
+    if (window.calculations?.calculateEarnings) {
+        window.calculations.calculateEarnings();
+    }
+}
+
+/**
+ * Exports the current pay period's line items to an Excel workbook
+ * One row per line item (entries without line items appear with their
+ * manually entered points) plus a per-code summary sheet.
+ *
+ * @async
+ * @function exportWorkItems
+ * @returns {Promise<void>}
+ */
+async function exportWorkItems() {
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to export work items', true);
+        return;
+    }
+
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        const allEntries = await window.cloudStorage.getAllEntriesFromCloud(userId);
+        const payPeriodStart = window.appState.currentPayPeriodStart;
+        const payPeriodEnd = window.dateUtils.getPayPeriodEnd(payPeriodStart);
+        const entries = allEntries
+            .filter(entry => entry.date >= payPeriodStart && entry.date <= payPeriodEnd)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        if (entries.length === 0) {
+            window.uiManager.showNotification('No entries in this pay period to export', true);
+            return;
+        }
+
+        const workbook = new ExcelJS.Workbook();
+        const detailSheet = workbook.addWorksheet('Work Items');
+        detailSheet.columns = [
+            { header: 'Date', key: 'date', width: 14 },
+            { header: 'Code', key: 'code', width: 12 },
+            { header: 'Description', key: 'description', width: 30 },
+            { header: 'Quantity', key: 'quantity', width: 10 },
+            { header: 'Points Each', key: 'pointsEach', width: 12 },
+            { header: 'Points', key: 'points', width: 10 }
+        ];
+
+        const summary = {};
+        entries.forEach(entry => {
+            const date = window.excelManager.formatDateForExcel(entry.date);
+            const items = entry.lineItems || [];
+
+            if (items.length === 0) {
+                detailSheet.addRow({ date, description: 'Points entered manually', points: entry.points || 0 });
+                return;
+            }
+
+            items.forEach(item => {
+                const points = window.calculationEngine.calculateLineItemPoints([item]);
+                detailSheet.addRow({ date, code: item.code, description: item.description, quantity: item.quantity, pointsEach: item.pointsEach, points });
+
+                const totals = summary[item.code] || (summary[item.code] = { description: item.description, quantity: 0, points: 0 });
+                totals.quantity += item.quantity;
+                totals.points = Math.round((totals.points + points) * 100) / 100;
+            });
+        });
+
+        const summarySheet = workbook.addWorksheet('Summary by Code');
+        summarySheet.columns = [
+            { header: 'Code', key: 'code', width: 12 },
+            { header: 'Description', key: 'description', width: 30 },
+            { header: 'Quantity', key: 'quantity', width: 10 },
+            { header: 'Points', key: 'points', width: 10 }
+        ];
+        Object.keys(summary).sort().forEach(code => {
+            summarySheet.addRow({ code, ...summary[code] });
+        });
+
+        [detailSheet, summarySheet].forEach(sheet => {
+            sheet.getRow(1).font = { bold: true };
+        });
+
+        const filename = (await window.excelManager.generateFileName(payPeriodStart)).replace('_Travel_', '_WorkItems_');
+        await window.excelManager.downloadWorkbook(workbook, filename);
+        window.uiManager.showNotification('Work items exported');
+    } catch (error) {
+        console.error('Error exporting work items:', error);
+        window.uiManager.showNotification('Error exporting work items', true);
+    }
+}
+
+// Make functions available globally
+window.workItems = {
+    normalizeWorkCodes,
+    setWorkCodeCatalog,
+    getWorkCodeCatalog,
+    renderWorkCodeCatalog,
+    addWorkCode,
+    removeWorkCode,
+    getLineItems,
+    setLineItems,
+    clearLineItems,
+    addLineItem,
+    removeLineItem,
+    renderLineItems,
+    exportWorkItems
+};
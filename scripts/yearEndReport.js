@@ -0,0 +1,350 @@
+/**
+ * Year-End Report Module
+ * Builds the annual self-employment income summary in the shape of the CRA
+ * T2125 (Statement of Business or Professional Activities) from the year's
+ * pay period totals, so tax time doesn't mean rebuilding the year by hand.
+ * The summary can be exported to Excel or printed.
+ */
+
+/**
+ * Gets the pay periods that overlap a calendar year
+ * @function getPayPeriodsForYear
+ * @param {number} year - Calendar year
+ * @returns {Array<Object>} Periods with periodStart, periodEnd and payDate
+ */
+function getPayPeriodsForYear(year) {
+    const yearEnd = `${year}-12-31`;
+    const periods = [];
+    let periodStart = window.dateUtils.getPayPeriodStartForDate(`${year}-01-01`);
+
+    while (periodStart <= yearEnd) {
+        periods.push({
+            periodStart,
+            periodEnd: window.dateUtils.getPayPeriodEnd(periodStart),
+            payDate: window.dateUtils.getPayDate(periodStart)
+        });
+        periodStart = window.dateUtils.getAdjacentPeriod(periodStart, 1);
+    }
+    return periods;
+}
+
+/**
+ * Builds the year-end summary from the year's pay period totals
+ * Only entries dated within the year count, so periods spanning New Year
+ * are split between the two years.
+ *
+ * @function buildYearEndSummary
+ * @param {Array<Object>} allEntries - All of the user's entries
+ * @param {number} year - Calendar year
+ * @returns {Object} Summary with year, periods (each with its totals) and
+ *   the T2125 lines from calculationEngine.calculateT2125Summary
+ */
+function buildYearEndSummary(allEntries, year) {
+    const yearStart = `${year}-01-01`;
+    const yearEnd = `${year}-12-31`;
+    const yearEntries = allEntries.filter(entry => entry.date >= yearStart && entry.date <= yearEnd);
+
+    const periods = getPayPeriodsForYear(year)
+        .map(period => {
+            const entries = yearEntries.filter(entry =>
+                entry.date >= period.periodStart && entry.date <= period.periodEnd
+            );
+            return { ...period, entryCount: entries.length, totals: window.calculations.calculatePayPeriodTotals(entries) };
+        })
+        .filter(period => period.entryCount > 0);
+
+    const settings = window.calculations.getCalculationSettings();
+    const summary = window.calculationEngine.calculateT2125Summary(
+        periods.map(period => period.totals),
+        settings.expenseCategories,
+        { netOfItcs: settings.includeGST }
+    );
+
+    return {
+        year,
+        entryCount: yearEntries.length,
+        netOfItcs: settings.includeGST,
+        periods,
+        ...summary
+    };
+}
+
+/**
+ * Builds the summary's income and expense lines as HTML
+ * Shared by the on-screen report and the printable page.
+ *
+ * @function renderSummaryLines
+ * @param {Object} summary - Summary from buildYearEndSummary
+ * @returns {string} HTML rows
+ */
+function renderSummaryLines(summary) {
+    const money = window.calculationEngine.formatMoney;
+    const escapeHtml = window.uiManager.escapeHtml;
+    const row = (label, amount, className = '') => `
+        <div class="summary-row ${className}">
+            <span>${label}</span>
+            <span>$${money(amount)}</span>
+        </div>`;
+
+    return `
+        <h4>Income</h4>
+        ${row('Points earnings', summary.pointsEarnings)}
+        ${row('Kilometre earnings', summary.kmEarnings)}
+        ${row('Per diem', summary.perDiemEarnings)}
+        ${row('<strong>8299 Gross business income</strong>', summary.businessIncome, 'year-end-total')}
+        ${summary.gstCollected > 0 ? row('GST collected (not income)', summary.gstCollected) : ''}
+        <h4>Expenses</h4>
+        ${summary.expenseLines.length === 0 ? '<p>No expenses recorded</p>' : summary.expenseLines.map(line => `
+        <div class="summary-row">
+            <span>${line.line} ${line.label}<br><small>${line.categories.map(escapeHtml).join(', ')} · paid $${money(line.paid)}${summary.netOfItcs && line.gst > 0 ? `, less $${money(line.gst)} ITCs` : ''}</small></span>
+            <span>$${money(line.deductible)}</span>
+        </div>`).join('')}
+        ${row('<strong>9368 Total expenses</strong>', summary.totalExpenses, 'year-end-total')}
+        ${row(`<strong>9369 Net income ${summary.netIncome < 0 ? '(loss)' : ''}</strong>`, summary.netIncome, 'year-end-total')}
+    `;
+}
+
+/**
+ * Renders the year-end summary
+ * @function renderYearEndSummary
+ * @param {Object} summary - Summary from buildYearEndSummary
+ * @returns {void}
+ */
+function renderYearEndSummary(summary) {
+    const container = document.getElementById('year-end-results');
+
+    if (summary.entryCount === 0) {
+        container.innerHTML = `<p>No entries in ${summary.year}</p>`;
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="gst-report-header">
+            <strong>${summary.year}</strong> · ${summary.entryCount} ${summary.entryCount === 1 ? 'entry' : 'entries'} across ${summary.periods.length} pay period${summary.periods.length === 1 ? '' : 's'}
+        </div>
+        ${renderSummaryLines(summary)}
+        <small class="gst-report-note">Motor vehicle expenses are shown in full; apply your business-use percentage and CCA on the return.</small>
+    `;
+}
+
+/**
+ * Loads entries and shows the summary for the selected year
+ * @async
+ * @function loadYearEndReport
+ * @returns {Promise<Object|null>} The summary, or null when it couldn't be built
+ */
+async function loadYearEndReport() {
+    if (!navigator.onLine) {
+        window.uiManager.showNotification('You must be online to build the year-end summary', true);
+        return null;
+    }
+
+    const year = parseInt(document.getElementById('year-end-year').value, 10);
+    if (!year) {
+        window.uiManager.showNotification('Please enter the year to summarize', true);
+        return null;
+    }
+
+    try {
+        const userId = window.authManager.getCurrentUser().uid;
+        const allEntries = await window.cloudStorage.getAllEntriesFromCloud(userId);
+        const summary = buildYearEndSummary(allEntries, year);
+        renderYearEndSummary(summary);
+        return summary;
+    } catch (error) {
+        console.error('Error building year-end summary:', error);
+        window.uiManager.showNotification('Unable to build the year-end summary', true);
+        return null;
+    }
+}
+
+/**
+ * Toggles the year-end summary view
+ * Defaults to last year through April (tax season), otherwise this year.
+ *
+ * @async
+ * @function toggleYearEndReport
+ * @returns {Promise<void>}
+ */
+async function toggleYearEndReport() {
+    const section = document.getElementById('year-end-report');
+    if (!section.classList.contains('hidden')) {
+        section.classList.add('hidden');
+        return;
+    }
+
+    const yearInput = document.getElementById('year-end-year');
+    if (!yearInput.value) {
+        const today = new Date();
+        yearInput.value = today.getMonth() < 4 ? today.getFullYear() - 1 : today.getFullYear();
+    }
+
+    section.classList.remove('hidden');
+    await loadYearEndReport();
+}
+
+/**
+ * Exports the year-end summary to an Excel workbook
+ * One sheet with the T2125 lines and one with the pay period totals.
+ *
+ * @async
+ * @function exportYearEndReport
+ * @returns {Promise<void>}
+ */
+async function exportYearEndReport() {
+    const summary = await loadYearEndReport();
+    if (!summary) return;
+    if (summary.entryCount === 0) {
+        window.uiManager.showNotification(`No entries in ${summary.year} to export`, true);
+        return;
+    }
+
+    try {
+        const workbook = new ExcelJS.Workbook();
+        const moneyFormat = '$#,##0.00';
+
+        const summarySheet = workbook.addWorksheet(`T2125 ${summary.year}`);
+        summarySheet.columns = [
+            { header: 'Line', key: 'line', width: 8 },
+            { header: 'Description', key: 'description', width: 48 },
+            { header: 'Categories', key: 'categories', width: 30 },
+            { header: 'Paid', key: 'paid', width: 14, style: { numFmt: moneyFormat } },
+            { header: 'GST (ITCs)', key: 'gst', width: 14, style: { numFmt: moneyFormat } },
+            { header: 'Amount', key: 'amount', width: 14, style: { numFmt: moneyFormat } }
+        ];
+        summarySheet.addRow({ description: 'Points earnings', amount: summary.pointsEarnings });
+        summarySheet.addRow({ description: 'Kilometre earnings', amount: summary.kmEarnings });
+        summarySheet.addRow({ description: 'Per diem', amount: summary.perDiemEarnings });
+        summarySheet.addRow({ line: '8299', description: 'Gross business income', amount: summary.businessIncome }).font = { bold: true };
+        summarySheet.addRow({ description: 'GST collected (not income)', amount: summary.gstCollected });
+        summarySheet.addRow({});
+        summary.expenseLines.forEach(line => {
+            summarySheet.addRow({
+                line: line.line,
+                description: line.label,
+                categories: line.categories.join(', '),
+                paid: line.paid,
+                gst: summary.netOfItcs ? line.gst : null,
+                amount: line.deductible
+            });
+        });
+        summarySheet.addRow({ line: '9368', description: 'Total expenses', amount: summary.totalExpenses }).font = { bold: true };
+        summarySheet.addRow({ line: '9369', description: 'Net income (loss)', amount: summary.netIncome }).font = { bold: true };
+
+        const periodSheet = workbook.addWorksheet('Pay Periods');
+        periodSheet.columns = [
+            { header: 'Period Start', key: 'start', width: 14 },
+            { header: 'Period End', key: 'end', width: 14 },
+            { header: 'Pay Date', key: 'payDate', width: 14 },
+            { header: 'Entries', key: 'entries', width: 9 },
+            { header: 'Points', key: 'points', width: 10 },
+            { header: 'KMs', key: 'kms', width: 10 },
+            { header: 'Per Diems', key: 'perDiems', width: 10 },
+            { header: 'Before GST', key: 'beforeGst', width: 14, style: { numFmt: moneyFormat } },
+            { header: 'GST', key: 'gst', width: 12, style: { numFmt: moneyFormat } },
+            { header: 'Gross', key: 'gross', width: 14, style: { numFmt: moneyFormat } },
+            { header: 'Expenses', key: 'expenses', width: 14, style: { numFmt: moneyFormat } },
+            { header: 'Net', key: 'net', width: 14, style: { numFmt: moneyFormat } }
+        ];
+        summary.periods.forEach(period => {
+            periodSheet.addRow({
+                start: window.excelManager.formatDateForExcel(period.periodStart),
+                end: window.excelManager.formatDateForExcel(period.periodEnd),
+                payDate: window.excelManager.formatDateForExcel(period.payDate),
+                entries: period.entryCount,
+                points: period.totals.pointsTotal,
+                kms: period.totals.kmsTotal,
+                perDiems: period.totals.perDiemCount,
+                beforeGst: period.totals.totalBeforeGST,
+                gst: period.totals.gstAmount,
+                gross: period.totals.grossTotal,
+                expenses: period.totals.totalExpenses,
+                net: period.totals.netTotal
+            });
+        });
+
+        [summarySheet, periodSheet].forEach(sheet => {
+            sheet.getRow(1).font = { bold: true };
+        });
+
+        const techCode = await window.settingsManager.getTechCode();
+        await window.excelManager.downloadWorkbook(workbook, `${techCode || 'UNKNOWN'}_T2125_${summary.year}.xlsx`);
+        window.uiManager.showNotification('Year-end summary exported');
+    } catch (error) {
+        console.error('Error exporting year-end summary:', error);
+        window.uiManager.showNotification('Error exporting year-end summary', true);
+    }
+}
+
+/**
+ * Opens a printable page of the year-end summary and pay period totals
+ * @async
+ * @function printYearEndReport
+ * @returns {Promise<void>}
+ */
+async function printYearEndReport() {
+    const summary = await loadYearEndReport();
+    if (!summary) return;
+
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        window.uiManager.showNotification('Allow pop-ups to print the year-end summary', true);
+        return;
+    }
+
+    const money = window.calculationEngine.formatMoney;
+    const escapeHtml = window.uiManager.escapeHtml;
+    const businessName = document.getElementById('business-name').value.trim();
+    const gstNumber = document.getElementById('gst-number').value.trim();
+
+    printWindow.document.write(`<!DOCTYPE html>
+        <html>
+        <head>
+            <title>Year-End Summary ${summary.year}</title>
+            <style>
+                body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+                h1 { font-size: 20px; margin-bottom: 4px; }
+                h4 { margin: 16px 0 4px; border-bottom: 2px solid #333; }
+                .summary-row { display: flex; justify-content: space-between; padding: 4px 0; border-bottom: 1px solid #ddd; }
+                .year-end-total { font-weight: bold; }
+                small { color: #555; }
+                table { width: 100%; border-collapse: collapse; margin-top: 8px; font-size: 12px; }
+                th, td { border: 1px solid #ccc; padding: 4px; text-align: right; }
+                th:first-child, td:first-child { text-align: left; }
+            </style>
+        </head>
+        <body>
+            <h1>Statement of Business Activities (T2125 summary) – ${summary.year}</h1>
+            <div>${escapeHtml(businessName)}${gstNumber ? ` · GST/HST # ${escapeHtml(gstNumber)}` : ''}</div>
+            ${renderSummaryLines(summary)}
+            <h4>Pay Periods</h4>
+            <table>
+                <tr><th>Period</th><th>Entries</th><th>Before GST</th><th>GST</th><th>Gross</th><th>Expenses</th><th>Net</th></tr>
+                ${summary.periods.map(period => `
+                <tr>
+                    <td>${period.periodStart} – ${period.periodEnd}</td>
+                    <td>${period.entryCount}</td>
+                    <td>$${money(period.totals.totalBeforeGST)}</td>
+                    <td>$${money(period.totals.gstAmount)}</td>
+                    <td>$${money(period.totals.grossTotal)}</td>
+                    <td>$${money(period.totals.totalExpenses)}</td>
+                    <td>$${money(period.totals.netTotal)}</td>
+                </tr>`).join('')}
+            </table>
+        </body>
+        </html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+}
+
+// Make functions available globally
+window.yearEndReport = {
+    getPayPeriodsForYear,
+    buildYearEndSummary,
+    renderYearEndSummary,
+    loadYearEndReport,
+    toggleYearEndReport,
+    exportYearEndReport,
+    printYearEndReport
+};
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'profittracker-v2.5.4-secure';
+const CACHE_NAME = 'profittracker-v2.30.8-secure';
 
 // 🔒 PRODUCTION MODE TOGGLE - Set to false for production deployment
 const IS_DEVELOPMENT = true; // Change to false for production
@@ -18,6 +18,7 @@ const ALLOWED_ORIGINS = [
   'https://cdn.jsdelivr.net',
   'https://firebaseapp.com',
   'https://firestore.googleapis.com',
+  'https://firebasestorage.googleapis.com',
   'https://identitytoolkit.googleapis.com',
   'https://securetoken.googleapis.com'
 ];
@@ -44,22 +45,66 @@ if (typeof window !== 'undefined') {
   window.IS_DEVELOPMENT = IS_DEVELOPMENT;
 }
 
-// Assets to cache for offline functionality - currently disabled for performance
-// TODO: Add assets here when implementing full offline capabilities
+// App shell cached on install, so the app and the route view open with no signal.
+// Requests are answered from this cache first; CACHE_NAME changes every release,
+// so each version caches its own files. Keep in step with index.html's scripts.
 const ASSETS = [
-  // './',
-  // './manifest.json',
-  // './scripts/app.js',
-  // './scripts/db.js',
-  // './styles/base.css',
-  // './styles/forms.css',
-  // './styles/entries.css',
-  // './styles/locations.css',
-  // './styles/controls.css',
-  // './styles/maps.css',
-  // './styles/utilities.css',
-  // './images/icon-192x192.png',
-  // './images/icon-512x512.png'
+  './',
+  './index.html',
+  './manifest.json',
+  './config/env.js',
+  './styles/base.css',
+  './styles/forms.css',
+  './styles/entries.css',
+  './styles/locations.css',
+  './styles/controls.css',
+  './styles/maps.css',
+  './styles/utilities.css',
+  './images/favicon.ico',
+  './images/icon-192x192.png',
+  './images/icon-512x512.png',
+  './scripts/db.js',
+  './scripts/dateUtils.js',
+  './scripts/calculationEngine.js',
+  './scripts/calculations.js',
+  './scripts/uiManager.js',
+  './scripts/settingsManager.js',
+  './scripts/locationManager.js',
+  './scripts/workItems.js',
+  './scripts/expenseCategories.js',
+  './scripts/receiptManager.js',
+  './scripts/vehicleManager.js',
+  './scripts/fuelLog.js',
+  './scripts/jobManager.js',
+  './scripts/entryManager.js',
+  './scripts/landDescription.js',
+  './scripts/locationSuggestions.js',
+  './scripts/communityCodes.js',
+  './scripts/communityCodeEditor.js',
+  './scripts/routeEstimator.js',
+  './scripts/routeOptimizer.js',
+  './scripts/mapProviders.js',
+  './scripts/mapGenerator.js',
+  './scripts/routeMap.js',
+  './scripts/routeExport.js',
+  './scripts/payCalendar.js',
+  './scripts/paymentManager.js',
+  './scripts/gstReport.js',
+  './scripts/yearEndReport.js',
+  './scripts/logbookReport.js',
+  './scripts/authManager.js',
+  './scripts/cloudStorage.js',
+  './scripts/migrationManager.js',
+  './scripts/syncManager.js',
+  './scripts/excelManager.js',
+  './scripts/templateMappings.js',
+  './scripts/templateEditor.js',
+  './scripts/travelSheetGenerator.js',
+  './scripts/app.js',
+  'https://www.gstatic.com/firebasejs/10.13.0/firebase-app.js',
+  'https://www.gstatic.com/firebasejs/10.13.0/firebase-auth.js',
+  'https://www.gstatic.com/firebasejs/10.13.0/firebase-firestore.js',
+  'https://www.gstatic.com/firebasejs/10.13.0/firebase-storage.js'
 ];
 
 self.addEventListener('install', (event) => {